@@ -0,0 +1,251 @@
+/**
+ * Asteroids achievements class.
+ * 
+ * The achievements and their unlock conditions - with the unlocked state saved in HTML5
+ * local storage. The game reports its memorable moments as named events with details -
+ * see Asteroids.Main.gameEvent() - and an achievement is unlocked by the first event that
+ * matches its condition:
+ * 
+ *    {event: "combo", count: 5}
+ * 
+ * matches a "combo" event with a count detail of 5 or more. A number in the condition is
+ * the minimum value of the detail - any other value must be equal.
+ * 
+ * Events:
+ *    combo          count - enemies destroyed by a bomb detonation
+ *    smartBomb      kills - enemies destroyed by a smart bomb power up
+ *    saucer         enemy ship destroyed by the player
+ *    boss           wave - boss saucer destroyed by the player
+ *    waveCleared    wave, perfect - true if no life was lost during the wave - and underPar
+ *                   true if the wave was cleared within its par time
+ *    gameCompleted  difficulty, lives
+ *    gameEnded      score, wave
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Achievements
+ */
+(function()
+{
+   Asteroids.Achievements = function()
+   {
+      this.unlocked = {};
+      return this;
+   };
+   
+   /**
+    * Saved document schema version
+    */
+   Asteroids.Achievements.VERSION = 1;
+   
+   /**
+    * Achievements in display order
+    */
+   Asteroids.Achievements.LIST =
+   [
+      {id: "combo", title: "Combo", description: "Destroy 5 enemies with one bomb", when: {event: "combo", count: 5}},
+      {id: "chain", title: "Chain Reaction", description: "Destroy 10 enemies with one bomb", when: {event: "combo", count: 10}},
+      {id: "smartBomb", title: "Smart Move", description: "Destroy 5 enemies with a smart bomb", when: {event: "smartBomb", kills: 5}},
+      {id: "saucer", title: "Saucer Hunter", description: "Shoot down an enemy saucer", when: {event: "saucer"}},
+      {id: "boss", title: "Giant Killer", description: "Destroy a boss saucer", when: {event: "boss"}},
+      {id: "flawless", title: "Flawless", description: "Clear a wave without losing a life", when: {event: "waveCleared", perfect: true}},
+      {id: "survivor", title: "Survivor", description: "Clear wave 6", when: {event: "waveCleared", wave: 6}},
+      {id: "speedRun", title: "Speed Run", description: "Clear a wave within its par time", when: {event: "waveCleared", underPar: true}},
+      {id: "score", title: "Six Figures", description: "Score 100000 in a game", when: {event: "gameEnded", score: 100000}},
+      {id: "completed", title: "Field Cleared", description: "Complete every wave", when: {event: "gameCompleted"}},
+      {id: "ace", title: "Ace Pilot", description: "Complete every wave on Hard", when: {event: "gameCompleted", difficulty: "hard"}}
+   ];
+   
+   /**
+    * Test an achievement condition against a game event
+    * 
+    * @param when {object} Achievement condition - the event name and the detail values
+    * @param name {string} Event name
+    * @param details {object} Event details
+    * @return {boolean} true if the event matches the condition
+    * 
+    * @method Asteroids.Achievements.matches
+    * @static
+    */
+   Asteroids.Achievements.matches = function matches(when, name, details)
+   {
+      if (when.event !== name)
+      {
+         return false;
+      }
+      for (var key in when)
+      {
+         if (when.hasOwnProperty(key) && key !== "event")
+         {
+            var value = (details ? details[key] : undefined);
+            if (typeof when[key] === "number" ? !(value >= when[key]) : value !== when[key])
+            {
+               return false;
+            }
+         }
+      }
+      return true;
+   };
+   
+   Asteroids.Achievements.prototype =
+   {
+      /**
+       * Date each achievement was unlocked (ISO string) by achievement id
+       */
+      unlocked: null,
+      
+      /**
+       * Load the unlocked achievements from HTML5 local storage - an invalid or newer
+       * document is ignored
+       */
+      load: function load()
+      {
+         this.unlocked = {};
+         var json = (GameHandler.storage ? GameHandler.storage.getItem(ACHIEVEMENTSDBKEY) : null);
+         if (json)
+         {
+            try
+            {
+               var doc = JSON.parse(json);
+               if (doc && doc.version === Asteroids.Achievements.VERSION && doc.unlocked && typeof doc.unlocked === "object")
+               {
+                  this.unlocked = doc.unlocked;
+               }
+            }
+            catch (e)
+            {
+               // an invalid document is discarded
+            }
+         }
+      },
+      
+      /**
+       * Save the unlocked achievements to HTML5 local storage
+       */
+      save: function save()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(ACHIEVEMENTSDBKEY, JSON.stringify({
+               version: Asteroids.Achievements.VERSION,
+               unlocked: this.unlocked
+            }));
+         }
+      },
+      
+      /**
+       * @return true if the achievement with the given id is unlocked
+       */
+      isUnlocked: function isUnlocked(id)
+      {
+         return this.unlocked.hasOwnProperty(id);
+      },
+      
+      /**
+       * @return the number of unlocked achievements
+       */
+      count: function count()
+      {
+         for (var n=0, i=0, list=Asteroids.Achievements.LIST; i<list.length; i++)
+         {
+            if (this.isUnlocked(list[i].id)) n++;
+         }
+         return n;
+      },
+      
+      /**
+       * Unlock any locked achievements matching a game event - and save them
+       * 
+       * @param name {string} Event name
+       * @param details {object} Event details
+       * @return {Array} the achievements unlocked by the event
+       */
+      event: function event(name, details)
+      {
+         var unlocked = [];
+         for (var i=0, list=Asteroids.Achievements.LIST; i<list.length; i++)
+         {
+            var a = list[i];
+            if (!this.isUnlocked(a.id) && Asteroids.Achievements.matches(a.when, name, details))
+            {
+               this.unlocked[a.id] = new Date().toISOString();
+               unlocked.push(a);
+            }
+         }
+         if (unlocked.length !== 0)
+         {
+            this.save();
+         }
+         return unlocked;
+      }
+   };
+})();
+
+
+/**
+ * Achievement unlocked notification - a text indicator displayed over any scene.
+ * 
+ * The toast is timed by its own age rather than the simulation clock - which is frozen
+ * under a modal scene and restarts with each game.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.AchievementToast
+ */
+(function()
+{
+   Asteroids.AchievementToast = function(achievement)
+   {
+      this.init(achievement);
+      return this;
+   };
+   
+   extend(Asteroids.AchievementToast, Asteroids.TextIndicator,
+   {
+      LENGTH: 3000,
+      
+      /**
+       * Unlocked achievement and the time the toast has been displayed in ms
+       */
+      achievement: null,
+      age: 0,
+      
+      init: function init(achievement)
+      {
+         Asteroids.AchievementToast.superclass.init.call(this,
+               new Vector(GameHandler.width * 0.5, 64), new Vector(0, 0),
+               "Achievement unlocked: " + achievement.title, 14, "rgb(255,255,128)", this.LENGTH);
+         this.achievement = achievement;
+         this.age = 0;
+      },
+      
+      /**
+       * Age the toast by a simulation tick
+       */
+      onUpdate: function onUpdate()
+      {
+         this.age += GameHandler.TICKMS;
+      },
+      
+      expired: function expired()
+      {
+         return (this.age > this.lifespan);
+      },
+      
+      /**
+       * Fully visible for most of the lifespan - then fades out
+       */
+      effectValue: function effectValue(val)
+      {
+         return val * Math.min(1.0, (this.lifespan - this.age) / (this.lifespan * 0.25));
+      },
+      
+      onRender: function onRender(ctx)
+      {
+         var c = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText);
+         ctx.save();
+         ctx.globalAlpha = Math.max(0, this.effectValue(1.0));
+         c(ctx, this.msg, this.textSize + "pt Courier New", this.position.y, this.colour);
+         c(ctx, this.achievement.description, "10pt Courier New", this.position.y + 20, "white");
+         ctx.restore();
+      }
+   });
+})();
@@ -0,0 +1,550 @@
+/**
+ * Asteroids audio service class.
+ * 
+ * All game sound is played by name through the single audio service at GameHandler.audio
+ * e.g. GameHandler.audio.play("laser"). Each named cue has a sound source, a volume, the
+ * bus it is mixed into and a voice limit. Cues may share a voice group - such as the four
+ * asteroid explosion sounds - so the limit applies to the group as a whole. When a group
+ * is at its limit the oldest voice is stopped to make room for the new one, so dozens of
+ * simultaneous explosions do not clip. On a backend that cannot stop a single voice the
+ * new cue is not played instead - until one of the voices of the group has ended.
+ * 
+ * The buses (sfx, ui and music) and the master output each have a volume control.
+ * 
+ * Cues played with a position are panned by their x position on the play field and
+ * attenuated by their distance from the listener - normally the player ship. Distance is
+ * measured the short way around the wrap-around play field.
+ * 
+ * The service plays sound through a backend - Web Audio where available, SoundManager2 as
+ * a fallback for older browsers and a silent null backend for headless runs.
+ * 
+ * A cue may have a sound file, a procedurally synthesised sound (see Asteroids.Synth) or
+ * both. Backends that can synthesise sounds render them as the cues are loaded. The
+ * synthesised sound is preferred in retro graphics mode and the sound file otherwise -
+ * whichever is available is played. Cues with no sound file may name a fallback cue to
+ * play on backends that cannot synthesise sounds.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Audio
+ */
+(function()
+{
+   Asteroids.Audio = function(backend)
+   {
+      this.backend = backend;
+      this.cues = {};
+      this.voices = {};
+      this.volumes = {master: 1.0};
+      for (var i=0; i<Asteroids.Audio.BUSES.length; i++)
+      {
+         this.volumes[Asteroids.Audio.BUSES[i]] = 1.0;
+      }
+      return this;
+   };
+   
+   /**
+    * Mixer bus names
+    */
+   Asteroids.Audio.BUSES = ["sfx", "ui", "music"];
+   
+   /**
+    * Stereo spread of positioned cues - 1.0 pans a cue at the edge of the play field hard
+    * to one side
+    */
+   Asteroids.Audio.PAN_SPREAD = 0.75;
+   
+   /**
+    * Volume multiplier of a positioned cue at the furthest distance from the listener
+    */
+   Asteroids.Audio.DISTANCE_VOLUME = 0.3;
+   
+   /**
+    * Name prefix of synthesised sounds in the backend - the cue name is appended
+    */
+   Asteroids.Audio.SYNTH_PREFIX = "synth:";
+   
+   /**
+    * Game sound cues - volume is 0.0-1.0 and voices is the maximum simultaneous voices
+    * of the cue or of its voice group. The synth value names the Asteroids.Synth.SOUNDS
+    * parameter set of the cue.
+    */
+   Asteroids.Audio.CUES =
+   {
+      laser:          {url: "sounds/laser.mp3",      synth: "laser",          volume: 0.4, bus: "sfx", voices: 4},
+      laser_twin:     {fallback: "laser",            synth: "laser_twin",     volume: 0.4, bus: "sfx", voices: 4, group: "laser"},
+      laser_vspray:   {fallback: "laser",            synth: "laser_vspray",   volume: 0.4, bus: "sfx", voices: 4, group: "laser"},
+      enemy_bomb:     {url: "sounds/enemybomb.mp3",  synth: "enemy_bomb",     volume: 0.6, bus: "sfx", voices: 3},
+      big_boom:       {url: "sounds/bigboom.mp3",    synth: "big_boom",       volume: 0.5, bus: "sfx", voices: 2},
+      bomb_detonate:  {fallback: "big_boom",         synth: "bomb_detonate",  volume: 0.5, bus: "sfx", voices: 2},
+      asteroid_boom1: {url: "sounds/explosion1.mp3", synth: "asteroid_boom1", volume: 0.5, bus: "sfx", voices: 6, group: "asteroid_boom"},
+      asteroid_boom2: {url: "sounds/explosion2.mp3", synth: "asteroid_boom2", volume: 0.5, bus: "sfx", voices: 6, group: "asteroid_boom"},
+      asteroid_boom3: {url: "sounds/explosion3.mp3", synth: "asteroid_boom3", volume: 0.5, bus: "sfx", voices: 6, group: "asteroid_boom"},
+      asteroid_boom4: {url: "sounds/explosion4.mp3", synth: "asteroid_boom4", volume: 0.5, bus: "sfx", voices: 6, group: "asteroid_boom"},
+      powerup:        {url: "sounds/powerup.mp3",    synth: "powerup",        volume: 0.5, bus: "sfx", voices: 2}
+   };
+   
+   /**
+    * Create the best audio backend available in this environment
+    * 
+    * @return audio backend instance
+    */
+   Asteroids.Audio.createBackend = function createBackend()
+   {
+      if (typeof window !== "undefined" && (window.AudioContext || window.webkitAudioContext))
+      {
+         return new Asteroids.Audio.WebAudioBackend();
+      }
+      if (typeof soundManager !== "undefined" && soundManager)
+      {
+         return new Asteroids.Audio.SoundManagerBackend();
+      }
+      return new Asteroids.Audio.NullBackend();
+   };
+   
+   Asteroids.Audio.prototype =
+   {
+      /**
+       * Audio backend used to play the sound
+       */
+      backend: null,
+      
+      /**
+       * Loaded cue definitions by name
+       */
+      cues: null,
+      
+      /**
+       * Active voices by voice group name
+       */
+      voices: null,
+      
+      /**
+       * Bus and master volumes 0.0-1.0
+       */
+      volumes: null,
+      
+      /**
+       * Listener position vector - positioned cues are attenuated by distance from it
+       */
+      listener: null,
+      
+      /**
+       * Load a set of sound cues
+       * 
+       * @param cues {object} Cue definitions by name - see Asteroids.Audio.CUES
+       */
+      load: function load(cues)
+      {
+         for (var name in cues)
+         {
+            if (cues.hasOwnProperty(name))
+            {
+               var cue = cues[name];
+               this.cues[name] = cue;
+               if (cue.url)
+               {
+                  this.backend.load(name, cue.url);
+               }
+               if (cue.synth && this.backend.synthesise)
+               {
+                  this.backend.synthesise(Asteroids.Audio.SYNTH_PREFIX + name, Asteroids.Synth.SOUNDS[cue.synth]);
+               }
+            }
+         }
+      },
+      
+      /**
+       * Play a sound cue - nothing is played if sound is switched off
+       * 
+       * @param name {string} Cue name
+       * @param options {object} Optional play options:
+       *    volume {number} - multiplier applied to the cue volume
+       *    position {Vector} - play field position of the sound source
+       *    pitch {number} - playback rate multiplier e.g. 2.0 plays an octave higher
+       * @return the voice playing the cue or null if nothing was played
+       */
+      play: function play(name, options)
+      {
+         var cue = this.cues[name];
+         if (!GameHandler.settings.get("sound") || !cue)
+         {
+            return null;
+         }
+         
+         // steal the oldest voice if the cue voice group is at its limit - or play nothing
+         // if the backend cannot stop a single voice
+         var group = (cue.group ? cue.group : name);
+         var voices = this.voices[group] || (this.voices[group] = []);
+         if (voices.length >= cue.voices)
+         {
+            if (!this.backend.stopsVoices)
+            {
+               return null;
+            }
+            voices.shift().stop();
+         }
+         
+         var volume = cue.volume, pan = 0, rate = 1.0;
+         if (options)
+         {
+            if (options.volume !== undefined)
+            {
+               volume *= options.volume;
+            }
+            if (options.pitch !== undefined)
+            {
+               rate = options.pitch;
+            }
+            if (options.position)
+            {
+               pan = this.pan(options.position);
+               volume *= this.attenuation(options.position);
+            }
+         }
+         var fEnded = function()
+         {
+            // remove the voice from the group once it has finished
+            var index = voices.indexOf(voice);
+            if (index !== -1)
+            {
+               voices.splice(index, 1);
+            }
+         };
+         
+         // play the preferred sound for the graphics mode - else whichever is available
+         var synth = Asteroids.Audio.SYNTH_PREFIX + name,
+             voice = this.backend.play(GameHandler.settings.get("bitmaps") ? name : synth, cue.bus, volume, pan, rate, fEnded);
+         if (voice === null)
+         {
+            voice = this.backend.play(GameHandler.settings.get("bitmaps") ? synth : name, cue.bus, volume, pan, rate, fEnded);
+         }
+         if (voice === null && cue.fallback)
+         {
+            voice = this.backend.play(cue.fallback, cue.bus, volume, pan, rate, fEnded);
+         }
+         if (voice !== null)
+         {
+            voices.push(voice);
+         }
+         return voice;
+      },
+      
+      /**
+       * Set the listener position - the vector is referenced rather than copied so the
+       * listener follows it e.g. the player ship position
+       * 
+       * @param position {Vector} Listener position or null for no distance attenuation
+       */
+      setListener: function setListener(position)
+      {
+         this.listener = position;
+      },
+      
+      /**
+       * Calculate the stereo pan for a sound source from its x position on the play field
+       * 
+       * @param position {Vector} Sound source position
+       * @return pan from -1.0 (left) to 1.0 (right)
+       */
+      pan: function pan(position)
+      {
+         var pan = (position.x / GameHandler.width) * 2 - 1;
+         pan = (pan < -1 ? -1 : (pan > 1 ? 1 : pan));
+         return pan * Asteroids.Audio.PAN_SPREAD;
+      },
+      
+      /**
+       * Calculate the volume multiplier for a sound source from its distance to the listener.
+       * The play field wraps around - so the distance along each axis is never more than
+       * half the play field size.
+       * 
+       * @param position {Vector} Sound source position
+       * @return volume multiplier from DISTANCE_VOLUME (furthest) to 1.0 (at the listener)
+       */
+      attenuation: function attenuation(position)
+      {
+         if (this.listener === null)
+         {
+            return 1.0;
+         }
+         var w = GameHandler.width, h = GameHandler.height,
+             dx = Math.abs(position.x - this.listener.x) % w,
+             dy = Math.abs(position.y - this.listener.y) % h;
+         if (dx > w * 0.5) dx = w - dx;
+         if (dy > h * 0.5) dy = h - dy;
+         var ratio = Math.sqrt(dx * dx + dy * dy) / Math.sqrt(w * w + h * h) * 2;
+         return 1.0 - (1.0 - Asteroids.Audio.DISTANCE_VOLUME) * (ratio > 1 ? 1 : ratio);
+      },
+      
+      /**
+       * Stop all playing voices
+       */
+      stopAll: function stopAll()
+      {
+         for (var group in this.voices)
+         {
+            if (this.voices.hasOwnProperty(group))
+            {
+               var voices = this.voices[group];
+               while (voices.length !== 0)
+               {
+                  voices.shift().stop();
+               }
+            }
+         }
+      },
+      
+      /**
+       * Set the volume of a bus or the master output
+       * 
+       * @param bus {string} Bus name or "master"
+       * @param volume {number} Volume 0.0-1.0
+       */
+      setVolume: function setVolume(bus, volume)
+      {
+         volume = (volume < 0 ? 0 : (volume > 1 ? 1 : volume));
+         this.volumes[bus] = volume;
+         this.backend.setVolume(bus, volume);
+      },
+      
+      /**
+       * @param bus {string} Bus name or "master"
+       * @return the volume of the bus or the master output
+       */
+      getVolume: function getVolume(bus)
+      {
+         return this.volumes[bus];
+      }
+   };
+})();
+
+
+/**
+ * Web Audio backend for the audio service.
+ * 
+ * Sounds are decoded or synthesised into buffers as they are loaded. Each voice is a
+ * buffer source with its own gain, connected to a gain node per bus and then to the
+ * master gain.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Audio.WebAudioBackend
+ */
+(function()
+{
+   Asteroids.Audio.WebAudioBackend = function()
+   {
+      var AudioContext = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContext();
+      this.master = this.context.createGain();
+      this.master.connect(this.context.destination);
+      this.buses = {};
+      for (var i=0, bus; i<Asteroids.Audio.BUSES.length; i++)
+      {
+         bus = this.context.createGain();
+         bus.connect(this.master);
+         this.buses[Asteroids.Audio.BUSES[i]] = bus;
+      }
+      this.buffers = {};
+      
+      // browsers only allow audio to start once the user has interacted with the page
+      var me = this;
+      var fUnlock = function()
+      {
+         if (me.context.state === "suspended")
+         {
+            me.context.resume();
+         }
+      };
+      document.addEventListener("keydown", fUnlock, false);
+      document.addEventListener("mousedown", fUnlock, false);
+      document.addEventListener("touchstart", fUnlock, false);
+      
+      return this;
+   };
+   
+   Asteroids.Audio.WebAudioBackend.prototype =
+   {
+      /**
+       * Each voice can be stopped on its own
+       */
+      stopsVoices: true,
+      
+      context: null,
+      master: null,
+      buses: null,
+      buffers: null,
+      
+      /**
+       * Load and decode a sound - the cue is silent until the buffer is ready
+       */
+      load: function load(name, url)
+      {
+         var me = this;
+         var xhr = new XMLHttpRequest();
+         xhr.open("GET", url, true);
+         xhr.responseType = "arraybuffer";
+         xhr.onload = function()
+         {
+            me.context.decodeAudioData(xhr.response, function(buffer)
+               {
+                  me.buffers[name] = buffer;
+               });
+         };
+         xhr.send();
+      },
+      
+      /**
+       * Synthesise a sound - the sound is silent until it has been rendered
+       */
+      synthesise: function synthesise(name, params)
+      {
+         if (Asteroids.Synth.available())
+         {
+            var me = this;
+            Asteroids.Synth.render(params, this.context.sampleRate, function(buffer)
+               {
+                  me.buffers[name] = buffer;
+               });
+         }
+      },
+      
+      play: function play(name, bus, volume, pan, rate, onended)
+      {
+         var buffer = this.buffers[name];
+         if (!buffer)
+         {
+            return null;
+         }
+         var source = this.context.createBufferSource();
+         source.buffer = buffer;
+         source.playbackRate.value = rate;
+         var gain = this.context.createGain();
+         gain.gain.value = volume;
+         source.connect(gain);
+         if (pan !== 0 && this.context.createStereoPanner)
+         {
+            var panner = this.context.createStereoPanner();
+            panner.pan.value = pan;
+            gain.connect(panner);
+            panner.connect(this.buses[bus]);
+         }
+         else
+         {
+            gain.connect(this.buses[bus]);
+         }
+         source.onended = onended;
+         source.start(0);
+         return source;
+      },
+      
+      setVolume: function setVolume(bus, volume)
+      {
+         (bus === "master" ? this.master : this.buses[bus]).gain.value = volume;
+      }
+   };
+})();
+
+
+/**
+ * SoundManager2 backend for the audio service - the fallback for browsers without
+ * Web Audio. Bus volumes are applied to each sound as it is played and voices cannot be
+ * stopped individually - stopping a voice stops every voice of its sound. A voice is ended
+ * once the length of its sound has passed as SoundManager2 only reports the end of the
+ * last voice of a multi shot sound. Sounds cannot be synthesised or pitch shifted.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Audio.SoundManagerBackend
+ */
+(function()
+{
+   Asteroids.Audio.SoundManagerBackend = function()
+   {
+      this.volumes = {master: 1.0};
+      for (var i=0; i<Asteroids.Audio.BUSES.length; i++)
+      {
+         this.volumes[Asteroids.Audio.BUSES[i]] = 1.0;
+      }
+      return this;
+   };
+   
+   Asteroids.Audio.SoundManagerBackend.prototype =
+   {
+      /**
+       * Voices cannot be stopped on their own - see Asteroids.Audio.play()
+       */
+      stopsVoices: false,
+      
+      /**
+       * Length in ms a voice is taken to play for while the length of its sound is not
+       * known - e.g. it has not loaded or failed to load
+       */
+      VOICE_MS: 1000,
+      
+      volumes: null,
+      
+      load: function load(name, url)
+      {
+         soundManager.createSound({
+            id: name,
+            url: url,
+            autoLoad: true,
+            multiShot: true
+         });
+      },
+      
+      play: function play(name, bus, volume, pan, rate, onended)
+      {
+         var sound = soundManager.getSoundById(name);
+         if (!sound)
+         {
+            return null;
+         }
+         soundManager.play(name, {
+            volume: Math.round(volume * this.volumes[bus] * this.volumes.master * 100),
+            pan: Math.round(pan * 100)
+         });
+         
+         // the onfinish event of a multi shot sound only fires as its last voice ends - so
+         // each voice is ended on a timer of the sound length instead
+         setTimeout(onended, sound.duration || sound.durationEstimate || this.VOICE_MS);
+         return {stop: function() { soundManager.stop(name); }};
+      },
+      
+      setVolume: function setVolume(bus, volume)
+      {
+         this.volumes[bus] = volume;
+      }
+   };
+})();
+
+
+/**
+ * Silent backend for the audio service - used when running headless or when no audio
+ * support is available.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Audio.NullBackend
+ */
+(function()
+{
+   Asteroids.Audio.NullBackend = function()
+   {
+      return this;
+   };
+   
+   Asteroids.Audio.NullBackend.prototype =
+   {
+      load: function load(name, url)
+      {
+      },
+      
+      play: function play(name, bus, volume, pan, rate, onended)
+      {
+         return null;
+      },
+      
+      setVolume: function setVolume(bus, volume)
+      {
+      }
+   };
+})();
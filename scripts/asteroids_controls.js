@@ -0,0 +1,304 @@
+/**
+ * Asteroids player controls.
+ * 
+ * The player input actions - named as the game input state values - with their display
+ * labels and default keys. The player may rebind the keys in the controls scene and the
+ * bindings are saved to local storage.
+ * 
+ * A gamepad drives the same actions from its buttons, plus analog rotation from the left
+ * stick and analog thrust from the right trigger. Outside of the game the gamepad buttons
+ * are sent to the scenes as the equivalent menu keys.
+ * 
+ * The player may also choose the mouse aim control scheme - see Asteroids.MouseAim.
+ * 
+ * @namespace Asteroids
+ */
+Asteroids.Controls =
+{
+   /**
+    * Input actions in display order
+    */
+   ACTIONS: ["left", "right", "thrust", "shield", "fireA", "fireB"],
+   
+   /**
+    * Action display labels
+    */
+   LABELS:
+   {
+      left: "Rotate left",
+      right: "Rotate right",
+      thrust: "Thrust",
+      shield: "Shield",
+      fireA: "Fire",
+      fireB: "Bomb"
+   },
+   
+   /**
+    * Default key bindings of each action
+    */
+   DEFAULTS:
+   {
+      left: [KEY.LEFT],
+      right: [KEY.RIGHT],
+      thrust: [KEY.UP],
+      shield: [KEY.DOWN, KEY.SHIFT],
+      fireA: [KEY.SPACE],
+      fireB: [KEY.Z]
+   },
+   
+   /**
+    * Keys used by the game itself that cannot be bound to an action
+    */
+   RESERVED: [KEY.ESC, KEY.ENTER, KEY.BACKSPACE, KEY.DELETE, KEY.C, KEY.M, KEY.O, KEY.P, KEY.R, KEY.S, KEY.X],
+   
+   /**
+    * Gamepad button bindings of each action
+    */
+   GAMEPAD:
+   {
+      left: [Game.Gamepad.BUTTONS.LEFT],
+      right: [Game.Gamepad.BUTTONS.RIGHT],
+      thrust: [Game.Gamepad.BUTTONS.UP],
+      shield: [Game.Gamepad.BUTTONS.X, Game.Gamepad.BUTTONS.LB],
+      fireA: [Game.Gamepad.BUTTONS.A, Game.Gamepad.BUTTONS.RB],
+      fireB: [Game.Gamepad.BUTTONS.B]
+   },
+   
+   /**
+    * Gamepad buttons and the keys they are sent as outside of the game - pairs of button
+    * index and key code
+    */
+   GAMEPAD_MENU: [
+      Game.Gamepad.BUTTONS.UP, KEY.UP,
+      Game.Gamepad.BUTTONS.DOWN, KEY.DOWN,
+      Game.Gamepad.BUTTONS.LEFT, KEY.LEFT,
+      Game.Gamepad.BUTTONS.RIGHT, KEY.RIGHT,
+      Game.Gamepad.BUTTONS.A, KEY.ENTER,
+      Game.Gamepad.BUTTONS.START, KEY.ENTER
+   ]
+};
+
+
+/**
+ * Asteroids controls scene class.
+ * 
+ * Modal scene listing each input action and its keys. The player selects an action with
+ * the UP and DOWN arrows, presses ENTER then the new key to add a binding and presses
+ * BACKSPACE to remove the last key of the action. A key already bound to another action
+ * moves to the selected action - unless it is the only key of the other action. The M
+ * key switches between the control schemes.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.ControlsScene
+ */
+(function()
+{
+   Asteroids.ControlsScene = function(game)
+   {
+      this.game = game;
+      Asteroids.ControlsScene.superclass.constructor.call(this, false, null);
+   };
+   
+   extend(Asteroids.ControlsScene, Game.Scene,
+   {
+      game: null,
+      
+      /**
+       * Index of the selected action
+       */
+      selected: 0,
+      
+      /**
+       * True while waiting for the key to bind to the selected action
+       */
+      capture: false,
+      
+      /**
+       * Status message and the frame it was displayed
+       */
+      message: null,
+      messageFrame: 0,
+      MESSAGE_LENGTH: 240,
+      
+      onInitScene: function onInitScene()
+      {
+         this.selected = 0;
+         this.capture = false;
+         this.message = null;
+      },
+      
+      onRenderScene: function onRenderScene(ctx)
+      {
+         var controls = this.game.controls,
+             actions = Asteroids.Controls.ACTIONS,
+             bitmaps = GameHandler.settings.get("bitmaps"),
+             f = (bitmaps ? Game.fillText : Game.drawText),
+             c = (bitmaps ? Game.centerFillText : Game.centerDrawText);
+         
+         // dim the scene below
+         ctx.save();
+         ctx.shadowBlur = 0;
+         ctx.globalAlpha = 0.8;
+         ctx.fillStyle = "black";
+         ctx.fillRect(0, 0, GameHandler.width, GameHandler.height);
+         ctx.restore();
+         
+         c(ctx, "Controls", "18pt Courier New", 120, "white");
+         for (var i=0; i<actions.length; i++)
+         {
+            var keys = controls.keysFor(actions[i]), names = [];
+            for (var k=0; k<keys.length; k++)
+            {
+               names.push(Game.InputMap.keyName(keys[k]));
+            }
+            var y = 180 + i * 32,
+                colour = (i === this.selected ? "rgb(255,255,128)" : "white");
+            f(ctx, (i === this.selected ? "> " : "  ") + Asteroids.Controls.LABELS[actions[i]], "14pt Courier New", 80, y, colour);
+            f(ctx, (i === this.selected && this.capture ? "Press a key..." : names.join(" / ")), "14pt Courier New", 320, y, colour);
+         }
+         
+         c(ctx, "Control scheme: " + Asteroids.Settings.valueLabel("controlScheme", GameHandler.settings.get("controlScheme")), "14pt Courier New", 380, "white");
+         
+         c(ctx, "UP/DOWN select - ENTER add key - BACKSPACE remove key", "10pt Courier New", 420, "white");
+         c(ctx, "M switch scheme - D restore defaults - ESC done", "10pt Courier New", 440, "white");
+         c(ctx, "Gamepad: stick or D-pad rotate, RT thrust, A fire, B bomb, X shield", "10pt Courier New", 470, "white");
+         
+         if (this.message !== null)
+         {
+            c(ctx, this.message, "12pt Courier New", 510, "rgb(255,255,128)");
+            if (++this.messageFrame === this.MESSAGE_LENGTH)
+            {
+               this.message = null;
+            }
+         }
+      },
+      
+      /**
+       * Display a brief status message
+       */
+      showMessage: function showMessage(msg)
+      {
+         this.message = msg;
+         this.messageFrame = 0;
+      },
+      
+      /**
+       * Bind a key to the selected action - reserved keys are refused and a key bound to
+       * another action is moved unless it is the only key of that action
+       * 
+       * @param keyCode {number} Key code to bind
+       */
+      bindKey: function bindKey(keyCode)
+      {
+         var controls = this.game.controls,
+             action = Asteroids.Controls.ACTIONS[this.selected],
+             name = Game.InputMap.keyName(keyCode),
+             other = controls.actionFor(keyCode);
+         if (Asteroids.Controls.RESERVED.indexOf(keyCode) !== -1)
+         {
+            this.showMessage(name + " is reserved by the game");
+         }
+         else if (other === action)
+         {
+            this.showMessage(name + " is already bound to " + Asteroids.Controls.LABELS[action]);
+         }
+         else if (other !== null && controls.keysFor(other).length === 1)
+         {
+            this.showMessage(name + " is the only key for " + Asteroids.Controls.LABELS[other]);
+         }
+         else
+         {
+            controls.bind(action, keyCode);
+            if (other !== null)
+            {
+               this.showMessage(name + " moved from " + Asteroids.Controls.LABELS[other]);
+            }
+            this.game.saveControls();
+         }
+      },
+      
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
+      {
+         if (this.capture)
+         {
+            this.capture = false;
+            if (keyCode !== KEY.ESC)
+            {
+               this.bindKey(keyCode);
+            }
+            return true;
+         }
+         
+         var actions = Asteroids.Controls.ACTIONS;
+         switch (keyCode)
+         {
+            case KEY.UP:
+            {
+               this.selected = (this.selected + actions.length - 1) % actions.length;
+               return true; break;
+            }
+            
+            case KEY.DOWN:
+            {
+               this.selected = (this.selected + 1) % actions.length;
+               return true; break;
+            }
+            
+            case KEY.ENTER:
+            {
+               this.capture = true;
+               return true; break;
+            }
+            
+            case KEY.BACKSPACE:
+            case KEY.DELETE:
+            {
+               var action = actions[this.selected],
+                   keys = this.game.controls.keysFor(action);
+               if (keys.length > 1)
+               {
+                  this.game.controls.unbind(action, keys[keys.length - 1]);
+                  this.game.saveControls();
+               }
+               else
+               {
+                  this.showMessage("Every action needs at least one key");
+               }
+               return true; break;
+            }
+            
+            case KEY.D:
+            {
+               this.game.controls.reset();
+               this.game.saveControls();
+               this.showMessage("Default controls restored");
+               return true; break;
+            }
+            
+            case KEY.M:
+            {
+               GameHandler.settings.cycle("controlScheme", 1);
+               if (GameHandler.settings.get("controlScheme") === "mouse")
+               {
+                  this.showMessage("Mouse aims - left button fire, right bomb, middle thrust");
+               }
+               return true; break;
+            }
+            
+            case KEY.ESC:
+            {
+               this.game.popScene();
+               return true; break;
+            }
+         }
+         
+         // swallow all other keys while the scene is displayed
+         return true;
+      },
+      
+      onKeyUpHandler: function onKeyUpHandler(keyCode)
+      {
+         return true;
+      }
+   });
+})();
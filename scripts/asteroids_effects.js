@@ -1,8 +1,8 @@
 /**
  * Particle emitter effect actor class.
  * 
- * A simple particle emitter, that does not recycle particles, but sets itself as expired() once
- * all child particles have expired.
+ * A simple particle emitter, that does not re-emit particles, but sets itself as expired() once
+ * all child particles have expired. Expired particles are returned to the particle pool.
  * 
  * Requires a function known as the emitter that is called per particle generated.
  * 
@@ -21,15 +21,7 @@
     */
    Asteroids.Particles = function(p, v, count, fnEmitter)
    {
-      Asteroids.Particles.superclass.constructor.call(this, p, v);
-      
-      // generate particles based on the supplied emitter function
-      this.particles = new Array(count);
-      for (var i=0; i<count; i++)
-      {
-         this.particles[i] = fnEmitter.call(this, i);
-      }
-      
+      this.init(p, v, count, fnEmitter);
       return this;
    };
    
@@ -37,6 +29,43 @@
    {
       particles: null,
       
+      /**
+       * Particle effect initialisation - called on construction and when reused from a pool
+       */
+      init: function init(p, v, count, fnEmitter)
+      {
+         Asteroids.Particles.superclass.init.call(this, p, v);
+         
+         // generate particles based on the supplied emitter function
+         if (this.particles === null)
+         {
+            this.particles = [];
+         }
+         this.particles.length = 0;
+         for (var i=0; i<count; i++)
+         {
+            this.particles.push(fnEmitter.call(this, i));
+         }
+      },
+      
+      /**
+       * Particle effect update method - moves each particle and removes expired ones
+       */
+      onUpdate: function onUpdate()
+      {
+         for (var i=0, particle; i<this.particles.length; i++)
+         {
+            // update particle and test for lifespan
+            particle = this.particles[i];
+            if (!particle.update())
+            {
+               // particle no longer alive, remove from list
+               Game.Util.swapRemove(this.particles, i--);
+               particle.release();
+            }
+         }
+      },
+      
       /**
        * Particle effect rendering method
        * 
@@ -47,22 +76,11 @@
          ctx.save();
          ctx.shadowBlur = 0;
          ctx.globalCompositeOperation = "lighter";
-         for (var i=0, particle; i<this.particles.length; i++)
+         for (var i=0, j=this.particles.length; i<j; i++)
          {
-            particle = this.particles[i];
-            
-            // update particle and test for lifespan
-            if (particle.update())
-            {
-               ctx.save();
-               particle.render(ctx);
-               ctx.restore();
-            }
-            else
-            {
-               // particle no longer alive, remove from list
-               this.particles.splice(i, 1);
-            }
+            ctx.save();
+            this.particles[i].render(ctx);
+            ctx.restore();
          }
          ctx.restore();
       },
@@ -78,23 +96,61 @@
 /**
  * Default Asteroids Particle structure.
  * Currently supports three particle types; point, vector line and smudge.
+ * Particles are pooled - use AsteroidsParticle.pool.acquire() to create one.
  */
 function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, colour)
 {
-   this.particleStart = GameHandler.frameStart;
-   this.position = position;
-   this.vector = vector;
-   this.size = size;
-   this.type = type;
-   this.lifespan = lifespan;
-   this.fadelength = fadelength;
-   this.colour = colour ? colour : Asteroids.Colours.PARTICLE; // default colour if none set
-   // randomize rotation speed and angle for line particle
-   if (type === 1)
+   this.init(position, vector, size, type, lifespan, fadelength, colour);
+}
+
+AsteroidsParticle.prototype =
+{
+   position: null,
+   vector: null,
+   pool: null,
+   
+   /**
+    * Particle initialisation - called on construction and when reused from the pool.
+    * The position and vector are copied into the particle's own vectors.
+    */
+   init: function(position, vector, size, type, lifespan, fadelength, colour)
    {
-      this.rotate = Rnd() * TWOPI;
-      this.rotationv = (Rnd() - 0.5) * 0.5;
-   }
+      if (this.position === null)
+      {
+         this.position = new Vector(position.x, position.y);
+         this.vector = new Vector(vector.x, vector.y);
+      }
+      else
+      {
+         this.position.x = position.x;
+         this.position.y = position.y;
+         this.vector.x = vector.x;
+         this.vector.y = vector.y;
+      }
+      this.particleStart = GameHandler.frameStart;
+      this.size = size;
+      this.type = type;
+      this.lifespan = lifespan;
+      this.fadelength = fadelength;
+      this.colour = colour ? colour : Asteroids.Colours.PARTICLE; // default colour if none set
+      // randomize rotation speed and angle for line particle
+      if (type === 1)
+      {
+         this.rotate = GameHandler.fxrng.rnd() * TWOPI;
+         this.rotationv = (GameHandler.fxrng.rnd() - 0.5) * 0.5;
+      }
+   },
+   
+   /**
+    * Return the particle to its pool once it has expired
+    */
+   release: function()
+   {
+      if (this.pool !== null)
+      {
+         this.pool.release(this);
+      }
+   },
    
    /**
     * Helper to return a value multiplied by the ratio of the remaining lifespan
@@ -102,7 +158,7 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
     * @param val     value to apply to the ratio of remaining lifespan
     * @param offset  offset at which to begin applying the ratio
     */
-   this.fadeValue = function(val, offset)
+   fadeValue: function(val, offset)
    {
       var rem = this.lifespan - (GameHandler.frameStart - this.particleStart),
           result = val;
@@ -115,15 +171,16 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
          else if (result > val) result = val;
       }
       return result;
-   };
+   },
    
-   this.update = function()
+   update: function()
    {
-      this.position.add(this.vector);
+      this.position.x += this.vector.x * GameHandler.frameMultipler;
+      this.position.y += this.vector.y * GameHandler.frameMultipler;
       return !(GameHandler.frameStart - this.particleStart > this.lifespan);
-   };
+   },
    
-   this.render = function(ctx)
+   render: function(ctx)
    {
       ctx.globalAlpha = this.fadeValue(1.0, this.fadelength);
       switch (this.type)
@@ -153,8 +210,10 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
                0, 0, (this.size + 1) << 3, this.position.x - offset, this.position.y - offset, (this.size + 1) << 3);
    		  	break;
       }
-   };
-}
+   }
+};
+
+AsteroidsParticle.pool = new Game.Pool(AsteroidsParticle);
 
 
 /**
@@ -170,43 +229,49 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
     */
    Asteroids.AsteroidExplosion = function(p, v, asteroid)
    {
-      // for bitmap asteroids, we want a mixed number of smudge/particles
-      // for vector asteroids, we want a number of vector lines
-      var count = (BITMAPS ? asteroid.size * 2 : asteroid.size + 2);
-      Asteroids.AsteroidExplosion.superclass.constructor.call(this, p, v, count, function()
-         {
-            // randomise radial direction vector - speed and angle, then add parent vector
-            var pos = p.clone();
-            if (BITMAPS)
+      this.init(p, v, asteroid);
+      return this;
+   };
+   
+   extend(Asteroids.AsteroidExplosion, Asteroids.Particles,
+   {
+      init: function init(p, v, asteroid)
+      {
+         // for bitmap asteroids, we want a mixed number of smudge/particles
+         // for vector asteroids, we want a number of vector lines
+         var count = (GameHandler.settings.get("bitmaps") ? asteroid.size * 2 : asteroid.size + 2);
+         Asteroids.AsteroidExplosion.superclass.init.call(this, p, v, count, function()
             {
-               if (Rnd() < 0.5)
+               // randomise radial direction vector - speed and angle, then add parent vector
+               if (GameHandler.settings.get("bitmaps"))
                {
-                  var t = new Vector(0, randomInt(5, 10));
-                  t.rotate(Rnd() * TWOPI).add(v);
-                  return new AsteroidsParticle(
-                     pos, t, ~~(Rnd() * 4), 0, 400, 300);
+                  if (GameHandler.fxrng.rnd() < 0.5)
+                  {
+                     var t = new Vector(0, GameHandler.fxrng.randomInt(5, 10));
+                     t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                     return AsteroidsParticle.pool.acquire(
+                        p, t, ~~(GameHandler.fxrng.rnd() * 4), 0, 400, 300);
+                  }
+                  else
+                  {
+                     var t = new Vector(0, GameHandler.fxrng.randomInt(1, 3));
+                     t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                     return AsteroidsParticle.pool.acquire(
+                        p, t, ~~(GameHandler.fxrng.rnd() * 4) + asteroid.size, 2, 500, 250);
+                  }
                }
                else
                {
-                  var t = new Vector(0, randomInt(1, 3));
-                  t.rotate(Rnd() * TWOPI).add(v);
-                  return new AsteroidsParticle(
-                     pos, t, ~~(Rnd() * 4) + asteroid.size, 2, 500, 250);
+                  var t = new Vector(0, GameHandler.fxrng.randomInt(2, 5));
+                  t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                  return AsteroidsParticle.pool.acquire(
+                     p, t, GameHandler.fxrng.rnd() * asteroid.size + 4, 1, 400, 300, "white");
                }
-            }
-            else
-            {
-               var t = new Vector(0, randomInt(2, 5));
-               t.rotate(Rnd() * TWOPI).add(v);
-               return new AsteroidsParticle(
-                  pos, t, Rnd() * asteroid.size + 4, 1, 400, 300, "white");
-            }
-         });
-      
-      return this;
-   };
+            });
+      }
+   });
    
-   extend(Asteroids.AsteroidExplosion, Asteroids.Particles);
+   Asteroids.AsteroidExplosion.pool = new Game.Pool(Asteroids.AsteroidExplosion);
 })();
 
 
@@ -223,43 +288,49 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
     */
    Asteroids.PlayerExplosion = function(p, v)
    {
-      // for bitmap mode, we want a mixed number of smudge/particles
-      // for vector mode, we want a number of vector lines
-      var count = (BITMAPS ? 12 : 3);
-      Asteroids.PlayerExplosion.superclass.constructor.call(this, p, v, count, function()
-         {
-            // randomise radial direction vector - speed and angle, then add parent vector
-            var pos = p.clone();
-            if (BITMAPS)
+      this.init(p, v);
+      return this;
+   };
+   
+   extend(Asteroids.PlayerExplosion, Asteroids.Particles,
+   {
+      init: function init(p, v)
+      {
+         // for bitmap mode, we want a mixed number of smudge/particles
+         // for vector mode, we want a number of vector lines
+         var count = (GameHandler.settings.get("bitmaps") ? 12 : 3);
+         Asteroids.PlayerExplosion.superclass.init.call(this, p, v, count, function()
             {
-               if (Rnd() < 0.5)
+               // randomise radial direction vector - speed and angle, then add parent vector
+               if (GameHandler.settings.get("bitmaps"))
                {
-                  var t = new Vector(0, randomInt(5, 10));
-                  t.rotate(Rnd() * TWOPI).add(v);
-                  return new AsteroidsParticle(
-                     pos, t, ~~(Rnd() * 4), 0, 400, 300);
+                  if (GameHandler.fxrng.rnd() < 0.5)
+                  {
+                     var t = new Vector(0, GameHandler.fxrng.randomInt(5, 10));
+                     t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                     return AsteroidsParticle.pool.acquire(
+                        p, t, ~~(GameHandler.fxrng.rnd() * 4), 0, 400, 300);
+                  }
+                  else
+                  {
+                     var t = new Vector(0, GameHandler.fxrng.randomInt(1, 3));
+                     t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                     return AsteroidsParticle.pool.acquire(
+                        p, t, ~~(GameHandler.fxrng.rnd() * 4) + 2, 2, 500, 250);
+                  }
                }
                else
                {
-                  var t = new Vector(0, randomInt(1, 3));
-                  t.rotate(Rnd() * TWOPI).add(v);
-                  return new AsteroidsParticle(
-                     pos, t, ~~(Rnd() * 4) + 2, 2, 500, 250);
+                  var t = new Vector(0, GameHandler.fxrng.randomInt(2, 5));
+                  t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                  return AsteroidsParticle.pool.acquire(
+                     p, t, 6, 1, 400, 300, "white");
                }
-            }
-            else
-            {
-               var t = new Vector(0, randomInt(2, 5));
-               t.rotate(Rnd() * TWOPI).add(v);
-               return new AsteroidsParticle(
-                  pos, t, 6, 1, 400, 300, "white");
-            }
-         });
-      
-      return this;
-   };
+            });
+      }
+   });
    
-   extend(Asteroids.PlayerExplosion, Asteroids.Particles);
+   Asteroids.PlayerExplosion.pool = new Game.Pool(Asteroids.PlayerExplosion);
 })();
 
 
@@ -276,43 +347,114 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
     */
    Asteroids.EnemyExplosion = function(p, v, enemy)
    {
-      // for bitmap mode, we want a mixed number of smudge/particles
-      // for vector mode, we want a number of vector lines
-      var count = (BITMAPS ? 8 : 6);
-      Asteroids.EnemyExplosion.superclass.constructor.call(this, p, v, count, function()
-         {
-            // randomise radial direction vector - speed and angle, then add parent vector
-            var pos = p.clone();
-            if (BITMAPS)
+      this.init(p, v, enemy);
+      return this;
+   };
+   
+   extend(Asteroids.EnemyExplosion, Asteroids.Particles,
+   {
+      init: function init(p, v, enemy)
+      {
+         // for bitmap mode, we want a mixed number of smudge/particles
+         // for vector mode, we want a number of vector lines
+         var count = (GameHandler.settings.get("bitmaps") ? 8 : 6);
+         Asteroids.EnemyExplosion.superclass.init.call(this, p, v, count, function()
             {
-               if (Rnd() < 0.5)
+               // randomise radial direction vector - speed and angle, then add parent vector
+               if (GameHandler.settings.get("bitmaps"))
                {
-                  var t = new Vector(0, randomInt(5, 10));
-                  t.rotate(Rnd() * TWOPI).add(v);
-                  return new AsteroidsParticle(
-                     pos, t, ~~(Rnd() * 4), 0, 400, 300, Asteroids.Colours.ENEMY_SHIP);
+                  if (GameHandler.fxrng.rnd() < 0.5)
+                  {
+                     var t = new Vector(0, GameHandler.fxrng.randomInt(5, 10));
+                     t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                     return AsteroidsParticle.pool.acquire(
+                        p, t, ~~(GameHandler.fxrng.rnd() * 4), 0, 400, 300, Asteroids.Colours.ENEMY_SHIP);
+                  }
+                  else
+                  {
+                     var t = new Vector(0, GameHandler.fxrng.randomInt(1, 3));
+                     t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                     return AsteroidsParticle.pool.acquire(
+                        p, t, ~~(GameHandler.fxrng.rnd() * 4) + (enemy.radius() >= 16 ? 2 : 0), 2, 500, 250, Asteroids.Colours.ENEMY_SHIP);
+                  }
                }
                else
                {
-                  var t = new Vector(0, randomInt(1, 3));
-                  t.rotate(Rnd() * TWOPI).add(v);
-                  return new AsteroidsParticle(
-                     pos, t, ~~(Rnd() * 4) + (enemy.size === 0 ? 2 : 0), 2, 500, 250, Asteroids.Colours.ENEMY_SHIP);
+                  var t = new Vector(0, GameHandler.fxrng.randomInt(2, 4));
+                  t.rotate(GameHandler.fxrng.rnd() * TWOPI).add(v);
+                  return AsteroidsParticle.pool.acquire(
+                     p, t, (enemy.radius() >= 16 ? 8 : 4), 1, 400, 300, Asteroids.Colours.ENEMY_SHIP);
                }
+            });
+      }
+   });
+   
+   Asteroids.EnemyExplosion.pool = new Game.Pool(Asteroids.EnemyExplosion);
+})();
+
+
+/**
+ * Boss saucer explosion sequence effect actor class.
+ * 
+ * A chain of saucer explosions scattered over the hull of the destroyed boss - ending in
+ * one big blast. The effect adds the explosions to the scene as it plays and draws nothing
+ * itself. Not pooled as there is only ever one boss.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.BossExplosion
+ */
+(function()
+{
+   Asteroids.BossExplosion = function(p, v, boss)
+   {
+      this.init(p, v, boss);
+      return this;
+   };
+   
+   extend(Asteroids.BossExplosion, Game.EffectActor,
+   {
+      /**
+       * Number of explosions in the chain and the ms between them
+       */
+      BLASTS: 10,
+      BLAST_MS: 120,
+      
+      /**
+       * The destroyed boss and the explosions played so far
+       */
+      boss: null,
+      blasts: 0,
+      
+      init: function init(p, v, boss)
+      {
+         Asteroids.BossExplosion.superclass.init.call(this, p, v.nscale(0.25), this.BLASTS * this.BLAST_MS);
+         this.boss = boss;
+         this.blasts = 0;
+      },
+      
+      onUpdate: function onUpdate(scene)
+      {
+         var due = Math.min(Floor((GameHandler.frameStart - this.effectStart) / this.BLAST_MS) + 1, this.BLASTS);
+         for (; this.blasts < due; this.blasts++)
+         {
+            if (this.blasts < this.BLASTS - 1)
+            {
+               // a saucer explosion somewhere on the hull
+               var offset = new Vector(0, GameHandler.fxrng.rnd() * this.boss.radius()).rotate(GameHandler.fxrng.rnd() * TWOPI);
+               scene.effects.push(Asteroids.EnemyExplosion.pool.acquire(offset.add(this.position), this.vector, this.boss));
+               scene.game.shake(6);
+               GameHandler.audio.play('asteroid_boom' + GameHandler.fxrng.randomInt(1,4), {position: this.position});
             }
             else
             {
-               var t = new Vector(0, randomInt(2, 4));
-               t.rotate(Rnd() * TWOPI).add(v);
-               return new AsteroidsParticle(
-                  pos, t, (enemy.size === 0 ? 8 : 4), 1, 400, 300, Asteroids.Colours.ENEMY_SHIP);
+               // the final big blast
+               scene.effects.push(Asteroids.Explosion.pool.acquire(this.position, this.vector, this.boss.radius() / 4));
+               scene.game.shake(16);
+               GameHandler.audio.play('big_boom', {position: this.position});
             }
-         });
-      
-      return this;
-   };
-   
-   extend(Asteroids.EnemyExplosion, Asteroids.Particles);
+         }
+      }
+   });
 })();
 
 
@@ -329,8 +471,7 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
 {
    Asteroids.Explosion = function(p, v, s)
    {
-      Asteroids.Explosion.superclass.constructor.call(this, p, v, this.FADE_LENGTH);
-      this.size = s;
+      this.init(p, v, s);
       return this;
    };
    
@@ -343,6 +484,12 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
        */
       size: 0,
       
+      init: function init(p, v, s)
+      {
+         Asteroids.Explosion.superclass.init.call(this, p, v, this.FADE_LENGTH);
+         this.size = s;
+      },
+      
       /**
        * Explosion rendering method
        * 
@@ -364,6 +511,8 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
          ctx.restore();
       }
    });
+   
+   Asteroids.Explosion.pool = new Game.Pool(Asteroids.Explosion);
 })();
 
 
@@ -378,19 +527,26 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
 {
    Asteroids.PlayerBulletImpact = function(p, v)
    {
-      Asteroids.PlayerBulletImpact.superclass.constructor.call(this, p, v, 5, function()
-         {
-            // slightly randomise vector angle - then add parent vector
-            var t = v.nscale(0.75 + Rnd() * 0.5);
-            t.rotate(Rnd() * PIO4 - PIO8);
-            return new AsteroidsParticle(
-               p.clone(), t, ~~(Rnd() * 4), 0, 250, 150, Asteroids.Colours.GREEN_LASER);
-         });
-      
+      this.init(p, v);
       return this;
    };
    
-   extend(Asteroids.PlayerBulletImpact, Asteroids.Particles);
+   extend(Asteroids.PlayerBulletImpact, Asteroids.Particles,
+   {
+      init: function init(p, v)
+      {
+         Asteroids.PlayerBulletImpact.superclass.init.call(this, p, v, 5, function()
+            {
+               // slightly randomise vector angle - then add parent vector
+               var t = v.nscale(0.75 + GameHandler.fxrng.rnd() * 0.5);
+               t.rotate(GameHandler.fxrng.rnd() * PIO4 - PIO8);
+               return AsteroidsParticle.pool.acquire(
+                  p, t, ~~(GameHandler.fxrng.rnd() * 4), 0, 250, 150, Asteroids.Colours.GREEN_LASER);
+            });
+      }
+   });
+   
+   Asteroids.PlayerBulletImpact.pool = new Game.Pool(Asteroids.PlayerBulletImpact);
 })();
 
 
@@ -405,19 +561,26 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
 {
    Asteroids.EnemyBulletImpact = function(p, v)
    {
-      Asteroids.EnemyBulletImpact.superclass.constructor.call(this, p, v, 5, function()
-         {
-            // slightly randomise vector angle - then add parent vector
-            var t = v.nscale(0.75 + Rnd() * 0.5);
-            t.rotate(Rnd() * PIO4 - PIO8);
-            return new AsteroidsParticle(
-               p.clone(), t, ~~(Rnd() * 4), 0, 250, 150, Asteroids.Colours.ENEMY_SHIP);
-         });
-      
+      this.init(p, v);
       return this;
    };
    
-   extend(Asteroids.EnemyBulletImpact, Asteroids.Particles);
+   extend(Asteroids.EnemyBulletImpact, Asteroids.Particles,
+   {
+      init: function init(p, v)
+      {
+         Asteroids.EnemyBulletImpact.superclass.init.call(this, p, v, 5, function()
+            {
+               // slightly randomise vector angle - then add parent vector
+               var t = v.nscale(0.75 + GameHandler.fxrng.rnd() * 0.5);
+               t.rotate(GameHandler.fxrng.rnd() * PIO4 - PIO8);
+               return AsteroidsParticle.pool.acquire(
+                  p, t, ~~(GameHandler.fxrng.rnd() * 4), 0, 250, 150, Asteroids.Colours.ENEMY_SHIP);
+            });
+      }
+   });
+   
+   Asteroids.EnemyBulletImpact.pool = new Game.Pool(Asteroids.EnemyBulletImpact);
 })();
 
 
@@ -432,21 +595,28 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
 {
    Asteroids.TextIndicator = function(p, v, msg, textSize, colour, fadeLength)
    {
-      this.fadeLength = (fadeLength ? fadeLength : this.DEFAULT_FADE_LENGTH);
-      Asteroids.TextIndicator.superclass.constructor.call(this, p, v, this.fadeLength);
-      this.msg = msg;
-      if (textSize) this.textSize = textSize;
-      if (colour) this.colour = colour;
+      this.init(p, v, msg, textSize, colour, fadeLength);
       return this;
    };
    
    extend(Asteroids.TextIndicator, Game.EffectActor,
    {
       DEFAULT_FADE_LENGTH: 500,
+      DEFAULT_TEXT_SIZE: 12,
+      DEFAULT_COLOUR: "white",
       fadeLength: 0,
-      textSize: 12,
+      textSize: 0,
       msg: null,
-      colour: "white",
+      colour: null,
+      
+      init: function init(p, v, msg, textSize, colour, fadeLength)
+      {
+         this.fadeLength = (fadeLength ? fadeLength : this.DEFAULT_FADE_LENGTH);
+         Asteroids.TextIndicator.superclass.init.call(this, p, v, this.fadeLength);
+         this.msg = msg;
+         this.textSize = (textSize ? textSize : this.DEFAULT_TEXT_SIZE);
+         this.colour = (colour ? colour : this.DEFAULT_COLOUR);
+      },
       
       /**
        * Text indicator effect rendering method
@@ -463,6 +633,8 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
          ctx.restore();
       }
    });
+   
+   Asteroids.TextIndicator.pool = new Game.Pool(Asteroids.TextIndicator);
 })();
 
 
@@ -476,16 +648,24 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
 {
    Asteroids.ScoreIndicator = function(p, v, score, textSize, prefix, colour, fadeLength)
    {
-      var msg = score.toString();
-      if (prefix)
-      {
-         msg = prefix + ' ' + msg;
-      }
-      Asteroids.ScoreIndicator.superclass.constructor.call(this, p, v, msg, textSize, colour, fadeLength);
+      this.init(p, v, score, textSize, prefix, colour, fadeLength);
       return this;
    };
    
-   extend(Asteroids.ScoreIndicator, Asteroids.TextIndicator);
+   extend(Asteroids.ScoreIndicator, Asteroids.TextIndicator,
+   {
+      init: function init(p, v, score, textSize, prefix, colour, fadeLength)
+      {
+         var msg = score.toString();
+         if (prefix)
+         {
+            msg = prefix + ' ' + msg;
+         }
+         Asteroids.ScoreIndicator.superclass.init.call(this, p, v, msg, textSize, colour, fadeLength);
+      }
+   });
+   
+   Asteroids.ScoreIndicator.pool = new Game.Pool(Asteroids.ScoreIndicator);
 })();
 
 
@@ -499,15 +679,22 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
 {
    Asteroids.PowerUp = function(p, v)
    {
-      Asteroids.PowerUp.superclass.constructor.call(this, p, v);
+      this.init(p, v);
       return this;
    };
    
    extend(Asteroids.PowerUp, Game.EffectActor,
    {
       RADIUS: 8,
-      pulse: 128,
-      pulseinc: 5,
+      pulse: 0,
+      pulseinc: 0,
+      
+      init: function init(p, v)
+      {
+         Asteroids.PowerUp.superclass.init.call(this, p, v);
+         this.pulse = 128;
+         this.pulseinc = 5;
+      },
       
       /**
        * Power up rendering method
@@ -519,7 +706,7 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
          ctx.save();
          ctx.globalAlpha = 0.75;
          var col = "rgb(255," + this.pulse.toString() + ",0)";
-         if (BITMAPS)
+         if (GameHandler.settings.get("bitmaps"))
          {
             ctx.fillStyle = col;
             ctx.strokeStyle = "rgb(255,255,128)";
@@ -532,7 +719,7 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
          ctx.beginPath();
          ctx.arc(this.position.x, this.position.y, this.RADIUS, 0, TWOPI, true);
          ctx.closePath();
-         if (BITMAPS)
+         if (GameHandler.settings.get("bitmaps"))
          {
             ctx.fill();
          }
@@ -559,13 +746,14 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
       collected: function collected(game, player, scene)
       {
          // randomly select a powerup to apply
-         var message = null;
-         switch (randomInt(0, 9))
+         var message = null, type = null;
+         switch (GameHandler.rng.randomInt(0, 9))
          {
             case 0:
             case 1:
                // boost energy
                message = "Energy Boost!";
+               type = "energy";
                player.energy += player.ENERGY_INIT/2;
                if (player.energy > player.ENERGY_INIT)
                {
@@ -576,18 +764,21 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
             case 2:
                // fire when shieled
                message = "Fire When Shielded!";
+               type = "shieldFire";
                player.fireWhenShield = true;
                break;
             
             case 3:
                // extra life
                message = "Extra Life!";
+               type = "life";
                game.lives++;
                break;
             
             case 4:
                // slow down asteroids
                message = "Slow Down Asteroids!";
+               type = "slow";
                for (var n = 0, m = scene.enemies.length, enemy; n < m; n++)
                {
                   enemy = scene.enemies[n];
@@ -601,65 +792,84 @@ function AsteroidsParticle(position, vector, size, type, lifespan, fadelength, c
             case 5:
                // smart bomb
                message = "Smart Bomb!";
+               type = "smartBomb";
                
                var effectRad = 96;
                
                // add a BIG explosion actor at the smart bomb weapon position and vector
-               var boom = new Asteroids.Explosion(
-                     this.position.clone(), this.vector.clone().scale(0.5), effectRad / 8);
+               var boom = Asteroids.Explosion.pool.acquire(
+                     this.position, this.vector.nscale(0.5), effectRad / 8);
                scene.effects.push(boom);
                
-               // test circle intersection with each enemy actor
-               // we check the enemy list length each iteration to catch baby asteroids
-               // this is a fully fledged smart bomb after all!
-               for (var n = 0, enemy, pos = this.position; n < scene.enemies.length; n++)
+               // test circle intersection with each enemy actor near the bomb
+               scene.updateEnemyHash();
+               var enemies = scene.enemyHash.query(this.position.x, this.position.y, effectRad),
+                   kills = 0;
+               for (var n = 0, enemy, count, pos = this.position; n < enemies.length; n++)
                {
-                  enemy = scene.enemies[n];
+                  enemy = enemies[n];
                   
                   // test the distance against the two radius combined
-                  if (pos.distance(enemy.position) <= effectRad + enemy.radius())
+                  if (pos.distance(enemy.position) <= effectRad + enemy.radius() && enemy.hit(-1))
                   {
                      // intersection detected! 
-                     enemy.hit(-1);
                      scene.generatePowerUp(enemy);
+                     count = scene.enemies.length;
                      scene.destroyEnemy(enemy, this.vector, true);
+                     kills++;
+                     
+                     // add any baby asteroids to the list to test
+                     // this is a fully fledged smart bomb after all!
+                     for (; count < scene.enemies.length; count++)
+                     {
+                        enemies.push(scene.enemies[count]);
+                     }
                   }
                }
+               game.gameEvent("smartBomb", {kills: kills});
                break;
             
             case 6:
                // twin cannon primary weapon upgrade
                message = "Twin Cannons!";
+               type = "twin";
                player.primaryWeapons["main"] = new Asteroids.TwinCannonsWeapon(player);
                break;
             
             case 7:
                // v spray cannons
                message = "Spray Cannons!";
+               type = "spray";
                player.primaryWeapons["main"] = new Asteroids.VSprayCannonsWeapon(player);
                break;
             
             case 8:
                // rear guns
                message = "Rear Gun!";
+               type = "rear";
                player.primaryWeapons["rear"] = new Asteroids.RearGunWeapon(player);
                break;
             
             case 9:
                // side guns
                message = "Side Guns!";
+               type = "side";
                player.primaryWeapons["side"] = new Asteroids.SideGunWeapon(player);
                break;
          }
          
+         GameHandler.stats.powerUp(type);
+         
          if (message)
          {
             // generate a effect indicator at the destroyed enemy position
             var vec = new Vector(0, -1.5);
-            var effect = new Asteroids.TextIndicator(
+            var effect = Asteroids.TextIndicator.pool.acquire(
                   new Vector(this.position.x, this.position.y - this.RADIUS), vec, message, null, null, 700);
             scene.effects.push(effect);
          }
       }
    });
+   
+   Asteroids.PowerUp.pool = new Game.Pool(Asteroids.PowerUp);
 })();
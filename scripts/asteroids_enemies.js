@@ -15,17 +15,17 @@
       // randomly select an asteroid image bitmap
       if (t === undefined)
       {
-         t = randomInt(1, 4);
+         t = GameHandler.rng.randomInt(1, 4);
       }
       this.animImage = g_asteroidImgs[t-1];
       this.type = t;
       
       // randomly setup animation speed and direction
-      this.animForward = (Rnd() < 0.5);
-      this.animSpeed = 0.3 + Rnd() * 0.5;
+      this.animForward = (GameHandler.rng.rnd() < 0.5);
+      this.animSpeed = 0.3 + GameHandler.rng.rnd() * 0.5;
       this.animLength = this.ANIMATION_LENGTH;
-      this.rotation = randomInt(0, 180);
-      this.rotationSpeed = (Rnd() - 0.5) / 30;
+      this.rotation = GameHandler.rng.randomInt(0, 180);
+      this.rotationSpeed = (GameHandler.rng.rnd() - 0.5) / 30;
       
       return this;
    };
@@ -62,7 +62,7 @@
       {
          var rad = this.size * 8;
          ctx.save();
-         if (BITMAPS)
+         if (GameHandler.settings.get("bitmaps"))
          {
             // render asteroid graphic bitmap
             // bitmap is rendered slightly large than the radius as the raytraced asteroid graphics do not
@@ -72,11 +72,11 @@
          else
          {
             // draw asteroid vector graphic
-            var imgsize = rad*2 + GLOWSHADOWBLUR*2;
+            var imgsize = rad*2 + GameHandler.settings.get("glow")*2;
             Game.Util.renderImageRotated(ctx, GameHandler.bitmaps.images["asteroid"][this.type-1][this.size-1],
                this.position.x, this.position.y,
                imgsize, imgsize,
-               this.rotation += this.rotationSpeed);
+               this.rotation += this.rotationSpeed * GameHandler.frameMultipler);
          }
          ctx.restore();
       },
@@ -112,19 +112,27 @@
 /**
  * Enemy Ship actor class.
  * 
+ * The saucers fly by steering behaviours - each tick a wanted vector is made from keeping
+ * a preferred distance from the player while circling them, and from turning away from
+ * any asteroid on a collision course. The saucer vector is turned toward the wanted vector
+ * a little each tick. The way to the player is the shortest way across the wrap around
+ * arena - so a saucer may flank the player through the edge of the screen. The saucers
+ * lead their shots to where the player is heading - less accurately on easier difficulty.
+ * 
  * @namespace Asteroids
  * @class Asteroids.EnemyShip
  */
 (function()
 {
-   Asteroids.EnemyShip = function(scene, size)
+   Asteroids.EnemyShip = function(scene, size, speed)
    {
       this.size = size;
+      this.behaviour = this.BEHAVIOUR[size];
+      this.speed = this.behaviour.speed * (speed !== undefined ? speed : 1);
       
       // small ship, alter settings slightly
       if (this.size === 1)
       {
-         this.BULLET_RECHARGE_MS = 1300;
          this.RADIUS = 8;
       }
       
@@ -144,7 +152,7 @@
             // player in bottom left of the screen
             p = new Vector(GameHandler.width-48, 48);
          }
-         v = new Vector(-(Rnd() + 0.25 + size*0.75), Rnd() + 0.25 + size*0.75);
+         v = new Vector(-(GameHandler.rng.rnd() + 0.25 + size*0.75), GameHandler.rng.rnd() + 0.25 + size*0.75);
       }
       else
       {
@@ -159,8 +167,12 @@
             // player in bottom right of the screen
             p = new Vector(0, 48);
          }
-         v = new Vector(Rnd() + 0.25 + size*0.75, Rnd() + 0.25 + size*0.75);
+         v = new Vector(GameHandler.rng.rnd() + 0.25 + size*0.75, GameHandler.rng.rnd() + 0.25 + size*0.75);
       }
+      v.scale(this.speed / Math.max(v.length(), 1));
+      
+      // circle the player clockwise or anticlockwise
+      this.orbit = (GameHandler.rng.rnd() < 0.5 ? 1 : -1);
       
       // setup SpriteActor values
       this.animImage = g_enemyshipImg;
@@ -175,7 +187,29 @@
    {
       SHIP_ANIM_LENGTH: 90,
       RADIUS: 16,
-      BULLET_RECHARGE_MS: 1800,
+      
+      /**
+       * Behaviour of each saucer size:
+       * 
+       *    speed        Cruising speed - multiplied by the wave saucer speed
+       *    steer        Part of the difference between the current and the wanted vector
+       *                 turned each tick
+       *    range        Preferred distance from the player - the saucer closes in when
+       *                 further away and backs off when nearer
+       *    avoidRange   Distance asteroids are checked for a collision course
+       *    lookAhead    Time ahead in frames a collision course is looked for
+       *    margin       Clearance kept from an asteroid - added to the two radii
+       *    avoid        Strength of the turn away from an asteroid
+       *    recharge     Time in ms between shots
+       *    bulletSpeed  Speed of the saucer bullets
+       *    aim          Largest aim error in radians - multiplied by the difficulty
+       */
+      BEHAVIOUR: [
+         {speed: 1.1, steer: 0.02, range: 220, avoidRange: 120, lookAhead: 60, margin: 12, avoid: 2.0,
+          recharge: 1800, bulletSpeed: 3.0, aim: 0.3},
+         {speed: 2.0, steer: 0.04, range: 160, avoidRange: 100, lookAhead: 40, margin: 8, avoid: 2.5,
+          recharge: 1300, bulletSpeed: 3.5, aim: 0.12}
+      ],
       
       /**
        * True if ship alive, false if ready for expiration
@@ -187,6 +221,14 @@
        */
       size: 0,
       
+      /**
+       * Behaviour of the ship size, its cruising speed and the direction it circles the
+       * player - 1 or -1
+       */
+      behaviour: null,
+      speed: 0,
+      orbit: 1,
+      
       /**
        * Bullet fire recharging counter
        */
@@ -194,56 +236,139 @@
       
       onUpdate: function onUpdate(scene)
       {
-         // change enemy direction randomly
-         if (this.size === 0)
+         var b = this.behaviour, player = scene.player;
+         
+         // keep to the preferred range of the player - circling them once there
+         var want;
+         if (player.alive)
          {
-            if (Rnd() < 0.01)
-            {
-               this.vector.y = -(this.vector.y + (0.25 - (Rnd()/2)));
-            }
+            var d = this.wrapOffset(player.position), dist = Math.max(d.length(), 1);
+            d.scale(1 / dist);
+            var close = Math.max(-1, Math.min(1, (dist - b.range) / b.range));
+            want = d.clone().scale(close).add(new Vector(-d.y, d.x).scale(this.orbit * (1 - Math.abs(close))));
          }
          else
          {
-            if (Rnd() < 0.02)
+            want = this.vector.clone();
+         }
+         var len = want.length();
+         if (len !== 0)
+         {
+            want.scale(this.speed / len);
+         }
+         
+         // turn away from asteroids on a collision course - the enemy list is walked rather
+         // than the enemy hash as the hash holds the positions of the last tick and not the
+         // enemies added since
+         for (var i=0, enemies=scene.enemies; i<enemies.length; i++)
+         {
+            var e = enemies[i];
+            if (e instanceof Asteroids.Asteroid && e.alive)
             {
-               this.vector.y = -(this.vector.y + (0.5 - Rnd()));
+               var r = this.wrapOffset(e.position);
+               if (r.length() > b.avoidRange + e.radius())
+               {
+                  continue;
+               }
+               
+               // the closest approach of the asteroid moving relative to the ship
+               var u = e.vector.clone().sub(this.vector),
+                   uu = u.x * u.x + u.y * u.y,
+                   t = (uu !== 0 ? -(r.x * u.x + r.y * u.y) / uu : 0);
+               if (t > 0 && t < b.lookAhead)
+               {
+                  var c = r.add(u.scale(t)), miss = c.length();
+                  if (miss < e.radius() + this.RADIUS + b.margin)
+                  {
+                     // steer away from where the asteroid passes - or sideways if head on
+                     var away = (miss !== 0 ? c.scale(-1 / miss) : new Vector(-u.y, u.x).scale(1 / Math.sqrt(uu)));
+                     want.add(away.scale(this.speed * b.avoid * (1 - t / b.lookAhead)));
+                  }
+               }
             }
          }
          
+         // turn toward the wanted vector - keeping the cruising speed
+         this.vector.add(want.sub(this.vector).scale(Math.min(1, b.steer * GameHandler.frameMultipler)));
+         
          // regular fire a bullet at the player
-         if (GameHandler.frameStart - this.bulletRecharge > this.BULLET_RECHARGE_MS && scene.player.alive)
+         if (GameHandler.frameStart - this.bulletRecharge > b.recharge && player.alive)
          {
             // ok, update last fired time and we can now generate a bullet
             this.bulletRecharge = GameHandler.frameStart;
             
-            // generate a vector pointed at the player
-            // by calculating a vector between the player and enemy positions
-            var v = scene.player.position.clone().sub(this.position);
-            // scale resulting vector down to bullet vector size
-            var scale = (this.size === 0 ? 3.0 : 3.5) / v.length();
-            v.x *= scale;
-            v.y *= scale;
-            // slightly randomize the direction (big ship is less accurate also)
-            v.x += (this.size === 0 ? (Rnd() * 2 - 1) : (Rnd() - 0.5));
-            v.y += (this.size === 0 ? (Rnd() * 2 - 1) : (Rnd() - 0.5));
-            // - could add the enemy motion vector for correct momentum
-            // - but problem is this leads to slow bullets firing back from dir of travel
-            // - so pretend that enemies are clever enough to account for this...
-            //v.add(this.vector);
-            
-            var bullet = new Asteroids.EnemyBullet(this.position.clone(), v);
-            scene.enemyBullets.push(bullet);
-            
-            if (SOUND && soundManager) soundManager.play('enemy_bomb');
+            // aim where the bullet will meet the player - allowing for the player momentum
+            // but not the enemy motion - as the bullet is fired without it
+            var v = this.lead(this.wrapOffset(player.position), player.vector, b.bulletSpeed);
+            if (v !== null)
+            {
+               // miss by up to the aim error of the ship size and the difficulty
+               v.rotate((GameHandler.rng.rnd() * 2 - 1) * b.aim * scene.game.difficultyLevel().enemyAim);
+               
+               var bullet = Asteroids.EnemyBullet.pool.acquire(this.position, v);
+               scene.enemyBullets.push(bullet);
+               
+               GameHandler.audio.play('enemy_bomb', {position: this.position});
+            }
          }
       },
       
+      /**
+       * @param p {Vector} Position in the arena
+       * @return {Vector} the shortest offset from the ship to the position - which may be
+       *         across the edges of the wrap around arena
+       */
+      wrapOffset: function wrapOffset(p)
+      {
+         var x = p.x - this.position.x, y = p.y - this.position.y,
+             w = GameHandler.width, h = GameHandler.height;
+         if (x > w / 2) x -= w; else if (x < -w / 2) x += w;
+         if (y > h / 2) y -= h; else if (y < -h / 2) y += h;
+         return new Vector(x, y);
+      },
+      
+      /**
+       * Lead a shot at a moving target
+       * 
+       * @param d {Vector} Offset of the target from the ship
+       * @param tv {Vector} Target vector
+       * @param speed {number} Bullet speed
+       * @return {Vector} bullet vector to meet the target - straight at it if the bullet
+       *         cannot catch the target - or null if there is no way to aim e.g. the ship
+       *         is on top of the target
+       */
+      lead: function lead(d, tv, speed)
+      {
+         // solve |d + tv*t| = speed*t for the earliest time t the bullet meets the target
+         var a = tv.x * tv.x + tv.y * tv.y - speed * speed,
+             b = 2 * (d.x * tv.x + d.y * tv.y),
+             c = d.x * d.x + d.y * d.y,
+             t = -1;
+         if (Math.abs(a) < 1e-6)
+         {
+            t = (b !== 0 ? -c / b : -1);
+         }
+         else
+         {
+            var disc = b * b - 4 * a * c;
+            if (disc >= 0)
+            {
+               var root = Math.sqrt(disc), t1 = (-b - root) / (2 * a), t2 = (-b + root) / (2 * a);
+               t = Math.min(t1, t2);
+               if (t < 0) t = Math.max(t1, t2);
+            }
+         }
+         var aim = (t > 0 ? d.clone().add(tv.clone().scale(t)) : d.clone()),
+             len = aim.length();
+         return (len !== 0 ? aim.scale(speed / len) : null);
+      },
+      
       /**
        * Enemy rendering method
        */
       onRender: function onRender(ctx)
       {
-         if (BITMAPS)
+         if (GameHandler.settings.get("bitmaps"))
          {
             // render enemy graphic bitmap
             var rad = this.RADIUS + 2;
@@ -306,3 +431,509 @@
       }
    });
 })();
+
+
+/**
+ * Boss saucer actor class.
+ * 
+ * A huge saucer that takes many hits to destroy. The boss attacks in phases as its health
+ * falls - radial bursts of bullets, then minion saucers launched from the hull and finally
+ * asteroids dropped into the play field. A bomb, smart bomb or shield ram does heavy damage
+ * rather than destroying the boss outright.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.BossShip
+ */
+(function()
+{
+   Asteroids.BossShip = function(scene, health)
+   {
+      this.health = this.maxHealth = health;
+      
+      // arrive at the top of the screen on the opposite side to the player
+      var p = new Vector(scene.player.position.x < GameHandler.width / 2 ? GameHandler.width * 0.75 : GameHandler.width * 0.25, 80),
+          v = new Vector(scene.player.position.x < GameHandler.width / 2 ? -this.SPEED : this.SPEED, 0);
+      
+      // setup SpriteActor values
+      this.animImage = g_enemyshipImg;
+      this.animLength = this.SHIP_ANIM_LENGTH;
+      
+      Asteroids.BossShip.superclass.constructor.call(this, p, v);
+      
+      this.arrived = this.burstTime = this.minionTime = this.dropTime = GameHandler.frameStart;
+      
+      return this;
+   };
+   
+   extend(Asteroids.BossShip, Game.EnemyActor,
+   {
+      SHIP_ANIM_LENGTH: 90,
+      RADIUS: 40,
+      SPEED: 0.6,
+      
+      /**
+       * Attack pattern of each phase - the ms between radial bullet bursts and the bullets
+       * in each burst, the ms between minion saucers and between dropped asteroids (0 for
+       * none). The boss moves to the next phase as each third of its health is lost.
+       */
+      PHASES: [
+         {burst: 2400, bullets: 12, minion: 0, drop: 0},
+         {burst: 2000, bullets: 12, minion: 7000, drop: 0},
+         {burst: 1600, bullets: 16, minion: 7000, drop: 5000}
+      ],
+      
+      /**
+       * Most minion saucers on screen at once
+       */
+      MAX_MINIONS: 2,
+      
+      /**
+       * Damage done by an instant kill weapon - taken at most once in IMPACT_MS
+       */
+      IMPACT_DAMAGE: 8,
+      IMPACT_MS: 500,
+      
+      /**
+       * Length in ms of the flash shown as the boss is hit
+       */
+      FLASH_MS: 100,
+      
+      /**
+       * Boss size - the saucer sizes are 0 and 1
+       */
+      size: 2,
+      
+      health: 0,
+      maxHealth: 0,
+      
+      /**
+       * Simulation time the boss arrived, the time of the last attack of each kind and of
+       * the last hit and instant kill weapon impact
+       */
+      arrived: 0,
+      burstTime: 0,
+      minionTime: 0,
+      dropTime: 0,
+      hitTime: -Infinity,
+      impactTime: -Infinity,
+      
+      /**
+       * Rotation of the next radial bullet burst
+       */
+      burstAngle: 0,
+      
+      /**
+       * @return the attack phase of the boss 0-2
+       */
+      phase: function phase()
+      {
+         var ratio = this.health / this.maxHealth;
+         return (ratio > 2/3 ? 0 : (ratio > 1/3 ? 1 : 2));
+      },
+      
+      onUpdate: function onUpdate(scene)
+      {
+         // drift across the screen with a slow bob up and down
+         this.vector.y = Math.sin((GameHandler.frameStart - this.arrived) / 1500) * 0.5;
+         
+         var phase = this.PHASES[this.phase()];
+         
+         // radial burst of bullets - each burst is turned a little from the last
+         if (GameHandler.frameStart - this.burstTime > phase.burst && scene.player.alive)
+         {
+            this.burstTime = GameHandler.frameStart;
+            for (var i=0; i<phase.bullets; i++)
+            {
+               var v = new Vector(0, 2.5).rotate(this.burstAngle + i * TWOPI / phase.bullets);
+               scene.enemyBullets.push(Asteroids.EnemyBullet.pool.acquire(this.position, v));
+            }
+            this.burstAngle += 0.3;
+            GameHandler.audio.play('enemy_bomb', {position: this.position});
+         }
+         
+         // launch a small saucer from the hull
+         if (phase.minion !== 0 && GameHandler.frameStart - this.minionTime > phase.minion &&
+             scene.enemyShipCount < this.MAX_MINIONS)
+         {
+            this.minionTime = GameHandler.frameStart;
+            var minion = new Asteroids.EnemyShip(scene, 1);
+            minion.position.x = this.position.x;
+            minion.position.y = this.position.y;
+            scene.enemies.push(minion);
+            scene.enemyShipCount++;
+         }
+         
+         // drop an asteroid into the play field
+         if (phase.drop !== 0 && GameHandler.frameStart - this.dropTime > phase.drop)
+         {
+            this.dropTime = GameHandler.frameStart;
+            var asteroid = new Asteroids.Asteroid(this.position.clone(),
+                  new Vector(GameHandler.rng.rnd() - 0.5, 1.0 + GameHandler.rng.rnd() * 0.5), 2);
+            asteroid.health *= scene.definition.health;
+            scene.enemies.push(asteroid);
+         }
+      },
+      
+      /**
+       * Boss rendering method - flashes as it is hit
+       */
+      onRender: function onRender(ctx)
+      {
+         var flash = (GameHandler.frameStart - this.hitTime < this.FLASH_MS);
+         if (GameHandler.settings.get("bitmaps"))
+         {
+            // render the enemy graphic bitmap scaled up
+            var rad = this.RADIUS + 4;
+            this.renderSprite(ctx, this.position.x - rad, this.position.y - rad, rad * 2, true);
+            if (flash)
+            {
+               ctx.save();
+               ctx.globalAlpha = 0.4;
+               ctx.fillStyle = "white";
+               ctx.beginPath();
+               ctx.arc(this.position.x, this.position.y, this.RADIUS * 0.75, 0, TWOPI, true);
+               ctx.closePath();
+               ctx.fill();
+               ctx.restore();
+            }
+         }
+         else
+         {
+            ctx.save();
+            ctx.translate(this.position.x, this.position.y);
+            
+            // the saucer vector graphic scaled up - with the line scale scaled down to match
+            ctx.scale(5, 5);
+            ctx.lineWidth = 0.4;
+            
+            ctx.beginPath();
+            ctx.moveTo(0, -4);
+            ctx.lineTo(8, 3);
+            ctx.lineTo(0, 8);
+            ctx.lineTo(-8, 3);
+            ctx.lineTo(0, -4);
+            ctx.closePath();
+            ctx.shadowColor = ctx.strokeStyle = (flash ? "white" : Asteroids.Colours.ENEMY_SHIP_DARK);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(0, -8);
+            ctx.lineTo(4, -4);
+            ctx.lineTo(0, 0);
+            ctx.lineTo(-4, -4);
+            ctx.lineTo(0, -8);
+            ctx.closePath();
+            ctx.shadowColor = ctx.strokeStyle = (flash ? "white" : Asteroids.Colours.ENEMY_SHIP);
+            ctx.stroke();
+            
+            ctx.restore();
+         }
+      },
+      
+      radius: function radius()
+      {
+         return this.RADIUS;
+      },
+      
+      /**
+       * Boss hit by a bullet or an instant kill weapon
+       * 
+       * @param force of the impacting bullet, -1 for an instant kill weapon
+       * @return true if destroyed, false otherwise
+       */
+      hit: function hit(force)
+      {
+         if (force === -1)
+         {
+            if (GameHandler.frameStart - this.impactTime < this.IMPACT_MS)
+            {
+               return false;
+            }
+            this.impactTime = GameHandler.frameStart;
+            force = this.IMPACT_DAMAGE;
+         }
+         this.health -= force;
+         this.hitTime = GameHandler.frameStart;
+         return !(this.alive = (this.health > 0));
+      }
+   });
+})();
+
+
+/**
+ * Cluster ship actor class.
+ * 
+ * A slow ship carrying a cluster of fighters that drifts toward the player - any hit
+ * breaks it apart and releases the fighters, see Asteroids.ClusterFighter.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.ClusterShip
+ */
+(function()
+{
+   Asteroids.ClusterShip = function(scene, speed)
+   {
+      this.speed = this.SPEED * speed;
+      
+      // enter on the opposite side of the screen to the player - heading toward them
+      var p = new Vector(scene.player.position.x < GameHandler.width / 2 ? GameHandler.width - 48 : 48,
+                         scene.player.position.y < GameHandler.height / 2 ? GameHandler.height - 48 : 48),
+          v = scene.player.position.clone().sub(p);
+      v.scale(this.speed / Math.max(v.length(), 1));
+      
+      // setup SpriteActor values
+      this.animImage = g_enemyshipImg;
+      this.animLength = this.SHIP_ANIM_LENGTH;
+      
+      Asteroids.ClusterShip.superclass.constructor.call(this, p, v);
+      
+      return this;
+   };
+   
+   extend(Asteroids.ClusterShip, Game.EnemyActor,
+   {
+      SHIP_ANIM_LENGTH: 90,
+      RADIUS: 20,
+      SPEED: 0.75,
+      
+      /**
+       * Steering toward the player - the part of the difference between the current and
+       * the wanted vector turned each tick
+       */
+      TURN: 0.005,
+      
+      /**
+       * Number of fighters released as the ship breaks apart
+       */
+      FIGHTERS: 4,
+      
+      /**
+       * Score for destroying the ship - multiplied by the wave number
+       */
+      SCORE: 3000,
+      
+      /**
+       * Saucer size counted by the statistics - see Asteroids.Statistics.SAUCERS
+       */
+      size: 3,
+      
+      /**
+       * Drift speed - the wave saucer speed multiplier applied to SPEED
+       */
+      speed: 0,
+      
+      /**
+       * True if ship alive, false if ready for expiration
+       */
+      alive: true,
+      
+      /**
+       * Rotation of the fighter pods around the hull, the rotation before the last tick
+       * for interpolated rendering and the spin each frame
+       */
+      rotation: 0,
+      prevRotation: 0,
+      SPIN: 0.02,
+      
+      onUpdate: function onUpdate(scene)
+      {
+         this.prevRotation = this.rotation;
+         this.rotation += this.SPIN * GameHandler.frameMultipler;
+         
+         // drift toward the player
+         if (scene.player.alive)
+         {
+            var v = scene.player.position.clone().sub(this.position);
+            v.scale(this.speed / Math.max(v.length(), 1));
+            this.vector.add(v.sub(this.vector).scale(this.TURN * GameHandler.frameMultipler));
+         }
+      },
+      
+      /**
+       * Cluster ship rendering method - the saucer with the fighter pods circling it
+       */
+      onRender: function onRender(ctx)
+      {
+         var rotation = this.prevRotation + (this.rotation - this.prevRotation) * GameHandler.frameAlpha;
+         if (GameHandler.settings.get("bitmaps"))
+         {
+            // render the enemy graphic bitmap with a filled pod for each fighter
+            var rad = this.RADIUS - 4;
+            this.renderSprite(ctx, this.position.x - rad, this.position.y - rad, rad * 2, true);
+            ctx.save();
+            ctx.fillStyle = Asteroids.Colours.CLUSTER_FIGHTER;
+            for (var i=0; i<this.FIGHTERS; i++)
+            {
+               var a = rotation + i * TWOPI / this.FIGHTERS;
+               ctx.beginPath();
+               ctx.arc(this.position.x + Math.cos(a) * this.RADIUS, this.position.y + Math.sin(a) * this.RADIUS, 4, 0, TWOPI, true);
+               ctx.closePath();
+               ctx.fill();
+            }
+            ctx.restore();
+         }
+         else
+         {
+            ctx.save();
+            ctx.translate(this.position.x, this.position.y);
+            
+            ctx.beginPath();
+            ctx.moveTo(0, -6);
+            ctx.lineTo(12, 4);
+            ctx.lineTo(0, 12);
+            ctx.lineTo(-12, 4);
+            ctx.lineTo(0, -6);
+            ctx.closePath();
+            ctx.shadowColor = ctx.strokeStyle = Asteroids.Colours.CLUSTER_SHIP;
+            ctx.stroke();
+            
+            // a small triangle for each fighter pod
+            ctx.rotate(rotation);
+            ctx.shadowColor = ctx.strokeStyle = Asteroids.Colours.CLUSTER_FIGHTER;
+            for (var i=0; i<this.FIGHTERS; i++)
+            {
+               ctx.beginPath();
+               ctx.moveTo(this.RADIUS + 4, 0);
+               ctx.lineTo(this.RADIUS - 3, -4);
+               ctx.lineTo(this.RADIUS - 3, 4);
+               ctx.closePath();
+               ctx.stroke();
+               ctx.rotate(TWOPI / this.FIGHTERS);
+            }
+            
+            ctx.restore();
+         }
+      },
+      
+      radius: function radius()
+      {
+         return this.RADIUS;
+      },
+      
+      /**
+       * Cluster ship hit by a bullet - any hit breaks it apart
+       * 
+       * @return true if destroyed, false otherwise
+       */
+      hit: function hit()
+      {
+         this.alive = false;
+         return true;
+      },
+      
+      expired: function expired()
+      {
+         return !this.alive;
+      }
+   });
+})();
+
+
+/**
+ * Cluster fighter actor class.
+ * 
+ * A small fast fighter released as a cluster ship breaks apart. The fighters fan out from
+ * the wreck and then home in on the player to ram them.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.ClusterFighter
+ */
+(function()
+{
+   Asteroids.ClusterFighter = function(p, v)
+   {
+      Asteroids.ClusterFighter.superclass.constructor.call(this, p, v);
+      this.launched = GameHandler.frameStart;
+      return this;
+   };
+   
+   extend(Asteroids.ClusterFighter, Game.EnemyActor,
+   {
+      RADIUS: 6,
+      SPEED: 2.0,
+      TURN: 0.02,
+      
+      /**
+       * Time in ms the fighter flies straight on after its release before homing
+       */
+      LAUNCH_MS: 600,
+      
+      /**
+       * Score for destroying the fighter - multiplied by the wave number
+       */
+      SCORE: 1000,
+      
+      /**
+       * Saucer size counted by the statistics - see Asteroids.Statistics.SAUCERS
+       */
+      size: 4,
+      
+      /**
+       * True if fighter alive, false if ready for expiration
+       */
+      alive: true,
+      
+      /**
+       * Simulation time the fighter was released
+       */
+      launched: 0,
+      
+      onUpdate: function onUpdate(scene)
+      {
+         // home in on the player
+         if (scene.player.alive && GameHandler.frameStart - this.launched > this.LAUNCH_MS)
+         {
+            var v = scene.player.position.clone().sub(this.position);
+            v.scale(this.SPEED / Math.max(v.length(), 1));
+            this.vector.add(v.sub(this.vector).scale(this.TURN * GameHandler.frameMultipler));
+         }
+      },
+      
+      /**
+       * Fighter rendering method - a dart pointing along its heading
+       */
+      onRender: function onRender(ctx)
+      {
+         ctx.save();
+         ctx.translate(this.position.x, this.position.y);
+         ctx.rotate(Math.atan2(this.vector.y, this.vector.x));
+         ctx.beginPath();
+         ctx.moveTo(8, 0);
+         ctx.lineTo(-6, -5);
+         ctx.lineTo(-3, 0);
+         ctx.lineTo(-6, 5);
+         ctx.closePath();
+         if (GameHandler.settings.get("bitmaps"))
+         {
+            ctx.fillStyle = Asteroids.Colours.CLUSTER_FIGHTER;
+            ctx.fill();
+         }
+         else
+         {
+            ctx.shadowColor = ctx.strokeStyle = Asteroids.Colours.CLUSTER_FIGHTER;
+            ctx.stroke();
+         }
+         ctx.restore();
+      },
+      
+      radius: function radius()
+      {
+         return this.RADIUS;
+      },
+      
+      /**
+       * Fighter hit by a bullet
+       * 
+       * @return true if destroyed, false otherwise
+       */
+      hit: function hit()
+      {
+         this.alive = false;
+         return true;
+      },
+      
+      expired: function expired()
+      {
+         return !this.alive;
+      }
+   });
+})();
@@ -0,0 +1,272 @@
+/**
+ * Asteroids online leaderboard client class.
+ * 
+ * Submits high scores to a leaderboard server and fetches the global and weekly tables
+ * of each game mode over a small REST API - see tools/leaderboard.js for the reference
+ * server:
+ * 
+ *    GET  /scores?period=all|weekly&mode=M&limit=N   {"period": ..., "mode": ..., "scores": [entries]}
+ *    POST /scores                                    entry - responds {"rank": N}
+ * 
+ * Each submission carries the game replay so the server can verify the score. The
+ * submissions are queued in HTML5 local storage and sent one at a time - while the
+ * server cannot be reached the queue is kept and sent once the browser is back online.
+ * Each submission has a unique id so a resent submission is only counted once.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Leaderboard
+ */
+(function()
+{
+   Asteroids.Leaderboard = function(url)
+   {
+      this.url = url.replace(/\/+$/, "");
+      this.queue = [];
+      this.tables = {};
+      this.loadQueue();
+      
+      var me = this;
+      if (typeof window !== "undefined")
+      {
+         window.addEventListener("online", function() { me.flush(); }, false);
+      }
+      this.flush();
+      
+      return this;
+   };
+   
+   /**
+    * Leaderboard tables and their display titles
+    */
+   Asteroids.Leaderboard.PERIODS =
+   {
+      all: "Global High Scores",
+      weekly: "This Week's High Scores"
+   };
+   
+   /**
+    * Number of scores fetched for each table
+    */
+   Asteroids.Leaderboard.SIZE = 10;
+   
+   /**
+    * A fetched table is fetched again once it is older than this in milliseconds
+    */
+   Asteroids.Leaderboard.MAX_AGE = 60000;
+   
+   /**
+    * Request timeout in milliseconds
+    */
+   Asteroids.Leaderboard.TIMEOUT = 10000;
+   
+   /**
+    * Maximum submissions kept in the queue - the oldest are dropped
+    */
+   Asteroids.Leaderboard.MAX_QUEUE = 20;
+   
+   Asteroids.Leaderboard.prototype =
+   {
+      /**
+       * Base URL of the leaderboard API
+       */
+      url: null,
+      
+      /**
+       * Submissions waiting to be sent - oldest first
+       */
+      queue: null,
+      
+      /**
+       * True while a submission is being sent
+       */
+      sending: false,
+      
+      /**
+       * Fetched tables by period and game mode e.g. "weekly/endless" - each has the scores
+       * (null until fetched), the time of the last fetch and the loading and error state
+       */
+      tables: null,
+      
+      /**
+       * Queue a score for submission and try to send it
+       * 
+       * @param entry {object} High score table entry - initials, score, wave, date and mode
+       * @param replay {Asteroids.Replay} Replay of the game
+       */
+      submit: function submit(entry, replay)
+      {
+         this.queue.push({
+            id: Date.now().toString(36) + "-" + Math.floor(Math.random() * 2176782336).toString(36),
+            initials: entry.initials,
+            score: entry.score,
+            wave: entry.wave,
+            date: entry.date,
+            mode: entry.mode,
+            difficulty: replay.difficulty,
+            seed: replay.seed,
+            replay: replay.serialise()
+         });
+         if (this.queue.length > Asteroids.Leaderboard.MAX_QUEUE)
+         {
+            this.queue.shift();
+         }
+         this.saveQueue();
+         this.flush();
+      },
+      
+      /**
+       * Send the queued submissions - one at a time. A submission the server refuses is
+       * dropped, otherwise the queue is kept until the server can be reached.
+       */
+      flush: function flush()
+      {
+         if (this.sending || this.queue.length === 0 ||
+             (typeof navigator !== "undefined" && navigator.onLine === false))
+         {
+            return;
+         }
+         var me = this, submission = this.queue[0];
+         this.sending = true;
+         this.request("POST", "/scores", submission, function(status, doc)
+         {
+            me.sending = false;
+            if (status === 0 || status >= 500)
+            {
+               // offline or the server failed - try again later
+               return;
+            }
+            if (me.queue[0] === submission)
+            {
+               me.queue.shift();
+               me.saveQueue();
+            }
+            if (status >= 200 && status < 300)
+            {
+               // the tables now include the score
+               me.tables = {};
+            }
+            me.flush();
+         });
+      },
+      
+      /**
+       * Get a leaderboard table - fetched from the server when it is missing or old
+       * 
+       * @param period {string} Table period - see Asteroids.Leaderboard.PERIODS
+       * @param mode {string} Game mode - see Asteroids.HighScores.MODES
+       * @return {object} the table - scores is null until the table has been fetched
+       */
+      table: function table(period, mode)
+      {
+         var key = period + "/" + mode,
+             t = this.tables[key];
+         if (!t)
+         {
+            t = this.tables[key] = {scores: null, time: 0, loading: false, error: false};
+         }
+         if (!t.loading && Date.now() - t.time > Asteroids.Leaderboard.MAX_AGE)
+         {
+            this.fetch(period, mode, t);
+         }
+         return t;
+      },
+      
+      /**
+       * Fetch a table from the server
+       */
+      fetch: function fetch(period, mode, t)
+      {
+         var me = this;
+         t.loading = true;
+         t.time = Date.now();
+         this.request("GET", "/scores?period=" + period + "&mode=" + mode + "&limit=" + Asteroids.Leaderboard.SIZE, null, function(status, doc)
+         {
+            t.loading = false;
+            t.error = !(status === 200 && doc && isArray(doc.scores));
+            if (!t.error)
+            {
+               t.scores = doc.scores;
+               
+               // the server can be reached - send anything queued while it could not
+               me.flush();
+            }
+         });
+      },
+      
+      /**
+       * Make a JSON request to the leaderboard API
+       * 
+       * @param method {string} HTTP method
+       * @param path {string} Path and query below the base URL
+       * @param body {object} Request document or null
+       * @param callback {function} Called with the HTTP status - 0 if the server could not
+       *                 be reached - and the response document or null
+       */
+      request: function request(method, path, body, callback)
+      {
+         var xhr = new XMLHttpRequest(), done = false,
+             fComplete = function(status)
+             {
+                if (done) return;
+                done = true;
+                var doc = null;
+                try
+                {
+                   doc = JSON.parse(xhr.responseText);
+                }
+                catch (e)
+                {
+                   // no response document
+                }
+                callback(status, doc);
+             };
+         xhr.open(method, this.url + path, true);
+         xhr.timeout = Asteroids.Leaderboard.TIMEOUT;
+         xhr.onload = function() { fComplete(xhr.status); };
+         xhr.onerror = xhr.ontimeout = function() { fComplete(0); };
+         if (body !== null)
+         {
+            xhr.setRequestHeader("Content-Type", "application/json");
+            xhr.send(JSON.stringify(body));
+         }
+         else
+         {
+            xhr.send();
+         }
+      },
+      
+      /**
+       * Load the submission queue from HTML5 local storage
+       */
+      loadQueue: function loadQueue()
+      {
+         var json = (GameHandler.storage ? GameHandler.storage.getItem(LEADERBOARDDBKEY) : null);
+         if (json)
+         {
+            try
+            {
+               var queue = JSON.parse(json);
+               if (isArray(queue))
+               {
+                  this.queue = queue;
+               }
+            }
+            catch (e)
+            {
+               // an invalid queue is discarded
+            }
+         }
+      },
+      
+      /**
+       * Save the submission queue to HTML5 local storage
+       */
+      saveQueue: function saveQueue()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(LEADERBOARDDBKEY, JSON.stringify(this.queue));
+         }
+      }
+   };
+})();
@@ -14,20 +14,41 @@
  * 25/08/10 Oldskool vector graphics mode to replace simple circle asteroids
  * 20/09/11 Refactoring to time based game engine - 60FPS graphics
  * 01/10/11 Particle engine from Arena5 game integrated
+ * 19/10/26 Fixed timestep simulation - game logic and collision detection run per tick
+ * 19/10/26 Seeded gameplay random numbers and game input recording/replays
+ * 19/10/26 Headless game support for simulation runs under Node - see tools/headless.js
+ * 19/10/26 Spatial hash broadphase for collision detection and area effect weapons
+ * 19/10/26 Pooled bullets, particles and effects - actor lists use swap remove
+ * 19/10/26 Audio service with Web Audio, SoundManager2 and silent backends
+ * 19/10/26 Positional sound - effects panned and attenuated by distance from the player
+ * 19/10/26 Adaptive music - intensity layers follow the game state, plus stingers
+ * 19/10/26 Procedural sound effect synthesis - used for the retro mode sound set
+ * 19/10/26 Rebindable controls - see asteroids_controls.js
+ * 19/10/26 Gamepad support with analog rotation and thrust
+ * 19/10/26 On-screen touch controls for phones and tablets - see asteroids_touch.js
+ * 19/10/26 Mouse aim control scheme - see asteroids_mouse.js
+ * 19/10/26 Pause menu over a snapshot of the game - also pauses when the window is hidden
+ * 19/10/26 Persisted settings and settings scene - see asteroids_settings.js
+ * 19/10/26 Top ten high score table with initials entry - see asteroids_scores.js
+ * 19/10/26 Online leaderboard client - see asteroids_leaderboard.js and tools/leaderboard.js
+ * 19/10/26 Achievements with unlock notifications - see asteroids_achievements.js
+ * 19/10/26 Lifetime player statistics and statistics scene - see asteroids_stats.js
+ * 19/10/26 Wave definitions loaded from JSON - see asteroids_waves.js and data/waves.json
+ * 19/10/26 Endless survival mode - generated waves after the last wave
+ * 19/10/26 Boss saucer with phased attacks - see Asteroids.BossShip
+ * 19/10/26 Cluster ship enemy that breaks apart into homing fighters - see Asteroids.ClusterShip
+ * 19/10/26 Saucer steering behaviours - asteroid avoidance, preferred range, flanking and lead targeting
  * 
  * TODO LIST:
  * . Finish prerendering all shadow based effects (inc player, enemy sprites and vector explosion particle)
  * . Update smudge particles to use cyclic correct rendering (others don't need it?)
  * . Note Wave12 as "last" wave - show final score after!!
  * . Frame rate toggle keys in debug mode? - or add proper DEBUG panel screen like Arena5
- * . Cluster ship enemy
- * . Boss ship - large saucer takes lots of hits etc.
  */
 
 
 // Globals
-var BITMAPS = true;
-var SOUND = false;
+// page configuration of the debug flags - the player preferences are in GameHandler.settings
 var DEBUG = false;
 /*DEBUG =
 {
@@ -35,23 +56,38 @@ var DEBUG = false;
    COLLISIONRADIUS: false,
    FPS: false
 };*/
-var GLOWEFFECT = true;
-var GLOWSHADOWBLUR = 8;
+// page configuration of the online leaderboard API URL - or null for no leaderboard
+var LEADERBOARDURL = null;
 var SCOREDBKEY = "asteroids-score-1.1";
+var HIGHSCORESDBKEY = "asteroids-scores-2.0";
+var LEADERBOARDDBKEY = "asteroids-leaderboard-queue-1.0";
+var ACHIEVEMENTSDBKEY = "asteroids-achievements-1.0";
+var STATSDBKEY = "asteroids-stats-1.0";
+var REPLAYDBKEY = "asteroids-replay-1.0";
+var CONTROLSDBKEY = "asteroids-controls-1.0";
+var SETTINGSDBKEY = "asteroids-settings-1.0";
 
 var g_asteroidImgs = [];
-g_asteroidImgs[0] = new Image();
-g_asteroidImgs[1] = new Image();
-g_asteroidImgs[2] = new Image();
-g_asteroidImgs[3] = new Image();
-var g_shieldImg = new Image();
-var g_backgroundImg = new Image();
-var g_playerImg = new Image();
-var g_enemyshipImg = new Image();
+var g_shieldImg = null;
+var g_backgroundImg = null;
+var g_playerImg = null;
+var g_enemyshipImg = null;
 
-
-// bind to window event
-window.addEventListener('load', onloadHandler, false);
+// the images and window event are only available when running in a browser
+if (typeof window !== "undefined")
+{
+   g_asteroidImgs[0] = new Image();
+   g_asteroidImgs[1] = new Image();
+   g_asteroidImgs[2] = new Image();
+   g_asteroidImgs[3] = new Image();
+   g_shieldImg = new Image();
+   g_backgroundImg = new Image();
+   g_playerImg = new Image();
+   g_enemyshipImg = new Image();
+   
+   // bind to window event
+   window.addEventListener('load', onloadHandler, false);
+}
 
 /**
  * Global window onload handler
@@ -69,71 +105,34 @@ function onloadHandler()
       g_backgroundImg.src = 'images/bg3_1.jpg';
       g_backgroundImg.onload = function()
       {
-         // init our game with Game.Main derived instance
          GameHandler.init();
-         GameHandler.start(new Asteroids.Main());
-      };
-      
-      if (soundManager)
-      {
-         // load game sounds
-         soundManager.createSound({
-            id: 'laser',
-            url: 'sounds/laser.mp3',
-            volume: 40,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'enemy_bomb',
-            url: 'sounds/enemybomb.mp3',
-            volume: 60,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'big_boom',
-            url: 'sounds/bigboom.mp3',
-            volume: 50,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'asteroid_boom1',
-            url: 'sounds/explosion1.mp3',
-            volume: 50,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'asteroid_boom2',
-            url: 'sounds/explosion2.mp3',
-            volume: 50,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'asteroid_boom3',
-            url: 'sounds/explosion3.mp3',
-            volume: 50,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'asteroid_boom4',
-            url: 'sounds/explosion4.mp3',
-            volume: 50,
-            autoLoad: true,
-            multiShot: true
-         });
-         soundManager.createSound({
-            id: 'powerup',
-            url: 'sounds/powerup.mp3',
-            volume: 50,
-            autoLoad: true,
-            multiShot: true
+         
+         // the wave definitions are loaded before the game is created - an invalid
+         // definitions document is reported on the canvas
+         Asteroids.Waves.load(Asteroids.Waves.URL, function(error)
+         {
+            if (error !== null)
+            {
+               var ctx = GameHandler.canvas.getContext('2d');
+               Game.centerFillText(ctx, "Invalid wave definitions", "18pt Courier New", GameHandler.height*0.5 - 16, "white");
+               Game.centerFillText(ctx, error, "10pt Courier New", GameHandler.height*0.5 + 16, "rgb(255,255,128)");
+               return;
+            }
+            
+            // init our game with Game.Main derived instance
+            var game = new Asteroids.Main();
+            
+            // a fixed gameplay seed can be supplied on the url e.g. index.html?seed=20111019
+            // every game then plays out the same way for the same player input - useful to
+            // reproduce bug reports or to play a fixed daily challenge
+            var seed = /[?&]seed=(\d+)/.exec(window.location.search);
+            if (seed)
+            {
+               game.fixedSeed = parseInt(seed[1], 10);
+            }
+            GameHandler.start(game);
          });
-      }
+      };
    }
 }
 
@@ -159,6 +158,8 @@ Asteroids.Colours =
    PARTICLE: "rgb(255,125,50)",
    ENEMY_SHIP: "rgb(200,200,250)",
    ENEMY_SHIP_DARK: "rgb(150,150,200)",
+   CLUSTER_SHIP: "rgb(250,200,150)",
+   CLUSTER_FIGHTER: "rgb(255,150,80)",
    GREEN_LASER: "rgb(120,255,120)",
    GREEN_LASER_DARK: "rgb(50,255,50)",
    GREEN_LASERX2: "rgb(120,255,150)",
@@ -180,24 +181,63 @@ Asteroids.Colours =
    Asteroids.Main = function()
    {
       Asteroids.Main.superclass.constructor.call(this);
+      var me = this;
+      
+      // the player preferences - saved in HTML5 local storage
+      GameHandler.settings = new Game.Settings(
+         Asteroids.Settings.DEFAULTS, Asteroids.Settings.CHOICES, Asteroids.Settings.TRANSIENT);
+      GameHandler.settings.set("debug", DEBUG);
+      if (GameHandler.storage)
+      {
+         var settings = GameHandler.storage.getItem(SETTINGSDBKEY);
+         if (settings)
+         {
+            GameHandler.settings.load(settings);
+         }
+      }
+      Asteroids.Settings.applyPalette(GameHandler.settings.get("palette"));
+      
+      // the player input state - shared by all game scenes and driven by the keyboard
+      // and gamepad or by a replay during playback. The turn (-1.0 to 1.0) and throttle
+      // (0.0-1.0) values are the analog rotation and thrust from a gamepad. The restart
+      // flag is set for a single tick to restart the current wave from the pause menu.
+      this.input = {
+         left: false,
+         right: false,
+         thrust: false,
+         shield: false,
+         fireA: false,
+         fireB: false,
+         turn: 0,
+         throttle: 0,
+         restart: false
+      };
       
       var attractorScene = new Asteroids.AttractorScene(this);
       
-      // get the images graphics loading
-      var loader = new Game.Preloader();
-      loader.addImage(g_playerImg, 'images/player.png');
-      loader.addImage(g_asteroidImgs[0], 'images/asteroid1.png');
-      loader.addImage(g_asteroidImgs[1], 'images/asteroid2.png');
-      loader.addImage(g_asteroidImgs[2], 'images/asteroid3.png');
-      loader.addImage(g_asteroidImgs[3], 'images/asteroid4.png');
-      loader.addImage(g_shieldImg, 'images/shield.png');
-      loader.addImage(g_enemyshipImg, 'images/enemyship1.png');
-      
-      // the attactor scene is displayed first and responsible for allowing the
-      // player to start the game once all images have been loaded
-      loader.onLoadCallback(function() {
+      if (GameHandler.headless)
+      {
+         // nothing to load or render - the game is ready immediately
          attractorScene.ready();
-      });
+      }
+      else
+      {
+         // get the images graphics loading
+         var loader = new Game.Preloader();
+         loader.addImage(g_playerImg, 'images/player.png');
+         loader.addImage(g_asteroidImgs[0], 'images/asteroid1.png');
+         loader.addImage(g_asteroidImgs[1], 'images/asteroid2.png');
+         loader.addImage(g_asteroidImgs[2], 'images/asteroid3.png');
+         loader.addImage(g_asteroidImgs[3], 'images/asteroid4.png');
+         loader.addImage(g_shieldImg, 'images/shield.png');
+         loader.addImage(g_enemyshipImg, 'images/enemyship1.png');
+         
+         // the attactor scene is displayed first and responsible for allowing the
+         // player to start the game once all images have been loaded
+         loader.onLoadCallback(function() {
+            attractorScene.ready();
+         });
+      }
       
       // generate the single player actor - available across all scenes
       this.player = new Asteroids.Player(new Vector(GameHandler.width / 2, GameHandler.height / 2), new Vector(0.0, 0.0), 0.0);
@@ -205,10 +245,10 @@ Asteroids.Colours =
       // add the attractor scene
       this.scenes.push(attractorScene);
       
-      // add the level scenes
-      for (var level, i=0; i<12; i++)
+      // add the level scenes - one for each wave definition
+      for (var level, i=0; i<Asteroids.Waves.list.length; i++)
       {
-         level = new Asteroids.GameScene(this, i+1);
+         level = new Asteroids.GameScene(this, i+1, Asteroids.Waves.list[i]);
          this.scenes.push(level);
       }
       
@@ -219,6 +259,7 @@ Asteroids.Colours =
       this.endScene = new Asteroids.GameOverScene(this);
       
       // generate background starfield
+      this.starfield = [];
       for (var star, i=0; i<this.STARFIELD_SIZE; i++)
       {
          star = new Asteroids.Star();
@@ -226,19 +267,85 @@ Asteroids.Colours =
          this.starfield.push(star);
       }
       
-      // load high score from HTML5 local storage
-      if (localStorage)
+      // load the high score table from HTML5 local storage
+      this.scores = new Asteroids.HighScores();
+      this.scores.load();
+      this.initialsScene = new Asteroids.InitialsScene(this);
+      
+      // load the unlocked achievements - a toast is displayed as each one is unlocked
+      this.achievements = new Asteroids.Achievements();
+      this.achievements.load();
+      this.toasts = [];
+      
+      // load the lifetime player statistics - recorded by the game actors as they play
+      GameHandler.stats = new Asteroids.Statistics();
+      GameHandler.stats.load();
+      
+      // high scores are also submitted to the online leaderboard when there is one
+      if (LEADERBOARDURL && !GameHandler.headless)
+      {
+         this.leaderboard = new Asteroids.Leaderboard(LEADERBOARDURL);
+      }
+      
+      // player key bindings - the defaults unless the player has changed them
+      this.controls = new Game.InputMap(Asteroids.Controls.DEFAULTS);
+      if (GameHandler.storage)
       {
-         var highscore = localStorage.getItem(SCOREDBKEY);
-         if (highscore)
+         var controls = GameHandler.storage.getItem(CONTROLSDBKEY);
+         if (controls)
          {
-            this.highscore = highscore;
+            this.controls.load(controls);
          }
       }
+      this.controlsScene = new Asteroids.ControlsScene(this);
+      this.pauseScene = new Asteroids.PauseScene(this);
+      this.settingsScene = new Asteroids.SettingsScene(this);
+      this.statisticsScene = new Asteroids.StatisticsScene(this);
+      
+      // gamepad buttons drive the same actions as the keys
+      this.padControls = new Game.InputMap(Asteroids.Controls.GAMEPAD);
+      if (!GameHandler.headless)
+      {
+         this.gamepad = new Game.Gamepad();
+         this.touch = new Asteroids.TouchControls(this, GameHandler.canvas, {
+            layout: GameHandler.settings.get("touchLayout"),
+            opacity: GameHandler.settings.get("touchOpacity")
+         });
+         this.mouse = new Asteroids.MouseAim(this, GameHandler.canvas);
+         
+         // pause the game when the player switches to another window or tab
+         window.addEventListener("blur", function() { me.pauseGame(); }, false);
+         document.addEventListener("visibilitychange", function()
+         {
+            if (document.hidden)
+            {
+               me.pauseGame();
+            }
+         }, false);
+      }
       
       // perform prerender steps - create some bitmap graphics to use later
-      GameHandler.bitmaps = new Asteroids.Prerenderer();
-      GameHandler.bitmaps.execute();
+      this.prerender();
+      
+      // create the audio service and load the game sounds - silent when headless
+      GameHandler.audio = new Asteroids.Audio(
+         GameHandler.headless ? new Asteroids.Audio.NullBackend() : Asteroids.Audio.createBackend());
+      GameHandler.audio.load(Asteroids.Audio.CUES);
+      
+      // positional sound effects are heard relative to the player ship
+      GameHandler.audio.setListener(this.player.position);
+      
+      // create the adaptive music - synthesised on the music bus of the audio service
+      GameHandler.music = new Asteroids.Music(GameHandler.audio);
+      
+      // apply the settings now and as each one is changed - changes are saved immediately
+      this.applySetting("soundVolume", GameHandler.settings.get("soundVolume"));
+      this.applySetting("musicVolume", GameHandler.settings.get("musicVolume"));
+      GameHandler.settings.addListener(function(name, value)
+      {
+         me.applySetting(name, value);
+         me.saveSettings();
+      });
    };
    
    extend(Asteroids.Main, Game.Main,
@@ -261,10 +368,406 @@ Asteroids.Colours =
       score: 0,
       
       /**
-       * High score
+       * High score - the top of the high score table of the game mode or the current score
+       * once it is higher. Set as each game starts - see newGame()
        */
       highscore: 0,
       
+      /**
+       * High score table - Asteroids.HighScores
+       */
+      scores: null,
+      
+      /**
+       * Online leaderboard - Asteroids.Leaderboard or null if there is none
+       */
+      leaderboard: null,
+      
+      /**
+       * Achievements - Asteroids.Achievements
+       */
+      achievements: null,
+      
+      /**
+       * Achievement unlocked notifications - displayed one at a time, oldest first
+       */
+      toasts: null,
+      
+      /**
+       * Game mode of the current game - see Asteroids.HighScores.MODES. The endless mode
+       * carries on after the last wave with generated waves until the game is over.
+       */
+      mode: "classic",
+      
+      /**
+       * Current wave number - set as each wave scene begins
+       */
+      wave: 0,
+      
+      /**
+       * Gameplay random seed of the current game
+       */
+      seed: 0,
+      
+      /**
+       * Difficulty of the current game - see Asteroids.Settings.DIFFICULTY
+       */
+      difficulty: "normal",
+      
+      /**
+       * @return the difficulty level values of the current game
+       */
+      difficultyLevel: function difficultyLevel()
+      {
+         return Asteroids.Settings.DIFFICULTY[this.difficulty];
+      },
+      
+      /**
+       * Seed to use for every game - or null to choose a new random seed for each game
+       */
+      fixedSeed: null,
+      
+      /**
+       * Player input state
+       */
+      input: null,
+      
+      /**
+       * Player key bindings - Game.InputMap of the input state actions
+       */
+      controls: null,
+      
+      /**
+       * Scene to rebind the controls - displayed as a modal scene
+       */
+      controlsScene: null,
+      
+      /**
+       * Pause menu scene, the scene to change the game settings and the statistics scene -
+       * displayed as modal scenes
+       */
+      pauseScene: null,
+      settingsScene: null,
+      statisticsScene: null,
+      
+      /**
+       * Gamepad and its button bindings - Game.InputMap of the input state actions
+       */
+      gamepad: null,
+      padControls: null,
+      
+      /**
+       * On-screen touch controls - Asteroids.TouchControls
+       */
+      touch: null,
+      
+      /**
+       * Mouse aim controls - used by the "mouse" control scheme setting
+       */
+      mouse: null,
+      
+      /**
+       * Replay of the current game being recorded - or null if not recording
+       */
+      recorder: null,
+      
+      /**
+       * Replay being played back - or null when the player is in control
+       */
+      playback: null,
+      
+      /**
+       * Replay of the last completed game
+       */
+      lastReplay: null,
+      
+      /**
+       * Game simulation tick - record or play back the player input before the scene update
+       */
+      tick: function tick()
+      {
+         // the gamepad and mouse state is applied before the input is recorded
+         if (this.gamepad !== null)
+         {
+            this.updateGamepad();
+         }
+         if (this.mouse !== null)
+         {
+            this.mouse.update();
+         }
+         
+         // the game does not advance while a modal scene is displayed
+         if (this.modalScene() === null)
+         {
+            if (this.playback !== null)
+            {
+               if (!this.playback.play(this.input))
+               {
+                  // replay finished before the game - the ship drifts on with no input
+                  this.resetInput();
+               }
+            }
+            else if (this.recorder !== null)
+            {
+               this.recorder.record(this.input);
+            }
+         }
+         
+         // a wave restart requested from the pause menu is part of the recorded input
+         if (this.input.restart)
+         {
+            this.input.restart = false;
+            if (this.currentScene instanceof Asteroids.GameScene)
+            {
+               this.currentScene.restartWave();
+            }
+         }
+         
+         // the screen shake dies away over a fraction of a second
+         this.shakeSize = (this.shakeSize < 0.25 ? 0 : this.shakeSize * 0.96);
+         
+         if (this.toasts.length !== 0)
+         {
+            this.toasts[0].onUpdate();
+            if (this.toasts[0].expired())
+            {
+               this.toasts.shift();
+            }
+         }
+         
+         Asteroids.Main.superclass.tick.call(this);
+      },
+      
+      /**
+       * Render the game - then the current achievement notification over every scene
+       */
+      render: function render()
+      {
+         Asteroids.Main.superclass.render.call(this);
+         if (this.toasts.length !== 0)
+         {
+            this.toasts[0].onRender(GameHandler.canvas.getContext('2d'));
+         }
+      },
+      
+      /**
+       * Report a game event - unlocks any achievements it matches. A replay or a game
+       * played in debug mode does not unlock achievements.
+       * 
+       * @param name {string} Event name - see Asteroids.Achievements
+       * @param details {object} Event details
+       */
+      gameEvent: function gameEvent(name, details)
+      {
+         if (this.playback === null && !GameHandler.settings.get("debug"))
+         {
+            var unlocked = this.achievements.event(name, details);
+            for (var i=0; i<unlocked.length; i++)
+            {
+               this.toasts.push(new Asteroids.AchievementToast(unlocked[i]));
+            }
+            if (unlocked.length !== 0)
+            {
+               GameHandler.music.stinger("achievement");
+            }
+         }
+      },
+      
+      /**
+       * Size of the current screen shake - the maximum offset of the play field in pixels
+       */
+      shakeSize: 0,
+      
+      /**
+       * Shake the play field e.g. for a big explosion - scaled by the screen shake setting
+       * 
+       * @param size {number} Maximum offset of the play field in pixels
+       */
+      shake: function shake(size)
+      {
+         size *= GameHandler.settings.get("screenShake");
+         if (size > this.shakeSize)
+         {
+            this.shakeSize = size;
+         }
+      },
+      
+      /**
+       * Display the pause menu - only during a game and when no other modal scene is shown
+       */
+      pauseGame: function pauseGame()
+      {
+         if (this.currentScene instanceof Asteroids.GameScene && this.modalScene() === null)
+         {
+            this.pushScene(this.pauseScene);
+         }
+      },
+      
+      /**
+       * Abandon the current game or replay and return to the title screen - the game is
+       * not saved as the last game replay
+       */
+      quitGame: function quitGame()
+      {
+         this.modalScenes.length = 0;
+         GameHandler.stats.endGame();
+         this.recorder = null;
+         this.playback = null;
+         this.resetInput();
+         this.sceneIndex = 0;
+         this.currentScene = this.scenes[0];
+         this.currentScene.onInitScene();
+      },
+      
+      /**
+       * Poll the gamepad and apply its state - to the player input during a game or as
+       * menu key presses to the other scenes
+       */
+      updateGamepad: function updateGamepad()
+      {
+         var pad = this.gamepad,
+             wasConnected = pad.connected;
+         if (!pad.poll())
+         {
+            // release any input held on a gamepad that has been unplugged
+            if (wasConnected && this.playback === null)
+            {
+               this.resetInput();
+            }
+            return;
+         }
+         
+         var scene = this.inputScene();
+         if (scene instanceof Asteroids.GameScene)
+         {
+            // the player input is driven by the replay during playback
+            if (this.playback === null)
+            {
+               var bindings = this.padControls.bindings;
+               for (var action in bindings)
+               {
+                  if (bindings.hasOwnProperty(action))
+                  {
+                     for (var i=0, buttons=bindings[action]; i<buttons.length; i++)
+                     {
+                        if (pad.pressed(buttons[i]))
+                        {
+                           this.input[action] = true;
+                        }
+                        else if (pad.released(buttons[i]))
+                        {
+                           this.input[action] = false;
+                        }
+                     }
+                  }
+               }
+               
+               // analog values are kept to hundredths - the precision stored in a replay
+               this.input.turn = Math.round(pad.axis(Game.Gamepad.AXES.LX) * 100) / 100;
+               this.input.throttle = Math.round(pad.value(Game.Gamepad.BUTTONS.RT) * 100) / 100;
+            }
+            
+            if (pad.pressed(Game.Gamepad.BUTTONS.START))
+            {
+               this.pauseGame();
+            }
+         }
+         else if (scene !== null)
+         {
+            var menu = Asteroids.Controls.GAMEPAD_MENU;
+            for (var i=0; i<menu.length; i+=2)
+            {
+               if (pad.pressed(menu[i]))
+               {
+                  scene.onKeyDownHandler(menu[i + 1]);
+               }
+               else if (pad.released(menu[i]))
+               {
+                  scene.onKeyUpHandler(menu[i + 1]);
+               }
+            }
+            
+            // B goes back from a modal scene
+            if (scene === this.modalScene() && pad.pressed(Game.Gamepad.BUTTONS.B))
+            {
+               scene.onKeyDownHandler(KEY.ESC);
+            }
+         }
+      },
+      
+      /**
+       * Save the player key bindings to HTML5 local storage
+       */
+      saveControls: function saveControls()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(CONTROLSDBKEY, this.controls.serialise());
+         }
+      },
+      
+      /**
+       * Save the settings to HTML5 local storage
+       */
+      saveSettings: function saveSettings()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(SETTINGSDBKEY, GameHandler.settings.serialise());
+         }
+      },
+      
+      /**
+       * Apply a changed setting to the game - most settings are read as they are used
+       * 
+       * @param name {string} Setting name
+       * @param value {object} New value of the setting
+       */
+      applySetting: function applySetting(name, value)
+      {
+         switch (name)
+         {
+            case "soundVolume":
+               GameHandler.audio.setVolume("sfx", value);
+               GameHandler.audio.setVolume("ui", value);
+               break;
+            case "musicVolume":
+               GameHandler.audio.setVolume("music", value);
+               break;
+            case "palette":
+               Asteroids.Settings.applyPalette(value);
+               this.prerender();
+               break;
+            case "glow":
+               this.prerender();
+               break;
+            case "touchLayout":
+               if (this.touch !== null)
+               {
+                  this.touch.setLayout(value);
+               }
+               break;
+            case "touchOpacity":
+               if (this.touch !== null)
+               {
+                  this.touch.setOpacity(value);
+               }
+               break;
+         }
+      },
+      
+      /**
+       * Prerender the effect graphics - again whenever the colours or the glow change
+       */
+      prerender: function prerender()
+      {
+         if (!GameHandler.headless)
+         {
+            GameHandler.bitmaps = new Asteroids.Prerenderer();
+            GameHandler.bitmaps.execute();
+         }
+      },
+      
       /**
        * Background scrolling bitmap x position
        */
@@ -281,7 +784,7 @@ Asteroids.Colours =
       onRenderGame: function onRenderGame(ctx)
       {
          // setup canvas for a render pass and apply background
-         if (BITMAPS)
+         if (GameHandler.settings.get("bitmaps"))
          {
             // draw a scrolling background image
             ctx.drawImage(g_backgroundImg, this.backgroundX, 0, GameHandler.width, GameHandler.height, 0, 0, GameHandler.width, GameHandler.height);
@@ -302,9 +805,12 @@ Asteroids.Colours =
             this.updateStarfield(ctx);
             
             // glowing vector effect shadow
-            ctx.shadowBlur = GLOWEFFECT ? GLOWSHADOWBLUR : 0;
+            ctx.shadowBlur = GameHandler.settings.get("glow");
             ctx.lineWidth = 1.5;
          }
+         
+         // music plays only during the game waves and follows the action in the wave
+         GameHandler.music.update(this.currentScene instanceof Asteroids.GameScene ? this.currentScene.musicLevels() : null);
       },
       
       isGameOver: function isGameOver()
@@ -312,6 +818,133 @@ Asteroids.Colours =
          return (this.lives === 0 && (this.currentScene.effects && this.currentScene.effects.length === 0));
       },
       
+      /**
+       * Select the scene to follow a completed scene - in the endless mode the last wave
+       * is followed by a generated wave rather than the game completed scene. The scene
+       * index stays on the last wave scene.
+       */
+      nextScene: function nextScene(scene)
+      {
+         if (this.mode === "endless" && scene instanceof Asteroids.GameScene && scene.wave >= Asteroids.Waves.list.length)
+         {
+            var wave = scene.wave + 1;
+            return new Asteroids.GameScene(this, wave, Asteroids.Waves.endless(wave));
+         }
+         return Asteroids.Main.superclass.nextScene.call(this, scene);
+      },
+      
+      /**
+       * Reset the game state ready for a new game. Seeds the random number streams and
+       * restarts the simulation clock - so the same seed and the same player input will
+       * always produce the same game.
+       * 
+       * @param seed {number} Optional gameplay seed - else the fixed seed or a random one is used
+       * @param mode {string} Optional game mode - default is the classic mode
+       */
+      newGame: function newGame(seed, mode)
+      {
+         if (seed === undefined)
+         {
+            seed = (this.fixedSeed !== null ? this.fixedSeed : Floor(Math.random() * 4294967296));
+         }
+         this.seed = seed;
+         GameHandler.seedRandom(seed);
+         GameHandler.frameStart = 0;
+         
+         // the difficulty is fixed for the whole game - a replay is played back at the
+         // difficulty it was recorded with
+         this.difficulty = (this.playback !== null ? this.playback.difficulty : GameHandler.settings.get("difficulty"));
+         this.mode = (this.playback !== null ? this.playback.mode : (mode || "classic"));
+         
+         this.score = 0;
+         this.highscore = this.scores.top(this.mode);
+         this.lives = Asteroids.Settings.DIFFICULTY[this.difficulty].lives;
+         this.wave = 0;
+         
+         // record the player input and statistics unless this game is a replay
+         this.resetInput();
+         this.recorder = (this.playback === null ? new Asteroids.Replay(seed, this.difficulty, this.mode) : null);
+         GameHandler.stats.startGame(this.playback === null);
+      },
+      
+      /**
+       * Start playback of a replay - the game is reset using the replay seed and the
+       * recorded input is fed to the game scenes each tick
+       * 
+       * @param replay {Asteroids.Replay} Replay to play back
+       */
+      playReplay: function playReplay(replay)
+      {
+         replay.rewind();
+         this.playback = replay;
+         this.newGame(replay.seed);
+      },
+      
+      /**
+       * Display the initials entry scene if the score of the game just ended qualifies for
+       * the high score table - a replay is not entered in the table. Call before endGame().
+       * The score is also submitted to the online leaderboard with the game replay.
+       * 
+       * @param onDone {function} Called with the table position once the score is added
+       */
+      enterHighScore: function enterHighScore(onDone)
+      {
+         if (this.playback === null && this.scores.rank(this.score, this.mode) !== -1)
+         {
+            var me = this,
+                entry = {score: this.score, wave: this.wave, date: new Date().toISOString(), mode: this.mode};
+            this.initialsScene.prepare(entry, function(rank)
+            {
+               // the replay has been completed by endGame() once the initials are entered
+               if (me.leaderboard !== null && me.lastReplay !== null)
+               {
+                  me.leaderboard.submit(entry, me.lastReplay);
+               }
+               onDone(rank);
+            });
+            this.pushScene(this.initialsScene);
+         }
+      },
+      
+      /**
+       * The game is over or completed - stop any recording or playback. A recorded game is
+       * saved to local storage as the last game replay.
+       */
+      endGame: function endGame()
+      {
+         this.gameEvent("gameEnded", {score: this.score, wave: this.wave});
+         GameHandler.stats.endGame();
+         if (this.recorder !== null)
+         {
+            this.recorder.score = this.score;
+            this.recorder.wave = this.wave;
+            this.recorder.date = new Date().toISOString();
+            this.recorder.save();
+            this.lastReplay = this.recorder;
+            this.recorder = null;
+         }
+         this.playback = null;
+      },
+      
+      /**
+       * Reset the player input state
+       */
+      resetInput: function resetInput()
+      {
+         with (this.input)
+         {
+            left = false;
+            right = false;
+            thrust = false;
+            shield = false;
+            fireA = false;
+            fireB = false;
+            turn = 0;
+            throttle = 0;
+            restart = false;
+         }
+      },
+      
       /**
        * Update each individual star in the starfield background
        */
@@ -344,8 +977,20 @@ Asteroids.Colours =
        */
       updateActorPosition: function updateActorPosition(actor)
       {
+         // remember the position before the update - for interpolated rendering
+         if (actor.prevPosition === null)
+         {
+            actor.prevPosition = actor.position.clone();
+         }
+         else
+         {
+            actor.prevPosition.x = actor.position.x;
+            actor.prevPosition.y = actor.position.y;
+         }
+         
          // update actor using its current vector
-         actor.position.add(actor.vector.nscale(GameHandler.frameMultipler));
+         actor.position.x += actor.vector.x * GameHandler.frameMultipler;
+         actor.position.y += actor.vector.y * GameHandler.frameMultipler;
          
          // handle traversing out of the coordinate space and back again
          if (actor.position.x >= GameHandler.width)
@@ -364,6 +1009,32 @@ Asteroids.Colours =
          {
             actor.position.y = GameHandler.height - 1;
          }
+      },
+      
+      /**
+       * Render an actor at a position interpolated between its previous and current
+       * simulation tick positions - so motion is smooth whatever the display rate.
+       * Actors that wrapped around the play field during the last tick are not interpolated.
+       */
+      renderActor: function renderActor(ctx, actor)
+      {
+         var pos = actor.position, prev = actor.prevPosition;
+         if (prev !== null)
+         {
+            var dx = pos.x - prev.x, dy = pos.y - prev.y,
+                hw = GameHandler.width * 0.5, hh = GameHandler.height * 0.5;
+            if (dx < hw && dx > -hw && dy < hh && dy > -hh)
+            {
+               var x = pos.x, y = pos.y, t = 1.0 - GameHandler.frameAlpha;
+               pos.x -= dx * t;
+               pos.y -= dy * t;
+               actor.onRender(ctx);
+               pos.x = x;
+               pos.y = y;
+               return;
+            }
+         }
+         actor.onRender(ctx);
       }
    });
 })();
@@ -381,19 +1052,61 @@ Asteroids.Colours =
    {
       this.game = game;
       
-      // allow start via mouse click - useful for testing on touch devices
+      Asteroids.AttractorScene.superclass.constructor.call(this, false, null);
+      
+      // no mouse or file input in headless mode
+      if (GameHandler.headless) return;
+      
+      // allow start via mouse click - useful for testing on touch devices. A click on the
+      // game mode changes the mode instead
       var me = this;
       var fMouseDown = function(e)
       {
-         if (e.button === 0 && me.imagesLoaded)
+         if (e.button === 0 && me.imagesLoaded && !me.start)
          {
-            me.start = true;
+            var rect = GameHandler.canvas.getBoundingClientRect(),
+                y = (e.clientY - rect.top) * GameHandler.height / rect.height;
+            if (y >= me.MODE_Y - 24)
+            {
+               me.selectMode(1);
+            }
+            else
+            {
+               me.startGame();
+            }
             return true;
          }
       };
       GameHandler.canvas.addEventListener("mousedown", fMouseDown, false);
       
-      Asteroids.AttractorScene.superclass.constructor.call(this, false, null);
+      // allow a replay file to be dropped onto the canvas to play it back
+      var fDragOver = function(e)
+      {
+         e.preventDefault();
+      };
+      var fDrop = function(e)
+      {
+         e.preventDefault();
+         var files = e.dataTransfer.files;
+         if (files.length !== 0 && me.game.currentScene === me && me.imagesLoaded && !me.start)
+         {
+            var reader = new FileReader();
+            reader.onload = function()
+            {
+               try
+               {
+                  me.startReplay(Asteroids.Replay.parse(reader.result));
+               }
+               catch (err)
+               {
+                  me.showMessage(err.message);
+               }
+            };
+            reader.readAsText(files[0]);
+         }
+      };
+      GameHandler.canvas.addEventListener("dragover", fDragOver, false);
+      GameHandler.canvas.addEventListener("drop", fDrop, false);
    };
    
    extend(Asteroids.AttractorScene, Game.Scene,
@@ -410,6 +1123,19 @@ Asteroids.Colours =
       sceneRenderers: null,
       currentSceneRenderer: 0,
       currentSceneFrame: 0,
+      message: null,
+      messageFrame: 0,
+      
+      /**
+       * Game mode started from the title screen - see Asteroids.HighScores.MODES. Changed
+       * with UP and DOWN (or the gamepad) or by clicking or tapping the mode
+       */
+      mode: "classic",
+      
+      /**
+       * Text baseline of the game mode displayed at the bottom of the title screen
+       */
+      MODE_Y: 620,
       
       /**
        * Scene completion polling method
@@ -433,33 +1159,102 @@ Asteroids.Colours =
          this.sceneRenderers.push(this.sceneRendererWelcome);
          this.sceneRenderers.push(this.sceneRendererInfo);
          this.sceneRenderers.push(this.sceneRendererScores);
+         this.sceneRenderers.push(this.sceneRendererEndless);
+         this.sceneRenderers.push(this.sceneRendererAchievements);
+         if (this.game.leaderboard !== null)
+         {
+            this.sceneRenderers.push(this.sceneRendererGlobal);
+            this.sceneRenderers.push(this.sceneRendererWeekly);
+            this.sceneRenderers.push(this.sceneRendererGlobalEndless);
+            this.sceneRenderers.push(this.sceneRendererWeeklyEndless);
+         }
          
          // randomly generate some background asteroids for attractor scene
          this.actors = [];
          for (var i=0; i<8; i++)
          {
-            var pos = new Vector( Rnd()*GameHandler.width, Rnd()*GameHandler.height );
-            var vec = new Vector( ((Rnd()*2)-1), ((Rnd()*2)-1) );
-            this.actors.push(new Asteroids.Asteroid(pos, vec, randomInt(3,4)));
+            var pos = new Vector( GameHandler.fxrng.rnd()*GameHandler.width, GameHandler.fxrng.rnd()*GameHandler.height );
+            var vec = new Vector( ((GameHandler.fxrng.rnd()*2)-1), ((GameHandler.fxrng.rnd()*2)-1) );
+            this.actors.push(new Asteroids.Asteroid(pos, vec, GameHandler.fxrng.randomInt(3,4)));
+         }
+      },
+      
+      /**
+       * Reset the game ready to start - the scene completes on the next tick
+       * 
+       * @param mode {string} Optional game mode - default is the mode selected on the
+       *        title screen
+       */
+      startGame: function startGame(mode)
+      {
+         this.game.newGame(undefined, mode || this.mode);
+         this.start = true;
+      },
+      
+      /**
+       * Select the next or previous game mode
+       * 
+       * @param dir {number} 1 for the next mode or -1 for the previous
+       */
+      selectMode: function selectMode(dir)
+      {
+         var modes = [];
+         for (var mode in Asteroids.HighScores.MODES)
+         {
+            modes.push(mode);
+         }
+         this.mode = modes[(modes.indexOf(this.mode) + modes.length + dir) % modes.length];
+      },
+      
+      /**
+       * Start playback of a replay - the scene completes on the next tick. A replay
+       * recorded with other wave definitions is refused as it would play out differently.
+       * 
+       * @param replay {Asteroids.Replay} Replay to play back
+       */
+      startReplay: function startReplay(replay)
+      {
+         if (!replay.matchesWaves())
+         {
+            this.showMessage("Replay was recorded with different waves");
+            return;
          }
-         
-         // reset any previous state ready for main game start
-         this.game.score = 0;
-         this.game.lives = 3;
+         this.game.playReplay(replay);
+         this.start = true;
       },
       
-      onRenderScene: function onRenderScene(ctx)
+      /**
+       * Display a brief status message below the title
+       */
+      showMessage: function showMessage(msg)
+      {
+         this.message = msg;
+         this.messageFrame = 0;
+      },
+      
+      onBeforeRenderScene: function onBeforeRenderScene()
       {
          if (this.imagesLoaded)
          {
-            // background asteroids
+            // update background asteroids
             for (var n=0,j=this.actors.length; n<j; n++)
             {
                var actor = this.actors[n];
                
                actor.onUpdate(this);
                this.game.updateActorPosition(actor);
-               actor.onRender(ctx);
+            }
+         }
+      },
+      
+      onRenderScene: function onRenderScene(ctx)
+      {
+         if (this.imagesLoaded)
+         {
+            // background asteroids
+            for (var n=0,j=this.actors.length; n<j; n++)
+            {
+               this.game.renderActor(ctx, this.actors[n]);
             }
             
             // manage scene renderers
@@ -489,10 +1284,25 @@ Asteroids.Colours =
             
             // render asteroids sine text
             this.sineText(ctx, "ASTEROIDS", GameHandler.width*0.5 - 130, GameHandler.height*0.5 - 64);
+            
+            // game mode selection
+            var m = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText);
+            m(ctx, "< " + Asteroids.HighScores.MODES[this.mode] + " Mode >", "12pt Courier New", this.MODE_Y, "white");
+            
+            // status message
+            if (this.message !== null)
+            {
+               var t = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText);
+               t(ctx, this.message, "12pt Courier New", GameHandler.height - 48, "rgb(255,255,128)");
+               if (++this.messageFrame === this.SCENE_LENGTH)
+               {
+                  this.message = null;
+               }
+            }
          }
          else
          {
-            var t = (BITMAPS ? Game.centerFillText : Game.centerDrawText);
+            var t = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText);
             t(ctx, "Please wait... Loading Images...", "18pt Courier New", GameHandler.height*0.5, "white");
          }
       },
@@ -500,36 +1310,130 @@ Asteroids.Colours =
       sceneRendererWelcome: function sceneRendererWelcome(ctx)
       {
          ctx.fillStyle = ctx.strokeStyle = "white";
-         var t = (BITMAPS ? Game.centerFillText : Game.centerDrawText);
+         var t = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText);
          t(ctx, "Press SPACE or click to start", "18pt Courier New", GameHandler.height*0.5);
-         t = (BITMAPS ? Game.fillText : Game.drawText);
+         t(ctx, "UP/DOWN or click the mode below to change the game mode", "12pt Courier New", GameHandler.height*0.5 + 30);
+         t = (GameHandler.settings.get("bitmaps") ? Game.fillText : Game.drawText);
          t(ctx, "by Kevin Roast", "10pt Courier New", 16, 624);
       },
       
       sceneRendererInfo: function sceneRendererInfo(ctx)
       {
          ctx.fillStyle = ctx.strokeStyle = "white";
-         var t = (BITMAPS ? Game.fillText : Game.drawText);
+         var t = (GameHandler.settings.get("bitmaps") ? Game.fillText : Game.drawText);
          t(ctx, "How to play...", "14pt Courier New", 40, 320);
          t(ctx, "Arrow keys to rotate, thrust, shield. SPACE to fire.", "14pt Courier New", 40, 350);
          t(ctx, "Pickup the glowing power-ups to enhance your ship.", "14pt Courier New", 40, 370);
          t(ctx, "Watch out for enemy saucers!", "14pt Courier New", 40, 390);
          t(ctx, "Press S to enable or disable sound.", "14pt Courier New", 40, 410);
          t(ctx, "Press R to switch between Modern and Retro graphics.", "14pt Courier New", 40, 430);
+         t(ctx, "Press P to watch the last game, X to save it to a file.", "14pt Courier New", 40, 450);
+         t(ctx, "Press C to change the controls, O the settings.", "14pt Courier New", 40, 470);
+         t(ctx, "Press T to see your statistics.", "14pt Courier New", 40, 490);
+         t(ctx, "Gamepads are supported - see the controls page.", "14pt Courier New", 40, 510);
       },
       
       sceneRendererScores: function sceneRendererScores(ctx)
+      {
+         this.renderScores(ctx, "High Scores", "classic");
+      },
+      
+      sceneRendererEndless: function sceneRendererEndless(ctx)
+      {
+         this.renderScores(ctx, "Endless High Scores", "endless");
+      },
+      
+      /**
+       * Render the high score table of a game mode
+       * 
+       * @param mode {string} Game mode - see Asteroids.HighScores.MODES
+       */
+      renderScores: function renderScores(ctx, title, mode)
       {
          ctx.fillStyle = ctx.strokeStyle = "white";
-         var t = (BITMAPS ? Game.centerFillText : Game.centerDrawText);
-         t(ctx, "High Score", "18pt Courier New", 320);
-         var sscore = this.game.highscore.toString();
-         // pad with zeros
-         for (var i=0, j=8-sscore.length; i<j; i++)
+         var t = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText),
+             table = this.game.scores.table(mode);
+         t(ctx, title, "18pt Courier New", 320);
+         if (table.length === 0)
          {
-            sscore = "0" + sscore;
+            t(ctx, "No scores yet - be the first!", "12pt Courier New", 360);
+         }
+         for (var i=0; i<table.length; i++)
+         {
+            t(ctx, Asteroids.HighScores.format(table[i], i), "12pt Courier New", 350 + i * 20);
+         }
+      },
+      
+      sceneRendererAchievements: function sceneRendererAchievements(ctx)
+      {
+         ctx.fillStyle = ctx.strokeStyle = "white";
+         var t = (GameHandler.settings.get("bitmaps") ? Game.fillText : Game.drawText),
+             c = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText),
+             achievements = this.game.achievements,
+             list = Asteroids.Achievements.LIST;
+         c(ctx, "Achievements " + achievements.count() + "/" + list.length, "18pt Courier New", 320);
+         for (var i=0; i<list.length; i++)
+         {
+            var unlocked = achievements.isUnlocked(list[i].id),
+                colour = (unlocked ? "rgb(255,255,128)" : "rgb(128,128,128)");
+            t(ctx, (unlocked ? "* " : "  ") + list[i].title, "12pt Courier New", 40, 350 + i * 20, colour);
+            t(ctx, list[i].description, "12pt Courier New", 250, 350 + i * 20, colour);
+         }
+      },
+      
+      sceneRendererGlobal: function sceneRendererGlobal(ctx)
+      {
+         this.renderLeaderboard(ctx, Asteroids.Leaderboard.PERIODS.all, "all", "classic");
+      },
+      
+      sceneRendererWeekly: function sceneRendererWeekly(ctx)
+      {
+         this.renderLeaderboard(ctx, Asteroids.Leaderboard.PERIODS.weekly, "weekly", "classic");
+      },
+      
+      sceneRendererGlobalEndless: function sceneRendererGlobalEndless(ctx)
+      {
+         this.renderLeaderboard(ctx, "Global Endless High Scores", "all", "endless");
+      },
+      
+      sceneRendererWeeklyEndless: function sceneRendererWeeklyEndless(ctx)
+      {
+         this.renderLeaderboard(ctx, "This Week's Endless High Scores", "weekly", "endless");
+      },
+      
+      /**
+       * Render an online leaderboard table of a game mode - the table is fetched as it is
+       * displayed
+       * 
+       * @param period {string} Table period - see Asteroids.Leaderboard.PERIODS
+       * @param mode {string} Game mode - see Asteroids.HighScores.MODES
+       */
+      renderLeaderboard: function renderLeaderboard(ctx, title, period, mode)
+      {
+         ctx.fillStyle = ctx.strokeStyle = "white";
+         var t = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText),
+             leaderboard = this.game.leaderboard,
+             table = leaderboard.table(period, mode);
+         t(ctx, title, "18pt Courier New", 320);
+         if (table.scores === null)
+         {
+            t(ctx, (table.error ? "Leaderboard unavailable" : "Loading..."), "12pt Courier New", 360);
+         }
+         else if (table.scores.length === 0)
+         {
+            t(ctx, "No scores yet - be the first!", "12pt Courier New", 360);
+         }
+         else
+         {
+            for (var i=0; i<table.scores.length; i++)
+            {
+               t(ctx, Asteroids.HighScores.format(table.scores[i], i), "12pt Courier New", 350 + i * 20);
+            }
+         }
+         if (leaderboard.queue.length !== 0)
+         {
+            t(ctx, leaderboard.queue.length + " score(s) waiting to be sent", "10pt Courier New", 560, "rgb(255,255,128)");
          }
-         t(ctx, sscore, "18pt Courier New", 350);
       },
       
       /**
@@ -560,7 +1464,7 @@ Asteroids.Colours =
          {
             var y = ypos + (Sin(offset) * RAD) * this.mult;
             var x = xpos + (Cos(offset++) * RAD) * (this.mult*0.5);
-            var f = (BITMAPS ? Game.fillText : Game.drawText);
+            var f = (GameHandler.settings.get("bitmaps") ? Game.fillText : Game.drawText);
             f(ctx, txt[i], "36pt Courier New", x + i*30, y, "white");
          }
          this.sine += 0.075;
@@ -571,25 +1475,116 @@ Asteroids.Colours =
          switch (keyCode)
          {
             case KEY.SPACE:
+            case KEY.ENTER:
             {
-               if (this.imagesLoaded)
+               if (this.imagesLoaded && !this.start)
                {
-                  this.start = true;
+                  this.startGame();
                }
                return true;
                break;
             }
             
+            case KEY.E:
+            {
+               if (this.imagesLoaded && !this.start)
+               {
+                  this.startGame("endless");
+               }
+               return true; break;
+            }
+            
+            case KEY.UP:
+            case KEY.DOWN:
+            {
+               // change the game mode - the gamepad d-pad sends the same keys
+               this.selectMode(keyCode === KEY.UP ? -1 : 1);
+               return true; break;
+            }
+            
+            case KEY.LEFT:
+            case KEY.RIGHT:
+            {
+               // flip between the welcome, info and high score pages
+               var n = this.sceneRenderers.length;
+               this.currentSceneRenderer = (this.currentSceneRenderer + (keyCode === KEY.LEFT ? n - 1 : 1)) % n;
+               this.currentSceneFrame = this.SCENE_FADE;
+               return true; break;
+            }
+            
             case KEY.R:
             {
-               BITMAPS = !BITMAPS;
+               GameHandler.settings.set("bitmaps", !GameHandler.settings.get("bitmaps"));
                return true;
                break;
             }
             
             case KEY.S:
             {
-               SOUND = !SOUND;
+               GameHandler.settings.set("sound", !GameHandler.settings.get("sound"));
+               return true; break;
+            }
+            
+            case KEY.P:
+            {
+               // play back the last game
+               if (this.imagesLoaded && !this.start)
+               {
+                  var replay = this.game.lastReplay || Asteroids.Replay.load();
+                  if (replay !== null)
+                  {
+                     this.startReplay(replay);
+                  }
+                  else
+                  {
+                     this.showMessage("No replay available");
+                  }
+               }
+               return true; break;
+            }
+            
+            case KEY.C:
+            {
+               // rebind the player controls
+               if (this.imagesLoaded && !this.start)
+               {
+                  this.game.pushScene(this.game.controlsScene);
+               }
+               return true; break;
+            }
+            
+            case KEY.O:
+            {
+               // change the settings
+               if (this.imagesLoaded && !this.start)
+               {
+                  this.game.pushScene(this.game.settingsScene);
+               }
+               return true; break;
+            }
+            
+            case KEY.T:
+            {
+               // display the player statistics
+               if (this.imagesLoaded && !this.start)
+               {
+                  this.game.pushScene(this.game.statisticsScene);
+               }
+               return true; break;
+            }
+            
+            case KEY.X:
+            {
+               // export the last game replay as a file
+               var replay = this.game.lastReplay || Asteroids.Replay.load();
+               if (replay !== null)
+               {
+                  replay.exportFile();
+               }
+               else
+               {
+                  this.showMessage("No replay available");
+               }
                return true; break;
             }
             
@@ -619,7 +1614,7 @@ Asteroids.Colours =
       this.player = game.player;
       
       // construct the interval to represent the Game Over text effect
-      var interval = new Game.Interval("GAME OVER", this.intervalRenderer);
+      var interval = new Game.Interval("GAME OVER", this.intervalRenderer, 300);
       Asteroids.GameOverScene.superclass.constructor.call(this, false, interval);
    };
    
@@ -627,6 +1622,11 @@ Asteroids.Colours =
    {
       game: null,
       
+      /**
+       * High score table position of the game - or -1 if it did not qualify
+       */
+      rank: -1,
+      
       /**
        * Scene completion polling method
        */
@@ -635,31 +1635,42 @@ Asteroids.Colours =
          return true;
       },
       
-      intervalRenderer: function intervalRenderer(interval, ctx)
+      onInitScene: function onInitScene()
+      {
+         Asteroids.GameOverScene.superclass.onInitScene.call(this);
+         
+         // a qualifying score is entered in the high score table
+         var me = this;
+         this.rank = -1;
+         this.game.enterHighScore(function(rank) { me.rank = rank; });
+         
+         this.game.endGame();
+         GameHandler.music.stinger("gameover");
+      },
+      
+      /**
+       * Scene onKeyDownHandler method - SPACE or ENTER returns to the title screen
+       */
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
       {
-         if (interval.framecounter++ === 0)
+         if (keyCode === KEY.SPACE || keyCode === KEY.ENTER)
          {
-            if (this.game.score === this.game.highscore)
-            {
-               // save new high score to HTML5 local storage
-               if (localStorage)
-               {
-                  localStorage.setItem(SCOREDBKEY, this.game.score);
-               }
-            }
+            this.interval.complete = true;
+            return true;
          }
-         if (interval.framecounter < 300)
+      },
+      
+      intervalRenderer: function intervalRenderer(interval, ctx)
+      {
+         Game.fillText(ctx, interval.label, "18pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 - 32, "white");
+         Game.fillText(ctx, "Score: " + this.game.score, "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5, "white");
+         if (this.rank === 0)
          {
-            Game.fillText(ctx, interval.label, "18pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 - 32, "white");
-            Game.fillText(ctx, "Score: " + this.game.score, "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5, "white");
-            if (this.game.score === this.game.highscore)
-            {
-               Game.fillText(ctx, "New High Score!", "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 + 24, "white");
-            }
+            Game.fillText(ctx, "New High Score!", "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 + 24, "white");
          }
-         else
+         else if (this.rank !== -1)
          {
-            interval.complete = true;
+            Game.fillText(ctx, "High score table #" + (this.rank + 1), "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 + 24, "white");
          }
       }
    });
@@ -680,7 +1691,7 @@ Asteroids.Colours =
       this.player = game.player;
       
       // construct the interval to represent the Game Completed text effect
-      var interval = new Game.Interval("CONGRATULATIONS!", this.intervalRenderer);
+      var interval = new Game.Interval("CONGRATULATIONS!", this.intervalRenderer, 1000);
       Asteroids.GameCompleted.superclass.constructor.call(this, false, interval);
    };
    
@@ -688,6 +1699,11 @@ Asteroids.Colours =
    {
       game: null,
       
+      /**
+       * High score table position of the game - or -1 if it did not qualify
+       */
+      rank: -1,
+      
       /**
        * Scene completion polling method
        */
@@ -696,31 +1712,43 @@ Asteroids.Colours =
          return true;
       },
       
-      intervalRenderer: function intervalRenderer(interval, ctx)
+      onInitScene: function onInitScene()
+      {
+         Asteroids.GameCompleted.superclass.onInitScene.call(this);
+         
+         // a qualifying score is entered in the high score table
+         var me = this;
+         this.rank = -1;
+         this.game.enterHighScore(function(rank) { me.rank = rank; });
+         
+         this.game.gameEvent("gameCompleted", {difficulty: this.game.difficulty, lives: this.game.lives});
+         this.game.endGame();
+         GameHandler.music.stinger("completed");
+      },
+      
+      /**
+       * Scene onKeyDownHandler method - SPACE or ENTER returns to the title screen
+       */
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
       {
-         if (interval.framecounter++ === 0)
+         if (keyCode === KEY.SPACE || keyCode === KEY.ENTER)
          {
-            if (this.game.score === this.game.highscore)
-            {
-               // save new high score to HTML5 local storage
-               if (localStorage)
-               {
-                  localStorage.setItem(SCOREDBKEY, this.game.score);
-               }
-            }
+            this.interval.complete = true;
+            return true;
          }
-         if (interval.framecounter < 1000)
+      },
+      
+      intervalRenderer: function intervalRenderer(interval, ctx)
+      {
+         Game.fillText(ctx, interval.label, "18pt Courier New", GameHandler.width*0.5 - 96, GameHandler.height*0.5 - 32, "white");
+         Game.fillText(ctx, "Score: " + this.game.score, "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5, "white");
+         if (this.rank === 0)
          {
-            Game.fillText(ctx, interval.label, "18pt Courier New", GameHandler.width*0.5 - 96, GameHandler.height*0.5 - 32, "white");
-            Game.fillText(ctx, "Score: " + this.game.score, "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5, "white");
-            if (this.game.score === this.game.highscore)
-            {
-               Game.fillText(ctx, "New High Score!", "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 + 24, "white");
-            }
+            Game.fillText(ctx, "New High Score!", "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 + 24, "white");
          }
-         else
+         else if (this.rank !== -1)
          {
-            interval.complete = true;
+            Game.fillText(ctx, "High score table #" + (this.rank + 1), "14pt Courier New", GameHandler.width*0.5 - 64, GameHandler.height*0.5 + 24, "white");
          }
       }
    });
@@ -735,14 +1763,16 @@ Asteroids.Colours =
  */
 (function()
 {
-   Asteroids.GameScene = function(game, wave)
+   Asteroids.GameScene = function(game, wave, definition)
    {
       this.game = game;
       this.wave = wave;
+      this.definition = definition;
       this.player = game.player;
+      this.input = game.input;
       
       // construct the interval to represent the "Wave XX" text effect
-      var interval = new Game.Interval("Wave " + wave, this.intervalRenderer);
+      var interval = new Game.Interval(definition.name, this.intervalRenderer, 100);
       Asteroids.GameScene.superclass.constructor.call(this, true, interval);
    };
    
@@ -753,17 +1783,27 @@ Asteroids.Colours =
       wave: 0,
       
       /**
-       * Key input values
+       * Wave definition - the asteroids, saucers, power up drop rates, hazards and par
+       * time of the wave. See Asteroids.Waves.
        */
-      input:
-      {
-         left: false,
-         right: false,
-         thrust: false,
-         shield: false,
-         fireA: false,
-         fireB: false
-      },
+      definition: null,
+      
+      /**
+       * Simulation time the wave started and the index of the next hazard to arrive
+       */
+      waveStart: 0,
+      nextHazard: 0,
+      
+      /**
+       * The boss saucer while it is in play - and true once the boss of the wave has arrived
+       */
+      boss: null,
+      bossArrived: false,
+      
+      /**
+       * Player input values - shared with the game
+       */
+      input: null,
       
       /**
        * Local reference to the game player actor
@@ -800,12 +1840,23 @@ Asteroids.Colours =
        */
       collectables: null,
       
+      /**
+       * Spatial hash of the enemy actors - collision detection broadphase rebuilt each tick
+       */
+      enemyHash: null,
+      HASH_CELLSIZE: 64,
+      
       /**
        * Enemy ships on screen (limited)
        */
       enemyShipCount: 0,
       enemyShipAdded: 0,
       
+      /**
+       * Number of enemies for the music drums layer to play at full level
+       */
+      MUSIC_ENEMIES: 16,
+      
       /**
        * Displayed score (animates towards actual score)
        */
@@ -816,11 +1867,28 @@ Asteroids.Colours =
        */
       skipLevel: false,
       
+      /**
+       * Score, lives, high score and player power ups at the start of the wave
+       */
+      startScore: 0,
+      startLives: 0,
+      startHighscore: 0,
+      startPowerUps: null,
+      
+      /**
+       * Lives lost during the wave and true once the wave has been cleared of enemies
+       */
+      livesLost: 0,
+      cleared: false,
+      
       /**
        * Scene init event handler
        */
       onInitScene: function onInitScene()
       {
+         this.game.wave = this.wave;
+         GameHandler.stats.wave(this.wave);
+         
          // generate the actors and add the actor sub-lists to the main actor list
          this.actors = [];
          this.enemies = [];
@@ -829,16 +1897,24 @@ Asteroids.Colours =
          this.actors.push(this.enemyBullets = []);
          this.actors.push(this.effects = []);
          this.actors.push(this.collectables = []);
+         this.enemyHash = new Game.SpatialHash(GameHandler.width, GameHandler.height, this.HASH_CELLSIZE);
          
          // reset player ready for game restart
          this.resetPlayerActor(this.wave !== 1);
          
-         // randomly generate some asteroids
-         var factor = 1.0 + ((this.wave - 1) * 0.075);
-         for (var i=1, j=(4+this.wave); i<j; i++)
+         // randomly generate the asteroids of the wave
+         var factor = this.asteroidSpeed();
+         for (var g=0, groups=this.definition.asteroids; g<groups.length; g++)
          {
-            this.enemies.push(this.generateAsteroid(factor));
+            for (var i=0; i<groups[g].count; i++)
+            {
+               this.enemies.push(this.generateAsteroid(factor, groups[g].size, groups[g].type));
+            }
          }
+         this.waveStart = GameHandler.frameStart;
+         this.nextHazard = 0;
+         this.boss = null;
+         this.bossArrived = false;
          
          // reset enemy ship count and last enemy added time
          this.enemyShipAdded = GameHandler.frameStart;
@@ -847,6 +1923,67 @@ Asteroids.Colours =
          // reset interval flag
          this.interval.reset();
          this.skipLevel = false;
+         
+         // the state to restore if the wave is restarted
+         this.startScore = this.game.score;
+         this.startLives = this.game.lives;
+         this.startHighscore = this.game.highscore;
+         this.startPowerUps = this.player.powerUps();
+         this.livesLost = 0;
+         this.cleared = false;
+         
+         GameHandler.music.stinger("wave");
+      },
+      
+      /**
+       * @return the asteroid speed multiplier of the wave at the difficulty of the game
+       */
+      asteroidSpeed: function asteroidSpeed()
+      {
+         return this.definition.speed * this.game.difficultyLevel().asteroidSpeed;
+      },
+      
+      /**
+       * @return true if the wave has a par time and the time taken is within it
+       */
+      underPar: function underPar()
+      {
+         return (this.definition.par !== null && GameHandler.frameStart - this.waveStart <= this.definition.par);
+      },
+      
+      /**
+       * Restart the wave from the beginning - the score, lives, high score and the player
+       * weapons and power ups are restored to their values at the start of the wave.
+       * 
+       * The statistics and achievements are not rolled back - the shots fired, enemies
+       * destroyed and any achievement unlocked before the restart still count, as they
+       * were played.
+       */
+      restartWave: function restartWave()
+      {
+         this.game.score = this.startScore;
+         this.game.lives = this.startLives;
+         this.game.highscore = this.startHighscore;
+         
+         // the power ups are kept by the player reset of a wave after the first
+         this.player.restorePowerUps(this.startPowerUps);
+         this.onInitScene();
+      },
+      
+      /**
+       * Calculate the adaptive music layer levels from the state of the wave
+       * 
+       * @return {object} Layer levels 0.0-1.0 by layer name - see Asteroids.Music.LAYERS
+       */
+      musicLevels: function musicLevels()
+      {
+         var lowEnergy = (this.player.energy < this.player.ENERGY_INIT * 0.25);
+         return {
+            bass: 1.0,
+            drums: this.enemies.length / this.MUSIC_ENEMIES,
+            arpeggio: (this.enemyShipCount !== 0 || this.boss !== null ? 1.0 : 0.0),
+            alarm: (lowEnergy ? 1.0 : (this.game.lives === 1 ? 0.5 : 0.0))
+         };
       },
       
       /**
@@ -866,24 +2003,23 @@ Asteroids.Colours =
             heading = 0.0;
             reset(persistPowerUps);
          }
+         // the player has jumped back to the centre - do not interpolate from the old position
+         this.player.prevPosition = null;
          
          // reset keyboard input values
-         with (this.input)
-         {
-            left = false;
-            right = false;
-            thrust = false;
-            shield = false;
-            fireA = false;
-            fireB = false;
-         }
+         this.game.resetInput();
       },
       
       /**
-       * Scene before rendering event handler
+       * Scene update event handler - called once per fixed simulation tick
        */
       onBeforeRenderScene: function onBeforeRenderScene()
       {
+         GameHandler.stats.tick();
+         
+         // engine thrust graphics are shown only while thrust is applied
+         this.player.engineThrust = false;
+         
          // handle key input
          if (this.input.left)
          {
@@ -895,9 +2031,19 @@ Asteroids.Colours =
             // rotate clockwise
             this.player.heading += 4 * GameHandler.frameMultipler;
          }
+         if (this.input.turn !== 0)
+         {
+            // analog rotation - speed in proportion to the stick position
+            this.player.heading += 4 * this.input.turn * GameHandler.frameMultipler;
+         }
          if (this.input.thrust)
          {
-            this.player.thrust();
+            this.player.thrust();
+         }
+         else if (this.input.throttle !== 0)
+         {
+            // analog thrust - power in proportion to the trigger position
+            this.player.thrust(this.input.throttle);
          }
          if (this.input.shield)
          {
@@ -916,35 +2062,41 @@ Asteroids.Colours =
             this.player.fireSecondary(this.playerBullets);
          }
          
-         // add an enemy ever N frames (depending on wave factor)
-         // later waves can have 2 ships on screen - earlier waves have one
-         if (this.enemyShipCount <= (this.wave < 5 ? 0 : 1) &&
-             GameHandler.frameStart - this.enemyShipAdded > (20000 - (this.wave * 1024)))
+         // add an enemy ship every N ms - up to the most on screen at once for the wave
+         // each may be a cluster ship instead of a saucer
+         var saucers = this.definition.saucers;
+         if (saucers !== null && this.enemyShipCount < saucers.max &&
+             GameHandler.frameStart - this.enemyShipAdded > saucers.delay * this.game.difficultyLevel().enemyShipDelay)
          {
-            this.enemies.push(new Asteroids.EnemyShip(this, (this.wave < 3 ? 0 : randomInt(0, 1))));
+            var ship;
+            if (saucers.cluster !== 0 && GameHandler.rng.rnd() < saucers.cluster)
+            {
+               ship = new Asteroids.ClusterShip(this, saucers.speed);
+            }
+            else
+            {
+               var size = (saucers.sizes.length === 1 ? saucers.sizes[0] : saucers.sizes[GameHandler.rng.randomInt(0, saucers.sizes.length - 1)]);
+               ship = new Asteroids.EnemyShip(this, size, saucers.speed);
+            }
+            this.enemies.push(ship);
             this.enemyShipCount++;
             this.enemyShipAdded = GameHandler.frameStart;
          }
          
-         // update all actors using their current vector
-         this.updateActors();
-      },
-      
-      /**
-       * Scene rendering event handler
-       */
-      onRenderScene: function onRenderScene(ctx)
-      {
-         // render the game actors
-         this.renderActors(ctx);
-         
-         if (DEBUG && DEBUG.COLLISIONRADIUS)
+         // timed hazards of the wave
+         var hazards = this.definition.hazards;
+         while (this.nextHazard < hazards.length &&
+                GameHandler.frameStart - this.waveStart >= hazards[this.nextHazard].at)
          {
-            this.renderCollisionRadius(ctx);
+            this.hazard(hazards[this.nextHazard++]);
          }
          
-         // render info overlay graphics
-         this.renderOverlay(ctx);
+         // update all actors using their current vector
+         this.updateActors();
+         
+         // index the enemies at their new positions
+         this.enemyHash.clear();
+         this.updateEnemyHash();
          
          // detect bullet collisions
          this.collisionDetectBullets();
@@ -963,9 +2115,11 @@ Asteroids.Colours =
                // perform a test to check no ememy is close to the player
                var tooClose = false;
                var playerPos = new Vector(GameHandler.width * 0.5, GameHandler.height * 0.5);
-               for (var i=0, j=this.enemies.length; i<j; i++)
+               this.updateEnemyHash();
+               var enemies = this.enemyHash.query(playerPos.x, playerPos.y, 80);
+               for (var i=0, j=enemies.length; i<j; i++)
                {
-                  var enemy = this.enemies[i];
+                  var enemy = enemies[i];
                   if (playerPos.distance(enemy.position) < 80)
                   {
                      tooClose = true;
@@ -978,6 +2132,68 @@ Asteroids.Colours =
                }
             }
          }
+         
+         // the boss arrives at its time - or at once if the rest of the wave is cleared first
+         var boss = this.definition.boss;
+         if (boss !== null && !this.bossArrived && !this.skipLevel &&
+             (GameHandler.frameStart - this.waveStart >= boss.at || this.enemies.length === 0))
+         {
+            this.bossArrived = true;
+            this.boss = new Asteroids.BossShip(this, boss.health);
+            this.enemies.push(this.boss);
+            GameHandler.music.stinger("boss");
+         }
+         
+         // the wave is cleared once the last enemy is destroyed - the effects may play on
+         if (!this.cleared && this.enemies.length === 0 && !this.skipLevel)
+         {
+            this.cleared = true;
+            this.game.gameEvent("waveCleared", {wave: this.wave, perfect: (this.livesLost === 0), underPar: this.underPar()});
+         }
+         
+         // TODO: add method for incrementing score so this is not done here
+         if (this.game.score > this.game.highscore)
+         {
+            this.game.highscore = this.game.score;
+         }
+      },
+      
+      /**
+       * Scene rendering event handler
+       */
+      onRenderScene: function onRenderScene(ctx)
+      {
+         // the play field is offset while the screen is shaking - the shake is cosmetic so
+         // does not use the gameplay random number streams
+         var shake = this.game.shakeSize;
+         ctx.save();
+         if (shake !== 0)
+         {
+            ctx.translate((Math.random() * 2 - 1) * shake, (Math.random() * 2 - 1) * shake);
+         }
+         
+         // render the game actors
+         this.renderActors(ctx);
+         
+         var debug = GameHandler.settings.get("debug");
+         if (debug && debug.COLLISIONRADIUS)
+         {
+            this.renderCollisionGrid(ctx);
+            this.renderCollisionRadius(ctx);
+         }
+         ctx.restore();
+         
+         // render info overlay graphics
+         this.renderOverlay(ctx);
+         
+         if (this.game.touch !== null)
+         {
+            this.game.touch.render(ctx);
+         }
+         if (this.game.mouse !== null)
+         {
+            this.game.mouse.render(ctx);
+         }
       },
       
       /**
@@ -990,15 +2206,8 @@ Asteroids.Colours =
       
       intervalRenderer: function intervalRenderer(interval, ctx)
       {
-         if (interval.framecounter++ < 100)
-         {
-            var f = (BITMAPS ? Game.fillText : Game.drawText);
-            f(ctx, interval.label, "18pt Courier New", GameHandler.width*0.5 - 48, GameHandler.height*0.5 - 8, "white");
-         }
-         else
-         {
-            interval.complete = true;
-         }
+         var f = (GameHandler.settings.get("bitmaps") ? Game.fillText : Game.drawText);
+         f(ctx, interval.label, "18pt Courier New", GameHandler.width*0.5 - 48, GameHandler.height*0.5 - 8, "white");
       },
       
       /**
@@ -1006,63 +2215,41 @@ Asteroids.Colours =
        */
       onKeyDownHandler: function onKeyDownHandler(keyCode)
       {
+         // the player input is driven by the replay during playback
+         // only keys that do not affect the game itself are processed
+         if (this.game.playback !== null && keyCode !== KEY.R && keyCode !== KEY.S && keyCode !== KEY.ESC)
+         {
+            return true;
+         }
+         
+         // player input keys as bound in the controls
+         var action = this.game.controls.actionFor(keyCode);
+         if (action !== null)
+         {
+            this.input[action] = true;
+            return true;
+         }
+         
          switch (keyCode)
          {
-            case KEY.LEFT:
-            {
-               this.input.left = true;
-               return true; break;
-            }
-            
-            case KEY.RIGHT:
-            {
-               this.input.right = true;
-               return true; break;
-            }
-            
-            case KEY.UP:
-            {
-               this.input.thrust = true;
-               return true; break;
-            }
-            
-            case KEY.DOWN:
-            case KEY.SHIFT:
-            {
-               this.input.shield = true;
-               return true; break;
-            }
-            
-            case KEY.SPACE:
-            {
-               this.input.fireA = true;
-               return true; break;
-            }
-            
-            case KEY.Z:
-            {
-               this.input.fireB = true;
-               return true; break;
-            }
-            
             // special keys - key press state not maintained between frames
             
             case KEY.R:
             {
                // switch rendering modes
-               BITMAPS = !BITMAPS;
+               GameHandler.settings.set("bitmaps", !GameHandler.settings.get("bitmaps"));
                return true; break;
             }
             
             case KEY.S:
             {
-               SOUND = !SOUND;
+               GameHandler.settings.set("sound", !GameHandler.settings.get("sound"));
                return true; break;
             }
             
             case KEY.A:
             {
-               if (DEBUG)
+               if (GameHandler.settings.get("debug"))
                {
                   // generate an asteroid
                   this.enemies.push(this.generateAsteroid(1));
@@ -1073,9 +2260,9 @@ Asteroids.Colours =
             
             case KEY.G:
             {
-               if (DEBUG)
+               if (GameHandler.settings.get("debug"))
                {
-                  GLOWEFFECT = !GLOWEFFECT;
+                  GameHandler.settings.cycle("glow", 1);
                   return true;
                }
                break;
@@ -1083,7 +2270,7 @@ Asteroids.Colours =
             
             case KEY.L:
             {
-               if (DEBUG)
+               if (GameHandler.settings.get("debug"))
                {
                   this.skipLevel = true;
                   return true;
@@ -1093,9 +2280,9 @@ Asteroids.Colours =
             
             case KEY.E:
             {
-               if (DEBUG)
+               if (GameHandler.settings.get("debug"))
                {
-                  this.enemies.push(new Asteroids.EnemyShip(this, randomInt(0, 1)));
+                  this.enemies.push(new Asteroids.EnemyShip(this, GameHandler.rng.randomInt(0, 1)));
                   return true;
                }
                break;
@@ -1103,7 +2290,7 @@ Asteroids.Colours =
             
             case KEY.ESC:
             {
-               GameHandler.pause();
+               this.game.pauseGame();
                return true; break;
             }
          }
@@ -1114,63 +2301,59 @@ Asteroids.Colours =
        */
       onKeyUpHandler: function onKeyUpHandler(keyCode)
       {
-         switch (keyCode)
+         if (this.game.playback !== null)
          {
-            case KEY.LEFT:
-            {
-               this.input.left = false;
-               return true; break;
-            }
-            
-            case KEY.RIGHT:
-            {
-               this.input.right = false;
-               return true; break;
-            }
-            
-            case KEY.UP:
-            {
-               this.input.thrust = false;
-               return true; break;
-            }
-            
-            case KEY.DOWN:
-            case KEY.SHIFT:
-            {
-               this.input.shield = false;
-               return true; break;
-            }
-            
-            case KEY.SPACE:
-            {
-               this.input.fireA = false;
-               return true; break;
-            }
-            
-            case KEY.Z:
-            {
-               this.input.fireB = false;
-               return true; break;
-            }
+            return true;
+         }
+         
+         var action = this.game.controls.actionFor(keyCode);
+         if (action !== null)
+         {
+            this.input[action] = false;
+            return true;
+         }
+      },
+      
+      /**
+       * A hazard of the wave arrives - see Asteroids.Waves.HAZARDS
+       * 
+       * @param hazard {object} Hazard definition
+       */
+      hazard: function hazard(hazard)
+      {
+         switch (hazard.type)
+         {
+            case "asteroids":
+               // a shower of asteroids
+               for (var i=0, factor=this.asteroidSpeed() * hazard.speed; i<hazard.count; i++)
+               {
+                  this.enemies.push(this.generateAsteroid(factor, hazard.size, null));
+               }
+               this.game.shake(6);
+               break;
          }
       },
       
       /**
-       * Randomly generate a new large asteroid. Ensures the asteroid is not generated
+       * Randomly generate a new asteroid. Ensures the asteroid is not generated
        * too close to the player position!
        * 
        * @param speedFactor {number} Speed multiplier factor to apply to asteroid vector
+       * @param size {number} Optional asteroid size 1-4 - default is a large asteroid
+       * @param type {number} Optional asteroid bitmap type 1-4 - default is a random type
        */
-      generateAsteroid: function generateAsteroid(speedFactor)
+      generateAsteroid: function generateAsteroid(speedFactor, size, type)
       {
          while (true)
          {
             // perform a test to check it is not too close to the player
-            var apos = new Vector(Rnd()*GameHandler.width, Rnd()*GameHandler.height);
+            var apos = new Vector(GameHandler.rng.rnd()*GameHandler.width, GameHandler.rng.rnd()*GameHandler.height);
             if (this.player.position.distance(apos) > 125)
             {
-               var vec = new Vector( ((Rnd()*2)-1)*speedFactor, ((Rnd()*2)-1)*speedFactor );
-               return new Asteroids.Asteroid(apos, vec, 4);
+               var vec = new Vector( ((GameHandler.rng.rnd()*2)-1)*speedFactor, ((GameHandler.rng.rnd()*2)-1)*speedFactor );
+               var asteroid = new Asteroids.Asteroid(apos, vec, size || 4, type || undefined);
+               asteroid.health *= this.definition.health;
+               return asteroid;
             }
          }
       },
@@ -1194,7 +2377,8 @@ Asteroids.Colours =
                // expiration test first
                if (actor.expired())
                {
-                  actorList.splice(n, 1);
+                  Game.Util.swapRemove(actorList, n--);
+                  actor.release();
                }
                else
                {
@@ -1207,21 +2391,25 @@ Asteroids.Colours =
       /**
        * Perform the operation needed to destory the player.
        * Mark as killed as reduce lives, explosion effect and play sound.
+       * 
+       * @param cause {string} Cause of death - see Asteroids.Statistics.DEATHS
        */
-      destroyPlayer: function destroyPlayer()
+      destroyPlayer: function destroyPlayer(cause)
       {
          // player destroyed by enemy bullet - remove from play
          this.player.kill();
          
          // deduct a life
          this.game.lives--;
+         this.livesLost++;
+         GameHandler.stats.died(cause);
          
          // replace player with explosion
-         var boom = new Asteroids.PlayerExplosion(
-            this.player.position.clone(), this.player.vector.clone());
+         var boom = Asteroids.PlayerExplosion.pool.acquire(this.player.position, this.player.vector);
          this.effects.push(boom);
+         this.game.shake(12);
          
-         if (SOUND && soundManager) soundManager.play('big_boom');
+         GameHandler.audio.play('big_boom', {position: this.player.position});
       },
       
       /**
@@ -1232,11 +2420,14 @@ Asteroids.Colours =
       {
          var playerRadius = this.player.radius();
          var playerPos = this.player.position;
+         var debug = GameHandler.settings.get("debug");
          
-         // test circle intersection with each asteroid/enemy ship
-         for (var n = 0, m = this.enemies.length; n < m; n++)
+         // test circle intersection with each asteroid/enemy ship near the player
+         this.updateEnemyHash();
+         var enemies = this.enemyHash.query(playerPos.x, playerPos.y, playerRadius);
+         for (var n = 0, m = enemies.length; n < m; n++)
          {
-            var enemy = this.enemies[n];
+            var enemy = enemies[n];
             
             // calculate distance between the two circles
             if (playerPos.distance(enemy.position) <= playerRadius + enemy.radius())
@@ -1248,12 +2439,14 @@ Asteroids.Colours =
                   this.player.vector.scale(0.75);
                   
                   // destroy the enemy - the player is invincible with shield up!
-                  enemy.hit(-1);
-                  this.destroyEnemy(enemy, this.player.vector, true);
+                  if (enemy.hit(-1))
+                  {
+                     this.destroyEnemy(enemy, this.player.vector, true);
+                  }
                }
-               else if (!(DEBUG && DEBUG.INVINCIBLE))
+               else if (!(debug && debug.INVINCIBLE))
                {
-                  this.destroyPlayer();
+                  this.destroyPlayer(enemy instanceof Asteroids.Asteroid ? "asteroid" : "saucer");
                }
             }
          }
@@ -1270,11 +2463,12 @@ Asteroids.Colours =
                if (this.player.isShieldActive())
                {
                   // remove this bullet from the actor list as it has been destroyed
-                  this.enemyBullets.splice(i, 1);
+                  Game.Util.swapRemove(this.enemyBullets, i--);
+                  bullet.release();
                }
-               else if (!(DEBUG && DEBUG.INVINCIBLE))
+               else if (!(debug && debug.INVINCIBLE))
                {
-                  this.destroyPlayer();
+                  this.destroyPlayer("bullet");
                }
             }
          }
@@ -1288,10 +2482,11 @@ Asteroids.Colours =
             if (playerPos.distance(item.position) <= playerRadius + item.radius())
             {
                // collision detected - remove item from play and activate it
-               this.collectables.splice(i, 1);
+               Game.Util.swapRemove(this.collectables, i--);
                item.collected(this.game, this.player, this);
                
-               if (SOUND && soundManager) soundManager.play('powerup');
+               GameHandler.audio.play('powerup', {position: item.position});
+               item.release();
             }
          }
       },
@@ -1308,15 +2503,19 @@ Asteroids.Colours =
             var bulletRadius = bullet.radius();
             var bulletPos = bullet.position;
             
-            // test circle intersection with each enemy actor
-            for (n = 0, m = this.enemies.length, enemy, z; n < m; n++)
+            // test circle intersection with each enemy actor near the bullet
+            // including any baby asteroids generated by the previous bullets
+            this.updateEnemyHash();
+            var enemies = this.enemyHash.query(bulletPos.x, bulletPos.y, bulletRadius);
+            for (n = 0, m = enemies.length, enemy, z; n < m; n++)
             {
-               enemy = this.enemies[n];
+               enemy = enemies[n];
                
                // test the distance against the two radius combined
                if (bulletPos.distance(enemy.position) <= bulletRadius + enemy.radius())
                {
                   // intersection detected! 
+                  GameHandler.stats.hit();
                   
                   // test for area effect bomb weapon
                   var effectRad = bullet.effectRadius();
@@ -1333,42 +2532,59 @@ Asteroids.Colours =
                      else
                      {
                         // add a bullet impact particle effect to show the hit
-                        var effect = new Asteroids.PlayerBulletImpact(bullet.position, bullet.vector);
+                        var effect = Asteroids.PlayerBulletImpact.pool.acquire(bullet.position, bullet.vector);
                         this.effects.push(effect);
                      }
                   }
                   else
                   {
-                     // inform enemy it has been hit by a instant kill weapon
-                     enemy.hit(-1);
-                     this.generatePowerUp(enemy);
+                     // inform enemy it has been hit by a instant kill weapon - a boss
+                     // is only damaged
+                     var killed = enemy.hit(-1);
+                     if (killed)
+                     {
+                        this.generatePowerUp(enemy);
+                     }
+                     else
+                     {
+                        var effect = Asteroids.PlayerBulletImpact.pool.acquire(bullet.position, bullet.vector);
+                        this.effects.push(effect);
+                     }
                      
                      // add a big explosion actor at the area weapon position and vector
                      var comboCount = 1;
-                     var boom = new Asteroids.Explosion(
-                           bullet.position.clone(), bullet.vector.nscale(0.5), 5);
+                     var boom = Asteroids.Explosion.pool.acquire(
+                           bullet.position, bullet.vector.nscale(0.5), 5);
                      this.effects.push(boom);
+                     this.game.shake(8);
+                     GameHandler.audio.play('bomb_detonate', {position: bullet.position});
                      
                      // destroy the enemy
-                     this.destroyEnemy(enemy, bullet.vector, true);
+                     if (killed)
+                     {
+                        this.destroyEnemy(enemy, bullet.vector, true);
+                     }
                      
                      // wipe out nearby enemies under the weapon effect radius
-                     // take the length of the enemy actor list here - so we don't
-                     // kill off -all- baby asteroids - so some elements of the original survive
-                     for (var x = 0, z = this.enemies.length, e; x < z; x++)
+                     // take the enemies in the hash here - so we don't kill off -all-
+                     // baby asteroids - so some elements of the original survive
+                     this.updateEnemyHash();
+                     var nearby = this.enemyHash.query(bulletPos.x, bulletPos.y, effectRad);
+                     for (var x = 0, z = nearby.length, e; x < z; x++)
                      {
-                        e = this.enemies[x];
+                        e = nearby[x];
                         
                         // test the distance against the two radius combined
-                        if (bulletPos.distance(e.position) <= effectRad + e.radius())
+                        if (bulletPos.distance(e.position) <= effectRad + e.radius() && e.hit(-1))
                         {
-                           e.hit(-1);
                            this.generatePowerUp(e);
                            this.destroyEnemy(e, bullet.vector, true);
                            comboCount++;
                         }
                      }
                      
+                     this.game.gameEvent("combo", {count: comboCount});
+                     
                      // special score and indicator for "combo" detonation
                      if (comboCount > 4)
                      {
@@ -1378,7 +2594,7 @@ Asteroids.Colours =
                         
                         // generate a special effect indicator at the destroyed enemy position
                         var vec = new Vector(0, -3.0);
-                        var effect = new Asteroids.ScoreIndicator(
+                        var effect = Asteroids.ScoreIndicator.pool.acquire(
                               new Vector(enemy.position.x, enemy.position.y - (enemy.size * 8)),
                               vec.add(enemy.vector.nscale(0.5)),
                               inc, 16, 'COMBO X' + comboCount, 'rgb(255,255,55)', 1000);
@@ -1390,7 +2606,8 @@ Asteroids.Colours =
                   }
                   
                   // remove this bullet from the actor list as it has been destroyed
-                  this.playerBullets.splice(i, 1);
+                  Game.Util.swapRemove(this.playerBullets, i--);
+                  bullet.release();
                   break;
                }
             }
@@ -1403,10 +2620,12 @@ Asteroids.Colours =
             var bulletRadius = bullet.radius();
             var bulletPos = bullet.position;
             
-            // test circle intersection with each enemy actor
-            for (n = 0, m = this.enemies.length, z; n < m; n++)
+            // test circle intersection with each enemy actor near the bullet
+            this.updateEnemyHash();
+            var enemies = this.enemyHash.query(bulletPos.x, bulletPos.y, bulletRadius);
+            for (n = 0, m = enemies.length, z; n < m; n++)
             {
-               var enemy = this.enemies[n];
+               var enemy = enemies[n];
                
                if (enemy instanceof Asteroids.Asteroid)
                {
@@ -1421,12 +2640,13 @@ Asteroids.Colours =
                      else
                      {
                         // add a bullet impact particle effect to show the hit
-                        var effect = new Asteroids.EnemyBulletImpact(bullet.position, bullet.vector);
+                        var effect = Asteroids.EnemyBulletImpact.pool.acquire(bullet.position, bullet.vector);
                         this.effects.push(effect);
                      }
                      
                      // remove this bullet from the actor list as it has been destroyed
-                     this.enemyBullets.splice(i, 1);
+                     Game.Util.swapRemove(this.enemyBullets, i--);
+                     bullet.release();
                      break;
                   }
                }
@@ -1434,6 +2654,20 @@ Asteroids.Colours =
          }
       },
       
+      /**
+       * Add any enemies not yet in the enemy spatial hash e.g. baby asteroids generated
+       * during collision detection. Enemies are only removed from the list by updateActors()
+       * before the hash is rebuilt - so the hash item ids always match the enemy list index.
+       */
+      updateEnemyHash: function updateEnemyHash()
+      {
+         for (var i = this.enemyHash.count(), enemy; i < this.enemies.length; i++)
+         {
+            enemy = this.enemies[i];
+            this.enemyHash.insert(enemy, enemy.position.x, enemy.position.y, enemy.radius());
+         }
+      },
+      
       /**
        * Randomly generate a power up to reward the player
        * 
@@ -1442,17 +2676,18 @@ Asteroids.Colours =
       generatePowerUp: function generatePowerUp(enemy, force)
       {
          if (this.collectables.length < 5 &&
-             (force || randomInt(0, ((enemy instanceof Asteroids.Asteroid) ? 25 : 1)) === 0))
+             (force || GameHandler.rng.randomInt(0, ((enemy instanceof Asteroids.Asteroid) ?
+                  this.definition.powerUps.asteroid : this.definition.powerUps.saucer) - 1) === 0))
          {
             // apply a small random vector in the direction of travel
             // rotate by slightly randomized enemy heading
             var vec = enemy.vector.clone();
-            var t = new Vector(0.0, -(Rnd() * 2));
-            t.rotate(enemy.vector.theta() * (Rnd()*PI));
+            var t = new Vector(0.0, -(GameHandler.rng.rnd() * 2));
+            t.rotate(enemy.vector.theta() * (GameHandler.rng.rnd()*PI));
             vec.add(t);
             
             // add a power up to the collectables list
-            this.collectables.push(new Asteroids.PowerUp(
+            this.collectables.push(Asteroids.PowerUp.pool.acquire(
                new Vector(enemy.position.x, enemy.position.y - (enemy.size * 8)),
                vec));
          }
@@ -1474,62 +2709,140 @@ Asteroids.Colours =
       {
          if (enemy instanceof Asteroids.Asteroid)
          {
-            if (SOUND && soundManager)
-            {
-               switch (randomInt(1,4))
-               {
-                  case 1: soundManager.play('asteroid_boom1'); break;
-                  case 2: soundManager.play('asteroid_boom2'); break;
-                  case 3: soundManager.play('asteroid_boom3'); break;
-                  case 4: soundManager.play('asteroid_boom4'); break;
-               }
-            }
+            // bigger asteroids explode with a deeper sound
+            GameHandler.audio.play('asteroid_boom' + GameHandler.fxrng.randomInt(1,4),
+                  {position: enemy.position, pitch: 1.45 - enemy.size * 0.15});
             
             // generate baby asteroids
             this.generateBabyAsteroids(enemy, parentVector);
             
             // add an explosion at the asteriod position and vector
-            var boom = new Asteroids.AsteroidExplosion(
-               enemy.position.clone(), enemy.vector.clone(), enemy); 
+            var boom = Asteroids.AsteroidExplosion.pool.acquire(enemy.position, enemy.vector, enemy);
             this.effects.push(boom);
+            this.game.shake(enemy.size);
             
             if (player)
             {
+               GameHandler.stats.asteroidDestroyed(enemy.size);
+               
                // increment score based on asteroid size
                var inc = ((5 - enemy.size) * 4) * 100 * this.wave;
                this.game.score += inc;
                
                // generate a score effect indicator at the destroyed enemy position
                var vec = new Vector(0, -1.5).add(enemy.vector.nscale(0.5));
-               var effect = new Asteroids.ScoreIndicator(
+               var effect = Asteroids.ScoreIndicator.pool.acquire(
                      new Vector(enemy.position.x, enemy.position.y - (enemy.size * 8)), vec, inc);
                this.effects.push(effect);
             }
          }
          else if (enemy instanceof Asteroids.EnemyShip)
          {
-            if (SOUND && soundManager) soundManager.play('asteroid_boom1');
+            GameHandler.audio.play('asteroid_boom1', {position: enemy.position});
             
             // add an explosion at the enemy ship position and vector
-            var boom = new Asteroids.EnemyExplosion(enemy.position.clone(), enemy.vector.clone(), enemy);
+            var boom = Asteroids.EnemyExplosion.pool.acquire(enemy.position, enemy.vector, enemy);
             this.effects.push(boom);
+            this.game.shake(5);
             
             if (player)
             {
+               GameHandler.stats.saucerDestroyed(enemy.size);
+               
                // increment score based on asteroid size
                var inc = 2000 * this.wave * (enemy.size + 1);
                this.game.score += inc;
                
                // generate a score effect indicator at the destroyed enemy position
                var vec = new Vector(0, -1.5).add(enemy.vector.nscale(0.5));
-               var effect = new Asteroids.ScoreIndicator(
+               var effect = Asteroids.ScoreIndicator.pool.acquire(
                      new Vector(enemy.position.x, enemy.position.y - 16), vec, inc);
                this.effects.push(effect);
             }
             
+            if (player)
+            {
+               this.game.gameEvent("saucer", null);
+            }
+            
+            // decrement scene ship count
+            this.enemyShipCount--;
+         }
+         else if (enemy instanceof Asteroids.ClusterShip || enemy instanceof Asteroids.ClusterFighter)
+         {
+            GameHandler.audio.play('asteroid_boom1', {position: enemy.position, pitch: (enemy instanceof Asteroids.ClusterFighter ? 1.5 : 1.0)});
+            
+            // add an explosion at the enemy position and vector
+            var boom = Asteroids.EnemyExplosion.pool.acquire(enemy.position, enemy.vector, enemy);
+            this.effects.push(boom);
+            this.game.shake(enemy instanceof Asteroids.ClusterFighter ? 2 : 5);
+            
+            // a cluster ship breaks apart into its fighters - each counted as an enemy ship
+            if (enemy instanceof Asteroids.ClusterShip)
+            {
+               this.generateClusterFighters(enemy, parentVector);
+            }
+            
+            if (player)
+            {
+               GameHandler.stats.saucerDestroyed(enemy.size);
+               
+               var inc = enemy.SCORE * this.wave;
+               this.game.score += inc;
+               
+               var vec = new Vector(0, -1.5).add(enemy.vector.nscale(0.5));
+               var effect = Asteroids.ScoreIndicator.pool.acquire(
+                     new Vector(enemy.position.x, enemy.position.y - enemy.radius()), vec, inc);
+               this.effects.push(effect);
+            }
+            
             // decrement scene ship count
             this.enemyShipCount--;
          }
+         else if (enemy instanceof Asteroids.BossShip)
+         {
+            // a chain of explosions over the hull of the boss
+            this.effects.push(new Asteroids.BossExplosion(enemy.position, enemy.vector, enemy));
+            this.boss = null;
+            
+            if (player)
+            {
+               GameHandler.stats.saucerDestroyed(enemy.size);
+               
+               var inc = 10000 * this.wave;
+               this.game.score += inc;
+               
+               var vec = new Vector(0, -1.5).add(enemy.vector.nscale(0.5));
+               var effect = Asteroids.ScoreIndicator.pool.acquire(
+                     new Vector(enemy.position.x, enemy.position.y - enemy.radius()), vec,
+                     inc, 16, 'BOSS', 'rgb(255,255,55)', 1000);
+               this.effects.push(effect);
+               
+               // reward the player with power ups
+               this.generatePowerUp(enemy, true);
+               this.generatePowerUp(enemy, true);
+               
+               this.game.gameEvent("boss", {wave: this.wave});
+            }
+         }
+      },
+      
+      /**
+       * Generate the fighters released by a cluster ship as it breaks apart. The fighters
+       * fan out evenly from the wreck - with some of the momentum of the impact.
+       * 
+       * @param ship {Asteroids.ClusterShip} The cluster ship that has been destroyed
+       * @param parentVector {Vector} Vector of the impacting object e.g. a bullet
+       */
+      generateClusterFighters: function generateClusterFighters(ship, parentVector)
+      {
+         var angle = GameHandler.rng.rnd() * TWOPI;
+         for (var i=0; i<ship.FIGHTERS; i++)
+         {
+            var vec = new Vector(0, -1.5).rotate(angle + i * TWOPI / ship.FIGHTERS).add(parentVector.nscale(0.2));
+            this.enemies.push(new Asteroids.ClusterFighter(ship.position.clone().add(vec.nscale(4)), vec));
+            this.enemyShipCount++;
+         }
       },
       
       /**
@@ -1545,17 +2858,17 @@ Asteroids.Colours =
          // generate some baby asteroid(s) if bigger than the minimum size
          if (asteroid.size > 1)
          {
-            for (var x=0, xc=randomInt(asteroid.size / 2, asteroid.size - 1); x<xc; x++)
+            for (var x=0, xc=GameHandler.rng.randomInt(asteroid.size / 2, asteroid.size - 1); x<xc; x++)
             {
-               var babySize = randomInt(1, asteroid.size - 1);
+               var babySize = GameHandler.rng.randomInt(1, asteroid.size - 1);
                
                var vec = asteroid.vector.clone();
                
                // apply a small random vector in the direction of travel
-               var t = new Vector(0.0, -Rnd());
+               var t = new Vector(0.0, -GameHandler.rng.rnd());
                
                // rotate vector by asteroid current heading - slightly randomized
-               t.rotate(asteroid.vector.theta() * (Rnd()*PI));
+               t.rotate(asteroid.vector.theta() * (GameHandler.rng.rnd()*PI));
                vec.add(t);
                
                // add the scaled parent vector - to give some momentum from the impact
@@ -1563,8 +2876,9 @@ Asteroids.Colours =
                
                // create the asteroid - slightly offset from the centre of the old one
                var baby = new Asteroids.Asteroid(
-                     new Vector(asteroid.position.x + (Rnd()*5)-2.5, asteroid.position.y + (Rnd()*5)-2.5),
+                     new Vector(asteroid.position.x + (GameHandler.rng.rnd()*5)-2.5, asteroid.position.y + (GameHandler.rng.rnd()*5)-2.5),
                      vec, babySize, asteroid.type);
+               baby.health *= this.definition.health;
                this.enemies.push(baby);
             }
          }
@@ -1584,7 +2898,7 @@ Asteroids.Colours =
             
             for (var n = actorList.length - 1; n >= 0; n--)
             {
-               actorList[n].onRender(ctx);
+               this.game.renderActor(ctx, actorList[n]);
             }
          }
       },
@@ -1621,6 +2935,39 @@ Asteroids.Colours =
          ctx.restore();
       },
       
+      /**
+       * DEBUG - Render the cells of the enemy spatial hash - occupied cells are shaded
+       * with the number of enemies overlapping the cell.
+       * 
+       * @param ctx {object} Canvas rendering context
+       */
+      renderCollisionGrid: function renderCollisionGrid(ctx)
+      {
+         var hash = this.enemyHash, size = hash.cellSize;
+         
+         ctx.save();
+         ctx.strokeStyle = "rgb(80,80,80)";
+         ctx.fillStyle = "rgba(255,255,0,0.15)";
+         ctx.lineWidth = 0.5;
+         ctx.shadowBlur = 0;
+         
+         for (var y = 0; y < hash.rows; y++)
+         {
+            for (var x = 0, count; x < hash.cols; x++)
+            {
+               ctx.strokeRect(x * size, y * size, size, size);
+               count = hash.cells[y * hash.cols + x].length;
+               if (count !== 0)
+               {
+                  ctx.fillRect(x * size, y * size, size, size);
+                  Game.drawText(ctx, count.toString(), "8pt Courier New", x * size + 2, y * size + 10, "rgb(255,255,0)");
+               }
+            }
+         }
+         
+         ctx.restore();
+      },
+      
       
       /**
        * Render player information HUD overlay graphics.
@@ -1647,7 +2994,7 @@ Asteroids.Colours =
          // lives indicator graphics
          for (var i=0; i<this.game.lives; i++)
          {
-            if (BITMAPS)
+            if (GameHandler.settings.get("bitmaps"))
             {
                ctx.drawImage(g_playerImg, 0, 0, 64, 64, 350+(i*20), 0, 16, 16);
             }
@@ -1683,11 +3030,6 @@ Asteroids.Colours =
          Game.fillText(ctx, sscore, "12pt Courier New", 120, 12, "white");
          
          // high score
-         // TODO: add method for incrementing score so this is not done here
-         if (score > this.game.highscore)
-         {
-            this.game.highscore = score;
-         }
          sscore = this.game.highscore.toString();
          // pad with zeros
          for (var i=0, j=8-sscore.length; i<j; i++)
@@ -1696,10 +3038,43 @@ Asteroids.Colours =
          }
          Game.fillText(ctx, "HI: " + sscore, "12pt Courier New", 220, 12, "white");
          
+         // replay indicator
+         if (this.game.playback !== null)
+         {
+            Game.fillText(ctx, "REPLAY", "12pt Courier New", 560, 12, "rgb(255,255,128)");
+         }
+         
+         // boss health bar
+         if (this.boss !== null)
+         {
+            var width = 300, x = (GameHandler.width - width) * 0.5;
+            ctx.strokeStyle = Asteroids.Colours.ENEMY_SHIP_DARK;
+            ctx.strokeRect(x, 22, width + 1, 6);
+            ctx.fillStyle = Asteroids.Colours.ENEMY_SHIP;
+            ctx.fillRect(x + 1, 23, Math.max(0, this.boss.health / this.boss.maxHealth) * width, 5);
+            Game.fillText(ctx, "BOSS", "10pt Courier New", x - 40, 30, "white");
+         }
+         
+         // wave counter - the endless mode has no last wave to count towards
+         if (this.game.mode === "endless")
+         {
+            Game.fillText(ctx, "WAVE " + this.wave, "12pt Courier New", 470, 12, "white");
+         }
+         
+         // wave time against the par time of the wave - green while within par
+         var def = this.definition;
+         if (def.par !== null && !this.cleared)
+         {
+            var time = GameHandler.frameStart - this.waveStart;
+            Game.fillText(ctx, Asteroids.Statistics.formatTime(time) + " PAR " + Asteroids.Statistics.formatTime(def.par),
+                  "10pt Courier New", GameHandler.width - 130, GameHandler.height - 4, (time <= def.par ? "rgb(128,255,128)" : "white"));
+         }
+         
          // debug output
-         if (DEBUG && DEBUG.FPS)
+         var debug = GameHandler.settings.get("debug");
+         if (debug && debug.FPS)
          {
-            Game.fillText(ctx, "FPS: " + GameHandler.maxfps, "12pt Courier New", 0, GameHandler.height - 2, "lightblue");
+            Game.fillText(ctx, "FPS: " + GameHandler.maxfps + " SEED: " + this.game.seed, "12pt Courier New", 0, GameHandler.height - 2, "lightblue");
          }
          
          ctx.restore();
@@ -1736,8 +3111,8 @@ Asteroids.Colours =
       {
          // select a random point for the initial location
          this.prevx = this.prevy = 0;
-         this.x = (Rnd() * GameHandler.width - (GameHandler.width * 0.5)) * this.MAXZ;
-         this.y = (Rnd() * GameHandler.height - (GameHandler.height * 0.5)) * this.MAXZ;
+         this.x = (GameHandler.fxrng.rnd() * GameHandler.width - (GameHandler.width * 0.5)) * this.MAXZ;
+         this.y = (GameHandler.fxrng.rnd() * GameHandler.height - (GameHandler.height * 0.5)) * this.MAXZ;
          this.z = this.MAXZ;
       },
       
@@ -0,0 +1,193 @@
+/**
+ * Asteroids mouse aim control scheme class.
+ * 
+ * Twin-stick style control - the ship rotates towards the mouse cursor at up to the same
+ * turn rate as the rotate keys, the left button fires the primary weapons, the right
+ * button fires the bomb and the middle button thrusts (as does the thrust key). The turn
+ * towards the cursor is applied as the analog turn input value each tick so it is
+ * recorded in replays like any other input.
+ * 
+ * The cursor is drawn as a reticle on the play field while the scheme is in use. The turn
+ * stops when the cursor leaves the play field and a button released outside the play
+ * field is still released.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.MouseAim
+ */
+(function()
+{
+   Asteroids.MouseAim = function(game, canvas)
+   {
+      this.game = game;
+      this.canvas = canvas;
+      this.held = {};
+      
+      var me = this;
+      canvas.addEventListener("mousemove", function(e) { me.onMouseMove(e); }, false);
+      canvas.addEventListener("mouseout", function(e) { me.over = false; }, false);
+      canvas.addEventListener("mousedown", function(e) { me.onMouseButton(e, true); }, false);
+      
+      // the button may be released anywhere - not only over the play field
+      document.addEventListener("mouseup", function(e) { me.onMouseButton(e, false); }, false);
+      canvas.addEventListener("contextmenu", function(e)
+      {
+         // the right button fires rather than opening the browser menu
+         if (GameHandler.settings.get("controlScheme") === "mouse")
+         {
+            e.preventDefault();
+         }
+      }, false);
+      
+      return this;
+   };
+   
+   /**
+    * The input action of each mouse button - left, middle and right
+    */
+   Asteroids.MouseAim.BUTTONS = ["fireA", "thrust", "fireB"];
+   
+   /**
+    * Maximum turn towards the cursor - as an analog turn value where 1.0 is the same rate
+    * as the rotate keys
+    */
+   Asteroids.MouseAim.MAX_TURN = 1.0;
+   
+   Asteroids.MouseAim.prototype =
+   {
+      game: null,
+      canvas: null,
+      
+      /**
+       * Cursor position in play field coordinates
+       */
+      x: 0,
+      y: 0,
+      
+      /**
+       * True while the cursor is over the play field
+       */
+      over: false,
+      
+      /**
+       * Input actions held by the mouse buttons - and true while the mouse is turning the
+       * player
+       */
+      held: null,
+      turning: false,
+      
+      /**
+       * @return true if the mouse is driving the player input - only during a game
+       */
+      enabled: function enabled()
+      {
+         return (GameHandler.settings.get("controlScheme") === "mouse" &&
+                 this.game.inputScene() instanceof Asteroids.GameScene && this.game.playback === null);
+      },
+      
+      onMouseMove: function onMouseMove(e)
+      {
+         var rect = this.canvas.getBoundingClientRect();
+         this.x = (e.clientX - rect.left) * GameHandler.width / rect.width;
+         this.y = (e.clientY - rect.top) * GameHandler.height / rect.height;
+         this.over = true;
+         
+         // the reticle replaces the cursor during a game
+         this.canvas.style.cursor = (this.enabled() ? "none" : "");
+      },
+      
+      onMouseButton: function onMouseButton(e, down)
+      {
+         var action = Asteroids.MouseAim.BUTTONS[e.button];
+         if (action === undefined)
+         {
+            return;
+         }
+         if (down && this.enabled())
+         {
+            e.preventDefault();
+            this.game.input[action] = this.held[action] = true;
+         }
+         else if (!down && this.held[action])
+         {
+            // released even if the mouse is no longer driving the input
+            this.game.input[action] = false;
+            delete this.held[action];
+         }
+      },
+      
+      /**
+       * Turn the player towards the cursor - called once per tick before the player input
+       * is recorded
+       */
+      update: function update()
+      {
+         var player = this.game.player;
+         if (!this.enabled() || !this.over || player.expired())
+         {
+            // stop the turn - unless another input is now driving it
+            if (this.turning)
+            {
+               this.game.input.turn = 0;
+               this.turning = false;
+            }
+            return;
+         }
+         this.turning = true;
+         
+         // heading of the cursor from the player in degrees - a heading of zero is up
+         var dx = this.x - player.position.x,
+             dy = this.y - player.position.y;
+         if (dx === 0 && dy === 0)
+         {
+            this.game.input.turn = 0;
+            return;
+         }
+         var diff = (Math.atan2(dx, -dy) / RAD - player.heading) % 360;
+         if (diff > 180)
+         {
+            diff -= 360;
+         }
+         else if (diff < -180)
+         {
+            diff += 360;
+         }
+         
+         // turn just far enough to face the cursor this tick - capped at the maximum rate
+         var turn = diff / (4 * GameHandler.frameMultipler),
+             max = Asteroids.MouseAim.MAX_TURN;
+         turn = (turn > max ? max : (turn < -max ? -max : turn));
+         
+         // analog values are kept to hundredths - the precision stored in a replay
+         this.game.input.turn = Math.round(turn * 100) / 100;
+      },
+      
+      /**
+       * Render the cursor reticle
+       * 
+       * @param ctx {object} Canvas rendering context
+       */
+      render: function render(ctx)
+      {
+         if (!this.enabled() || !this.over)
+         {
+            return;
+         }
+         ctx.save();
+         ctx.shadowBlur = 0;
+         ctx.strokeStyle = "rgb(255,255,128)";
+         ctx.lineWidth = 1.5;
+         ctx.beginPath();
+         ctx.arc(this.x, this.y, 8, 0, TWOPI, true);
+         ctx.moveTo(this.x - 14, this.y);
+         ctx.lineTo(this.x - 4, this.y);
+         ctx.moveTo(this.x + 4, this.y);
+         ctx.lineTo(this.x + 14, this.y);
+         ctx.moveTo(this.x, this.y - 14);
+         ctx.lineTo(this.x, this.y - 4);
+         ctx.moveTo(this.x, this.y + 4);
+         ctx.lineTo(this.x, this.y + 14);
+         ctx.stroke();
+         ctx.restore();
+      }
+   };
+})();
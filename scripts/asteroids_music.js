@@ -0,0 +1,424 @@
+/**
+ * Asteroids adaptive music class.
+ * 
+ * The music is a set of layered loops of the same length that all start together and
+ * repeat in step - a bass line that is always playing plus layers for the intensity of
+ * the action: drums that build with the number of enemies, an arpeggio while an enemy
+ * ship is on screen and an alarm when the player is low on energy or down to the last
+ * life. The game scene reports the level of each layer every frame and the layers are
+ * cross-faded to their new levels starting at the next bar, so changes stay in time.
+ * 
+ * Short stingers mark the start of each wave, the arrival of a boss, game over and game
+ * completion.
+ * 
+ * There are no music assets - the loops and stingers are synthesised into audio buffers
+ * as the music is created. Music is only available with the Web Audio backend and plays
+ * through the "music" bus of the audio service. It is silent when sound is switched off.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Music
+ */
+(function()
+{
+   Asteroids.Music = function(audio)
+   {
+      this.levels = {};
+      this.layers = {};
+      this.stingers = {};
+      if (audio.backend instanceof Asteroids.Audio.WebAudioBackend)
+      {
+         this.context = audio.backend.context;
+         this.output = audio.backend.buses.music;
+         
+         var loopLength = this.barLength() * Asteroids.Music.LOOP_BARS;
+         for (var name in Asteroids.Music.LAYERS)
+         {
+            if (Asteroids.Music.LAYERS.hasOwnProperty(name))
+            {
+               this.layers[name] = {
+                  buffer: this.render(Asteroids.Music.LAYERS[name], loopLength),
+                  source: null,
+                  gain: null
+               };
+            }
+         }
+         for (var stinger in Asteroids.Music.STINGERS)
+         {
+            if (Asteroids.Music.STINGERS.hasOwnProperty(stinger))
+            {
+               this.stingers[stinger] = this.render(Asteroids.Music.STINGERS[stinger]);
+            }
+         }
+      }
+      return this;
+   };
+   
+   /**
+    * Tempo in beats per minute, beats to the bar and the number of bars in each loop
+    */
+   Asteroids.Music.TEMPO = 120;
+   Asteroids.Music.BAR_BEATS = 4;
+   Asteroids.Music.LOOP_BARS = 2;
+   
+   /**
+    * Length of a layer cross-fade in beats
+    */
+   Asteroids.Music.FADE_BEATS = 2;
+   
+   /**
+    * Layer levels are rounded to this step - small changes in the game state do not
+    * cause a new cross-fade
+    */
+   Asteroids.Music.LEVEL_STEP = 0.25;
+   
+   /**
+    * Loop layers - each a list of notes:
+    *    [start beat, length in beats, MIDI note number, volume 0.0-1.0, waveform]
+    * The "kick", "snare" and "hat" drum waveforms ignore the note number.
+    */
+   Asteroids.Music.LAYERS =
+   {
+      bass: [
+         [0, 0.5, 33, 0.5, "triangle"], [0.5, 0.5, 33, 0.4, "triangle"],
+         [1, 0.5, 45, 0.4, "triangle"], [1.5, 0.5, 33, 0.4, "triangle"],
+         [2, 0.5, 33, 0.5, "triangle"], [2.5, 0.5, 33, 0.4, "triangle"],
+         [3, 0.5, 43, 0.4, "triangle"], [3.5, 0.5, 31, 0.4, "triangle"],
+         [4, 0.5, 29, 0.5, "triangle"], [4.5, 0.5, 29, 0.4, "triangle"],
+         [5, 0.5, 41, 0.4, "triangle"], [5.5, 0.5, 29, 0.4, "triangle"],
+         [6, 0.5, 31, 0.5, "triangle"], [6.5, 0.5, 31, 0.4, "triangle"],
+         [7, 0.5, 43, 0.4, "triangle"], [7.5, 0.5, 40, 0.4, "triangle"]
+      ],
+      drums: [
+         [0, 0.5, 0, 0.7, "kick"], [0.5, 0.25, 0, 0.15, "hat"],
+         [1, 0.5, 0, 0.4, "snare"], [1.5, 0.25, 0, 0.15, "hat"],
+         [2, 0.5, 0, 0.7, "kick"], [2.5, 0.25, 0, 0.15, "hat"],
+         [3, 0.5, 0, 0.4, "snare"], [3.5, 0.25, 0, 0.15, "hat"],
+         [4, 0.5, 0, 0.7, "kick"], [4.5, 0.25, 0, 0.15, "hat"],
+         [5, 0.5, 0, 0.4, "snare"], [5.5, 0.25, 0, 0.15, "hat"],
+         [6, 0.5, 0, 0.7, "kick"], [6.5, 0.5, 0, 0.6, "kick"],
+         [7, 0.5, 0, 0.4, "snare"], [7.5, 0.25, 0, 0.3, "snare"]
+      ],
+      arpeggio: [
+         [0, 0.25, 57, 0.08, "square"], [0.25, 0.25, 60, 0.08, "square"],
+         [0.5, 0.25, 64, 0.08, "square"], [0.75, 0.25, 69, 0.08, "square"],
+         [1, 0.25, 57, 0.08, "square"], [1.25, 0.25, 60, 0.08, "square"],
+         [1.5, 0.25, 64, 0.08, "square"], [1.75, 0.25, 69, 0.08, "square"],
+         [2, 0.25, 57, 0.08, "square"], [2.25, 0.25, 60, 0.08, "square"],
+         [2.5, 0.25, 64, 0.08, "square"], [2.75, 0.25, 69, 0.08, "square"],
+         [3, 0.25, 55, 0.08, "square"], [3.25, 0.25, 59, 0.08, "square"],
+         [3.5, 0.25, 62, 0.08, "square"], [3.75, 0.25, 67, 0.08, "square"],
+         [4, 0.25, 53, 0.08, "square"], [4.25, 0.25, 57, 0.08, "square"],
+         [4.5, 0.25, 60, 0.08, "square"], [4.75, 0.25, 65, 0.08, "square"],
+         [5, 0.25, 53, 0.08, "square"], [5.25, 0.25, 57, 0.08, "square"],
+         [5.5, 0.25, 60, 0.08, "square"], [5.75, 0.25, 65, 0.08, "square"],
+         [6, 0.25, 55, 0.08, "square"], [6.25, 0.25, 59, 0.08, "square"],
+         [6.5, 0.25, 62, 0.08, "square"], [6.75, 0.25, 67, 0.08, "square"],
+         [7, 0.25, 55, 0.08, "square"], [7.25, 0.25, 59, 0.08, "square"],
+         [7.5, 0.25, 62, 0.08, "square"], [7.75, 0.25, 64, 0.08, "square"]
+      ],
+      alarm: [
+         [0, 0.75, 76, 0.15, "sine"], [1, 0.75, 75, 0.15, "sine"],
+         [2, 0.75, 76, 0.15, "sine"], [3, 0.75, 75, 0.15, "sine"],
+         [4, 0.75, 76, 0.15, "sine"], [5, 0.75, 75, 0.15, "sine"],
+         [6, 0.75, 76, 0.15, "sine"], [7, 0.75, 75, 0.15, "sine"]
+      ]
+   };
+   
+   /**
+    * Stingers - one shot phrases in the same note format as the layers
+    */
+   Asteroids.Music.STINGERS =
+   {
+      wave: [
+         [0, 0.25, 69, 0.25, "square"], [0.25, 0.25, 72, 0.25, "square"],
+         [0.5, 0.25, 76, 0.25, "square"], [0.75, 1, 81, 0.25, "square"]
+      ],
+      gameover: [
+         [0, 1, 64, 0.3, "triangle"], [1, 1, 60, 0.3, "triangle"],
+         [2, 1, 57, 0.3, "triangle"], [3, 3, 45, 0.4, "triangle"],
+         [3, 3, 52, 0.2, "triangle"]
+      ],
+      completed: [
+         [0, 0.5, 69, 0.25, "square"], [0.5, 0.5, 73, 0.25, "square"],
+         [1, 0.5, 76, 0.25, "square"], [1.5, 0.5, 81, 0.25, "square"],
+         [2, 3, 81, 0.2, "square"], [2, 3, 76, 0.2, "square"],
+         [2, 3, 73, 0.2, "square"], [2, 3, 45, 0.4, "triangle"]
+      ],
+      achievement: [
+         [0, 0.25, 76, 0.2, "sine"], [0.25, 0.25, 81, 0.2, "sine"],
+         [0.5, 1, 88, 0.2, "sine"]
+      ],
+      boss: [
+         [0, 0.5, 45, 0.4, "square"], [0.5, 0.5, 46, 0.4, "square"],
+         [1, 0.5, 45, 0.4, "square"], [1.5, 1.5, 40, 0.4, "square"]
+      ]
+   };
+   
+   Asteroids.Music.prototype =
+   {
+      /**
+       * Web Audio context and the music bus - null when music is not available
+       */
+      context: null,
+      output: null,
+      
+      /**
+       * Loop layers by name - the rendered buffer plus the source and gain while playing
+       */
+      layers: null,
+      
+      /**
+       * Stinger buffers by name
+       */
+      stingers: null,
+      
+      /**
+       * Current target level of each layer by name
+       */
+      levels: null,
+      
+      /**
+       * True while the loops are playing
+       */
+      playing: false,
+      
+      /**
+       * Audio context time the loops started - bar boundaries are measured from it
+       */
+      startTime: 0,
+      
+      /**
+       * Update the music - called once per rendered frame. Starts the loops and cross-fades
+       * the layers towards the given levels, or fades the loops out if there are no levels
+       * or sound is switched off.
+       * 
+       * @param levels {object} Layer levels 0.0-1.0 by layer name - or null for no music
+       */
+      update: function update(levels)
+      {
+         if (this.context === null)
+         {
+            return;
+         }
+         if (!GameHandler.settings.get("sound") || levels === null)
+         {
+            if (this.playing)
+            {
+               this.stop();
+            }
+            return;
+         }
+         if (!this.playing)
+         {
+            this.start();
+         }
+         
+         var step = Asteroids.Music.LEVEL_STEP;
+         for (var name in this.layers)
+         {
+            if (this.layers.hasOwnProperty(name))
+            {
+               var level = levels[name] || 0;
+               level = Math.round((level < 0 ? 0 : (level > 1 ? 1 : level)) / step) * step;
+               if (level !== this.levels[name])
+               {
+                  this.fade(this.layers[name], level, this.nextBar());
+                  this.levels[name] = level;
+               }
+            }
+         }
+      },
+      
+      /**
+       * Start all the loops together so they stay in step - every layer starts silent and
+       * is faded in by update()
+       */
+      start: function start()
+      {
+         var context = this.context;
+         this.startTime = context.currentTime + 0.05;
+         for (var name in this.layers)
+         {
+            if (this.layers.hasOwnProperty(name))
+            {
+               var layer = this.layers[name];
+               layer.gain = context.createGain();
+               layer.gain.gain.value = 0;
+               layer.gain.connect(this.output);
+               layer.source = context.createBufferSource();
+               layer.source.buffer = layer.buffer;
+               layer.source.loop = true;
+               layer.source.connect(layer.gain);
+               layer.source.start(this.startTime);
+               this.levels[name] = 0;
+            }
+         }
+         this.playing = true;
+      },
+      
+      /**
+       * Fade out and stop all the loops
+       */
+      stop: function stop()
+      {
+         var now = this.context.currentTime;
+         for (var name in this.layers)
+         {
+            if (this.layers.hasOwnProperty(name))
+            {
+               var layer = this.layers[name];
+               this.fade(layer, 0, now);
+               layer.source.stop(now + this.beatLength() * Asteroids.Music.FADE_BEATS);
+               layer.source = layer.gain = null;
+            }
+         }
+         this.levels = {};
+         this.playing = false;
+      },
+      
+      /**
+       * Play a stinger - on the next beat when the loops are playing so it stays in time
+       * 
+       * @param name {string} Stinger name - see Asteroids.Music.STINGERS
+       */
+      stinger: function stinger(name)
+      {
+         if (this.context === null || !GameHandler.settings.get("sound") || !this.stingers[name])
+         {
+            return;
+         }
+         var source = this.context.createBufferSource();
+         source.buffer = this.stingers[name];
+         source.connect(this.output);
+         source.start(this.playing ? this.nextBeat() : 0);
+      },
+      
+      /**
+       * Cross-fade a playing layer to a new level
+       * 
+       * @param layer {object} Layer to fade
+       * @param level {number} Target level 0.0-1.0
+       * @param time {number} Audio context time to start the fade
+       */
+      fade: function fade(layer, level, time)
+      {
+         var gain = layer.gain.gain, now = this.context.currentTime;
+         gain.cancelScheduledValues(now);
+         gain.setValueAtTime(gain.value, now);
+         gain.setValueAtTime(gain.value, time);
+         gain.linearRampToValueAtTime(level, time + this.beatLength() * Asteroids.Music.FADE_BEATS);
+      },
+      
+      /**
+       * @return length of a beat in seconds
+       */
+      beatLength: function beatLength()
+      {
+         return 60 / Asteroids.Music.TEMPO;
+      },
+      
+      /**
+       * @return length of a bar in seconds
+       */
+      barLength: function barLength()
+      {
+         return this.beatLength() * Asteroids.Music.BAR_BEATS;
+      },
+      
+      /**
+       * @return audio context time of the next bar boundary of the playing loops
+       */
+      nextBar: function nextBar()
+      {
+         return this.nextBoundary(this.barLength());
+      },
+      
+      /**
+       * @return audio context time of the next beat of the playing loops
+       */
+      nextBeat: function nextBeat()
+      {
+         return this.nextBoundary(this.beatLength());
+      },
+      
+      nextBoundary: function nextBoundary(length)
+      {
+         var elapsed = this.context.currentTime - this.startTime;
+         return this.startTime + (elapsed > 0 ? Ceil(elapsed / length) * length : 0);
+      },
+      
+      /**
+       * Synthesise a list of notes into an audio buffer
+       * 
+       * @param notes {Array} Notes - see Asteroids.Music.LAYERS
+       * @param length {number} Optional buffer length in seconds - a loop is exactly its
+       *        length and notes running past the end wrap around to the start. Otherwise
+       *        the buffer is long enough for the last note to finish.
+       * @return {AudioBuffer} the rendered buffer
+       */
+      render: function render(notes, length)
+      {
+         var rate = this.context.sampleRate,
+             beat = this.beatLength(),
+             loop = (length !== undefined),
+             noise = new Game.Random(1),
+             i, n;
+         if (!loop)
+         {
+            length = 0;
+            for (i=0; i<notes.length; i++)
+            {
+               length = Math.max(length, (notes[i][0] + notes[i][1]) * beat);
+            }
+         }
+         var size = Ceil(length * rate),
+             buffer = this.context.createBuffer(1, size, rate),
+             data = buffer.getChannelData(0);
+         
+         for (i=0; i<notes.length; i++)
+         {
+            var note = notes[i],
+                start = Floor(note[0] * beat * rate),
+                count = Floor(note[1] * beat * rate),
+                freq = 440 * Math.pow(2, (note[2] - 69) / 12),
+                volume = note[3],
+                wave = note[4],
+                phase = 0;
+            for (n=0; n<count; n++)
+            {
+               var t = n / rate,
+                   remain = 1 - n / count,
+                   sample;
+               switch (wave)
+               {
+                  case "kick":
+                     // sine sweeping down from 150Hz with a fast decay
+                     phase += (50 + 100 * remain * remain * remain) / rate;
+                     sample = Math.sin(phase * TWOPI) * remain * remain;
+                     break;
+                  case "snare":
+                     sample = (noise.rnd() * 2 - 1) * remain * remain * remain * 0.8 +
+                              Math.sin(t * 180 * TWOPI) * remain * remain * remain * remain * 0.4;
+                     break;
+                  case "hat":
+                     sample = (noise.rnd() * 2 - 1) * Math.pow(remain, 6);
+                     break;
+                  default:
+                     phase = (t * freq) % 1;
+                     switch (wave)
+                     {
+                        case "square": sample = (phase < 0.5 ? 1 : -1); break;
+                        case "triangle": sample = (phase < 0.5 ? phase * 4 - 1 : 3 - phase * 4); break;
+                        default: sample = Math.sin(phase * TWOPI); break;
+                     }
+                     // short attack to avoid clicks then a decay to the end of the note
+                     sample *= (t < 0.005 ? t / 0.005 : 1) * Math.sqrt(remain);
+                     break;
+               }
+               data[(start + n) % size] += sample * volume;
+            }
+         }
+         return buffer;
+      }
+   };
+})();
@@ -0,0 +1,210 @@
+/**
+ * Asteroids pause menu scene class.
+ * 
+ * Modal scene displayed over a dimmed snapshot of the frozen game when the player presses
+ * ESC or the gamepad START button, or when the window loses focus. The player selects an
+ * item with the UP and DOWN arrows and presses ENTER, or presses ESC to resume the game.
+ * On a touch screen an item is chosen by tapping it - see Asteroids.TouchControls.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.PauseScene
+ */
+(function()
+{
+   Asteroids.PauseScene = function(game)
+   {
+      this.game = game;
+      Asteroids.PauseScene.superclass.constructor.call(this, false, null);
+   };
+   
+   /**
+    * Menu items - display labels and the method called when the item is chosen
+    */
+   Asteroids.PauseScene.ITEMS = [
+      {label: "Resume", action: "resume"},
+      {label: "Restart Wave", action: "restartWave"},
+      {label: "Settings", action: "settings"},
+      {label: "Controls", action: "controls"},
+      {label: "Quit to Title", action: "quit"}
+   ];
+   
+   extend(Asteroids.PauseScene, Game.Scene,
+   {
+      game: null,
+      
+      /**
+       * The menu renders the snapshot of the game - the game below is not rendered
+       */
+      opaque: true,
+      
+      /**
+       * Snapshot of the game canvas when the menu was displayed
+       */
+      snapshot: null,
+      
+      /**
+       * Index of the selected menu item
+       */
+      selected: 0,
+      
+      onInitScene: function onInitScene()
+      {
+         this.snapshot = this.game.snapshot();
+         this.selected = 0;
+         
+         // release any input held as the game was paused - the music restarts when the
+         // game resumes
+         this.game.resetInput();
+         GameHandler.music.update(null);
+      },
+      
+      onRenderScene: function onRenderScene(ctx)
+      {
+         var items = Asteroids.PauseScene.ITEMS,
+             c = (GameHandler.settings.get("bitmaps") ? Game.centerFillText : Game.centerDrawText);
+         
+         // dimmed frozen image of the game
+         ctx.save();
+         ctx.shadowBlur = 0;
+         if (this.snapshot !== null)
+         {
+            ctx.drawImage(this.snapshot, 0, 0);
+         }
+         ctx.globalAlpha = 0.6;
+         ctx.fillStyle = "black";
+         ctx.fillRect(0, 0, GameHandler.width, GameHandler.height);
+         ctx.restore();
+         
+         c(ctx, "Paused", "18pt Courier New", 180, "white");
+         for (var i=0; i<items.length; i++)
+         {
+            var label = (i === this.selected ? "> " + items[i].label + " <" : items[i].label),
+                colour = (!this.enabled(items[i]) ? "rgb(128,128,128)" : (i === this.selected ? "rgb(255,255,128)" : "white"));
+            c(ctx, label, "14pt Courier New", 240 + i * 36, colour);
+         }
+         c(ctx, "UP/DOWN select - ENTER choose - ESC resume", "10pt Courier New", 440, "white");
+      },
+      
+      /**
+       * @return true if a menu item can be chosen - a replay cannot be restarted part way
+       *         through and the settings are only available once the game has them
+       */
+      enabled: function enabled(item)
+      {
+         switch (item.action)
+         {
+            case "restartWave":
+               return (this.game.playback === null);
+            case "settings":
+               return (this.game.settingsScene !== null);
+         }
+         return true;
+      },
+      
+      /**
+       * Find the menu item displayed at a play field position
+       * 
+       * @param y {number} Play field y position
+       * @return {number} index of the item or -1 for none
+       */
+      itemAt: function itemAt(y)
+      {
+         // each item is rendered on a 36 pixel row with its text baseline at 240 + i * 36
+         var i = Math.floor((y - 240 + 26) / 36);
+         return (i >= 0 && i < Asteroids.PauseScene.ITEMS.length ? i : -1);
+      },
+      
+      /**
+       * Select and choose a menu item - nothing happens for a disabled item or none
+       * 
+       * @param i {number} Index of the item or -1 for none
+       */
+      choose: function choose(i)
+      {
+         var item = Asteroids.PauseScene.ITEMS[i];
+         if (item !== undefined && this.enabled(item))
+         {
+            this.selected = i;
+            this[item.action]();
+         }
+      },
+      
+      /**
+       * Move the selection to the next enabled item in the given direction
+       */
+      select: function select(dir)
+      {
+         var items = Asteroids.PauseScene.ITEMS;
+         do
+         {
+            this.selected = (this.selected + items.length + dir) % items.length;
+         } while (!this.enabled(items[this.selected]));
+      },
+      
+      resume: function resume()
+      {
+         this.game.popScene();
+      },
+      
+      restartWave: function restartWave()
+      {
+         // the restart is applied on the next tick as part of the recorded input
+         this.game.popScene();
+         this.game.input.restart = true;
+      },
+      
+      settings: function settings()
+      {
+         this.game.pushScene(this.game.settingsScene);
+      },
+      
+      controls: function controls()
+      {
+         this.game.pushScene(this.game.controlsScene);
+      },
+      
+      quit: function quit()
+      {
+         this.game.quitGame();
+      },
+      
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
+      {
+         switch (keyCode)
+         {
+            case KEY.UP:
+            {
+               this.select(-1);
+               return true; break;
+            }
+            
+            case KEY.DOWN:
+            {
+               this.select(1);
+               return true; break;
+            }
+            
+            case KEY.ENTER:
+            case KEY.SPACE:
+            {
+               this.choose(this.selected);
+               return true; break;
+            }
+            
+            case KEY.ESC:
+            {
+               this.resume();
+               return true; break;
+            }
+         }
+         
+         // swallow all other keys while the menu is displayed
+         return true;
+      },
+      
+      onKeyUpHandler: function onKeyUpHandler(keyCode)
+      {
+         return true;
+      }
+   });
+})();
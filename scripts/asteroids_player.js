@@ -70,7 +70,7 @@
       thrustRecharge: 0,
       
       /**
-       * True if the engine thrust graphics should be rendered next frame
+       * True if the engine thrust graphics should be rendered - set while thrust is applied
        */
       engineThrust: false,
       
@@ -99,8 +99,8 @@
             ctx.save();
             ctx.translate(this.position.x, this.position.y);
             ctx.rotate(headingRad);
-            ctx.globalAlpha = 0.5 + Rnd() * 0.5;
-            if (BITMAPS)
+            ctx.globalAlpha = 0.5 + GameHandler.fxrng.rnd() * 0.5;
+            if (GameHandler.settings.get("bitmaps"))
             {
                ctx.globalCompositeOperation = "lighter";
                ctx.fillStyle = Asteroids.Colours.PLAYER_THRUST;
@@ -112,16 +112,15 @@
             ctx.beginPath();
             ctx.moveTo(-5, 8);
             ctx.lineTo(5, 8);
-            ctx.lineTo(0, 18 + Rnd() * 6);
+            ctx.lineTo(0, 18 + GameHandler.fxrng.rnd() * 6);
             ctx.closePath();
-            if (BITMAPS) ctx.fill();
+            if (GameHandler.settings.get("bitmaps")) ctx.fill();
             else ctx.stroke();
             ctx.restore();
-            this.engineThrust = false;
          }
          
          // render player graphic
-         if (BITMAPS)
+         if (GameHandler.settings.get("bitmaps"))
          {
             var size = (this.PLAYER_RADIUS * 2) + 6;
             // normalise the player heading to 0-359 degrees
@@ -153,7 +152,7 @@
          // shield up? if so render a shield graphic around the ship
          if (this.shieldCounter > 0 && this.energy > 0)
          {
-            if (BITMAPS)
+            if (GameHandler.settings.get("bitmaps"))
             {
                // render shield graphic bitmap
                ctx.save();
@@ -175,16 +174,14 @@
                ctx.stroke();
                ctx.restore();
             }
-            
-            this.shieldCounter--;
-            this.energy -= 1.5;
          }
       },
       
       /**
        * Execute player forward thrust request
+       * @param power {number} Optional thrust power 0.0-1.0 for analog thrust - default is full
        */
-      thrust: function thrust()
+      thrust: function thrust(power)
       {
          // now test we did not thrust too recently, based on time since last thrust
          // request - ensures same thrust at any framerate
@@ -193,8 +190,8 @@
             // update last thrust time
             this.thrustRecharge = GameHandler.frameStart;
             
-            // generate a small thrust vector
-            var t = new Vector(0.0, -0.5);
+            // generate a small thrust vector - full power unless a power is given
+            var t = new Vector(0.0, -0.5 * (power !== undefined ? power : 1.0));
             
             // rotate thrust vector by player current heading
             t.rotate(this.heading * RAD);
@@ -275,9 +272,11 @@
                   {
                      bulletList.push(b);
                   }
-                  if (!playedSound && SOUND && soundManager)
+                  GameHandler.stats.fired(this.primaryWeapons[w].NAME, (isArray(b) ? b.length : 1));
+                  if (!playedSound)
                   {
-                     soundManager.play('laser');
+                     // the main weapon fires first - so its sound is the one played
+                     GameHandler.audio.play(this.primaryWeapons[w].FIRE_SOUND, {position: this.position});
                      playedSound = true;
                   }
                }
@@ -310,17 +309,24 @@
                t.rotate(this.heading * RAD);
                t.add(this.vector);
                
-               bulletList.push(new Asteroids.Bomb(this.position.clone(), t));
+               bulletList.push(Asteroids.Bomb.pool.acquire(this.position, t));
+               GameHandler.stats.fired("bomb", 1);
             }
          }
       },
       
       onUpdate: function onUpdate()
       {
-         // slowly recharge the shield - if not active
-         if (!this.isShieldActive() && this.energy < this.ENERGY_INIT)
+         if (this.isShieldActive())
+         {
+            // shield drains energy while it is up
+            this.shieldCounter -= GameHandler.frameMultipler;
+            this.energy -= 1.5 * GameHandler.frameMultipler;
+         }
+         else if (this.energy < this.ENERGY_INIT)
          {
-            this.energy += 0.1;
+            // slowly recharge the shield - if not active
+            this.energy += 0.1 * GameHandler.frameMultipler;
          }
       },
       
@@ -333,11 +339,45 @@
             this.primaryWeapons = [];
             this.primaryWeapons["main"] = new Asteroids.PrimaryWeapon(this);
             this.fireWhenShield = false;
+            this.bombRecharge = this.thrustRecharge = 0;
          }
          this.energy = this.ENERGY_INIT + this.SHIELD_MIN_PULSE;  // for shield as below
          
          // active shield briefly
          this.activateShield();
+      },
+      
+      /**
+       * @return {object} the weapons and power up flags of the player - to be given to
+       *         restorePowerUps() to put the player back to this state
+       */
+      powerUps: function powerUps()
+      {
+         var weapons = [];
+         for (var w in this.primaryWeapons)
+         {
+            weapons[w] = this.primaryWeapons[w];
+         }
+         return {weapons: weapons, fireWhenShield: this.fireWhenShield};
+      },
+      
+      /**
+       * Restore the weapons and power up flags of the player
+       * 
+       * @param state {object} State as returned by powerUps()
+       */
+      restorePowerUps: function restorePowerUps(state)
+      {
+         this.primaryWeapons = [];
+         for (var w in state.weapons)
+         {
+            // the weapons are ready to fire again - in the original order so the main
+            // weapon still fires first
+            state.weapons[w].weaponRecharge = 0;
+            this.primaryWeapons[w] = state.weapons[w];
+         }
+         this.fireWhenShield = state.fireWhenShield;
+         this.bombRecharge = this.thrustRecharge = 0;
       }
    });
 })();
@@ -19,6 +19,10 @@
    {
       Asteroids.Prerenderer.superclass.constructor.call(this);
       
+      // size of the glow around the effects - the effects are prerendered again when the
+      // glow setting is changed
+      var glow = GameHandler.settings.get("glow");
+      
       // function to generate a set of point particle images
       var fnPointRenderer = function(buffer, colour)
          {
@@ -85,8 +89,8 @@
             // NOTE: keep in sync with Asteroids.Bullet
             var BULLET_WIDTH = 2, BULLET_HEIGHT = 6;
             var imgs = [];
-            buffer.width = BULLET_WIDTH + GLOWSHADOWBLUR*2;
-            buffer.height = BULLET_HEIGHT + GLOWSHADOWBLUR*2;
+            buffer.width = BULLET_WIDTH + glow*2;
+            buffer.height = BULLET_HEIGHT + glow*2;
             var ctx = buffer.getContext('2d');
             
             var rf = function(width, height)
@@ -99,7 +103,7 @@
                ctx.closePath();
             };
             
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
             ctx.shadowColor = ctx.fillStyle = Asteroids.Colours.GREEN_LASER_DARK;
             rf.call(this, BULLET_WIDTH-1, BULLET_HEIGHT-1);
@@ -112,7 +116,7 @@
             imgs.push(img);
             
             buffer.width = buffer.width;
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
             ctx.shadowColor = ctx.strokeStyle = Asteroids.Colours.GREEN_LASER_DARK;
             rf.call(this, BULLET_WIDTH-1, BULLET_HEIGHT-1);
@@ -132,8 +136,8 @@
             // NOTE: keep in sync with Asteroids.BulletX2
             var BULLET_WIDTH = 2, BULLET_HEIGHT = 6;
             var imgs = [];
-            buffer.width = BULLET_WIDTH + GLOWSHADOWBLUR*4;
-            buffer.height = BULLET_HEIGHT + GLOWSHADOWBLUR*2;
+            buffer.width = BULLET_WIDTH + glow*4;
+            buffer.height = BULLET_HEIGHT + glow*2;
             var ctx = buffer.getContext('2d');
             
             var rf = function(width, height)
@@ -146,7 +150,7 @@
                ctx.closePath();
             };
             
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
             ctx.save();
             ctx.translate(-4, 0);
@@ -169,7 +173,7 @@
             imgs.push(img);
             
             buffer.width = buffer.width;
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
             ctx.save();
             ctx.translate(-4, 0);
@@ -199,7 +203,7 @@
             // NOTE: keep in sync with Asteroids.Bomb
             var BOMB_RADIUS = 4;
             var imgs = [];
-            buffer.width = buffer.height = BOMB_RADIUS*2 + GLOWSHADOWBLUR*2;
+            buffer.width = buffer.height = BOMB_RADIUS*2 + glow*2;
             var ctx = buffer.getContext('2d');
             
             var rf = function()
@@ -221,7 +225,7 @@
                ctx.closePath();
             };
             
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.shadowColor = ctx.fillStyle = Asteroids.Colours.PLAYER_BOMB;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
             rf.call(this);
@@ -232,7 +236,7 @@
             imgs.push(img);
             
             buffer.width = buffer.width;
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.shadowColor = ctx.strokeStyle = Asteroids.Colours.PLAYER_BOMB;
             ctx.lineWidth = 1.5;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
@@ -255,9 +259,9 @@
                var sizeImgs = [];
                for (var size=1; size<=4; size++)
                {
-                  buffer.width = buffer.height = size*16 + GLOWSHADOWBLUR*2;
+                  buffer.width = buffer.height = size*16 + glow*2;
                   var ctx = buffer.getContext('2d');
-                  ctx.shadowBlur = GLOWSHADOWBLUR;
+                  ctx.shadowBlur = glow;
                   ctx.shadowColor = ctx.strokeStyle = "white";
                   ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
                   ctx.scale(size * 0.8, size * 0.8);
@@ -326,7 +330,7 @@
             // NOTE: keep in sync with Asteroids.EnemyBullet
             var BULLET_RADIUS = 4;
             var imgs = [];
-            buffer.width = buffer.height = BULLET_RADIUS*2 + GLOWSHADOWBLUR*2;
+            buffer.width = buffer.height = BULLET_RADIUS*2 + glow*2;
             var ctx = buffer.getContext('2d');
             
             var rf = function()
@@ -348,7 +352,7 @@
                ctx.closePath();
             };
             
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.shadowColor = ctx.fillStyle = Asteroids.Colours.ENEMY_SHIP;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
             ctx.beginPath();
@@ -363,7 +367,7 @@
             imgs.push(img);
             
             buffer.width = buffer.width;
-            ctx.shadowBlur = GLOWSHADOWBLUR;
+            ctx.shadowBlur = glow;
             ctx.shadowColor = ctx.strokeStyle = Asteroids.Colours.ENEMY_SHIP;
             ctx.lineWidth = 1.5;
             ctx.translate(buffer.width * 0.5, buffer.height * 0.5);
@@ -0,0 +1,350 @@
+/**
+ * Game replay class.
+ * 
+ * A replay is the gameplay random seed, difficulty, game mode and the hash of the wave
+ * definitions plus the player input state captured at every simulation tick. As the game logic is deterministic for a given seed and tick input,
+ * feeding the input back tick by tick reproduces the original game exactly.
+ * 
+ * The input is stored run length encoded - each run is the input state packed into a
+ * bit mask and the number of ticks it was held for - so a whole game serialises to a
+ * small JSON document that can be saved to local storage or shared as a file. The analog
+ * turn and throttle values are packed above the input bits in hundredths - turn as an
+ * 8 bit two's complement value and throttle as 7 bits - followed by the wave restart flag.
+ * 
+ * A replay only plays back the same game with the wave definitions it was recorded with -
+ * see matchesWaves().
+ * 
+ * NOTE: the DEBUG keys change the game outside of the player input and are not recorded.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Replay
+ */
+(function()
+{
+   Asteroids.Replay = function(seed, difficulty, mode, waves)
+   {
+      this.seed = seed;
+      this.difficulty = difficulty || "normal";
+      this.mode = mode || "classic";
+      this.waves = waves || Asteroids.Waves.hash();
+      this.runs = [];
+      return this;
+   };
+   
+   /**
+    * Input state names - in bit mask order
+    */
+   Asteroids.Replay.INPUTS = ["left", "right", "thrust", "shield", "fireA", "fireB"];
+   
+   /**
+    * Bit positions of the analog turn and throttle values in the mask
+    */
+   Asteroids.Replay.TURN_SHIFT = 6;
+   Asteroids.Replay.THROTTLE_SHIFT = 14;
+   
+   /**
+    * Bit position of the wave restart flag in the mask
+    */
+   Asteroids.Replay.RESTART_SHIFT = 21;
+   
+   /**
+    * Replay document format identifier and version - the version is raised whenever a
+    * change to the game logic means older replays would no longer play back the same game
+    * 
+    * 2 - actor lists use swap remove which changes the collision detection order
+    * 3 - analog gamepad input - version 2 replays have none so still play back the same
+    * 4 - wave restart from the pause menu - older replays have none so play back the same
+    * 5 - difficulty setting - older replays were all played at the normal difficulty
+    * 6 - game mode - older replays were all played in the classic mode
+    * 7 - boss saucer waves - older replays that reach a boss wave play back differently
+    *     so are no longer supported
+    * 8 - cluster ships in place of some saucers from wave 6 - older replays are no longer
+    *     supported
+    * 9 - saucer steering and lead targeting - every older replay plays back differently
+    *     so is no longer supported
+    * 10 - a wave restart also restores the player weapons and power ups - older replays
+    *      with a restart play back differently so are no longer supported
+    * 11 - hash of the wave definitions - older replays do not say which waves they were
+    *      played with so are no longer supported
+    */
+   Asteroids.Replay.FORMAT = "asteroids-replay";
+   Asteroids.Replay.VERSION = 11;
+   Asteroids.Replay.MIN_VERSION = 11;
+   
+   /**
+    * Parse a serialised replay document
+    * 
+    * @param json {string} Replay document as produced by serialise()
+    * @return {Asteroids.Replay} the replay
+    * @throws Error if the document is not a valid replay
+    */
+   Asteroids.Replay.parse = function parse(json)
+   {
+      var doc;
+      try
+      {
+         doc = JSON.parse(json);
+      }
+      catch (e)
+      {
+         throw new Error("Replay is not valid JSON");
+      }
+      if (!doc || doc.format !== Asteroids.Replay.FORMAT)
+      {
+         throw new Error("Not an Asteroids replay");
+      }
+      if (typeof doc.version !== "number" ||
+          doc.version < Asteroids.Replay.MIN_VERSION || doc.version > Asteroids.Replay.VERSION)
+      {
+         throw new Error("Unsupported replay version: " + doc.version);
+      }
+      if (typeof doc.seed !== "number" || typeof doc.input !== "string")
+      {
+         throw new Error("Replay is missing the seed or input data");
+      }
+      if (doc.difficulty !== undefined && !Asteroids.Settings.DIFFICULTY.hasOwnProperty(doc.difficulty))
+      {
+         throw new Error("Unsupported replay difficulty: " + doc.difficulty);
+      }
+      if (doc.mode !== undefined && !Asteroids.HighScores.MODES.hasOwnProperty(doc.mode))
+      {
+         throw new Error("Unsupported replay game mode: " + doc.mode);
+      }
+      if (typeof doc.waves !== "string" || !/^[0-9a-f]{8}$/.test(doc.waves))
+      {
+         throw new Error("Replay is missing the wave definitions hash");
+      }
+      
+      var replay = new Asteroids.Replay(doc.seed, doc.difficulty, doc.mode, doc.waves);
+      replay.score = doc.score || 0;
+      replay.wave = doc.wave || 0;
+      replay.date = doc.date || null;
+      if (doc.input.length !== 0)
+      {
+         var runs = doc.input.split(",");
+         for (var i=0; i<runs.length; i++)
+         {
+            var run = runs[i].split(":"),
+                mask = parseInt(run[0], 36),
+                count = parseInt(run[1], 36);
+            if (run.length !== 2 || isNaN(mask) || isNaN(count) || count <= 0)
+            {
+               throw new Error("Replay input data is corrupt at run " + i);
+            }
+            replay.runs.push(mask, count);
+            replay.ticks += count;
+         }
+      }
+      if (replay.ticks !== doc.ticks)
+      {
+         throw new Error("Replay input data is truncated");
+      }
+      return replay;
+   };
+   
+   /**
+    * Load the replay of the last game from HTML5 local storage
+    * 
+    * @return {Asteroids.Replay} the replay or null if none is saved or it is invalid
+    */
+   Asteroids.Replay.load = function load()
+   {
+      var json = (GameHandler.storage ? GameHandler.storage.getItem(REPLAYDBKEY) : null);
+      if (json)
+      {
+         try
+         {
+            return Asteroids.Replay.parse(json);
+         }
+         catch (e)
+         {
+            // an invalid replay is treated as no replay
+         }
+      }
+      return null;
+   };
+   
+   Asteroids.Replay.prototype =
+   {
+      /**
+       * Gameplay random seed the game was started with
+       */
+      seed: 0,
+      
+      /**
+       * Difficulty the game was played at - see Asteroids.Settings.DIFFICULTY
+       */
+      difficulty: null,
+      
+      /**
+       * Game mode the game was played in - see Asteroids.HighScores.MODES
+       */
+      mode: null,
+      
+      /**
+       * Hash of the wave definitions the game was played with - see Asteroids.Waves.hash()
+       */
+      waves: null,
+      
+      /**
+       * Run length encoded input - pairs of input bit mask and tick count
+       */
+      runs: null,
+      
+      /**
+       * Total number of ticks recorded
+       */
+      ticks: 0,
+      
+      /**
+       * Final score, wave and date of the recorded game
+       */
+      score: 0,
+      wave: 0,
+      date: null,
+      
+      /**
+       * Playback position - current run index and ticks played from that run
+       */
+      runIndex: 0,
+      runTicks: 0,
+      
+      /**
+       * Record the input state for a single tick
+       * 
+       * @param input {object} Scene input state
+       */
+      record: function record(input)
+      {
+         var mask = 0;
+         for (var i=0, names=Asteroids.Replay.INPUTS; i<names.length; i++)
+         {
+            if (input[names[i]]) mask |= (1 << i);
+         }
+         mask |= ((Math.round(input.turn * 100) & 0xFF) << Asteroids.Replay.TURN_SHIFT) |
+                 (Math.round(input.throttle * 100) << Asteroids.Replay.THROTTLE_SHIFT);
+         if (input.restart) mask |= (1 << Asteroids.Replay.RESTART_SHIFT);
+         var n = this.runs.length;
+         if (n !== 0 && this.runs[n - 2] === mask)
+         {
+            this.runs[n - 1]++;
+         }
+         else
+         {
+            this.runs.push(mask, 1);
+         }
+         this.ticks++;
+      },
+      
+      /**
+       * @return true if the replay was recorded with the wave definitions now used by the
+       *         game - otherwise it would not play back the same game
+       */
+      matchesWaves: function matchesWaves()
+      {
+         return (this.waves === Asteroids.Waves.hash());
+      },
+      
+      /**
+       * Reset the playback position to the start of the replay
+       */
+      rewind: function rewind()
+      {
+         this.runIndex = 0;
+         this.runTicks = 0;
+      },
+      
+      /**
+       * Apply the recorded input state for the next tick
+       * 
+       * @param input {object} Scene input state to update
+       * @return true if input was applied, false once the replay is finished
+       */
+      play: function play(input)
+      {
+         if (this.runIndex >= this.runs.length)
+         {
+            return false;
+         }
+         var mask = this.runs[this.runIndex];
+         for (var i=0, names=Asteroids.Replay.INPUTS; i<names.length; i++)
+         {
+            input[names[i]] = ((mask & (1 << i)) !== 0);
+         }
+         var turn = (mask >> Asteroids.Replay.TURN_SHIFT) & 0xFF;
+         input.turn = (turn > 127 ? turn - 256 : turn) / 100;
+         input.throttle = ((mask >> Asteroids.Replay.THROTTLE_SHIFT) & 0x7F) / 100;
+         input.restart = ((mask & (1 << Asteroids.Replay.RESTART_SHIFT)) !== 0);
+         if (++this.runTicks === this.runs[this.runIndex + 1])
+         {
+            this.runIndex += 2;
+            this.runTicks = 0;
+         }
+         return true;
+      },
+      
+      /**
+       * @return true once playback has consumed all the recorded ticks
+       */
+      finished: function finished()
+      {
+         return (this.runIndex >= this.runs.length);
+      },
+      
+      /**
+       * Serialise the replay to a JSON document
+       * 
+       * @return {string} JSON replay document
+       */
+      serialise: function serialise()
+      {
+         var input = [];
+         for (var i=0; i<this.runs.length; i+=2)
+         {
+            input.push(this.runs[i].toString(36) + ":" + this.runs[i + 1].toString(36));
+         }
+         return JSON.stringify({
+            format: Asteroids.Replay.FORMAT,
+            version: Asteroids.Replay.VERSION,
+            seed: this.seed,
+            difficulty: this.difficulty,
+            mode: this.mode,
+            waves: this.waves,
+            ticks: this.ticks,
+            score: this.score,
+            wave: this.wave,
+            date: this.date,
+            input: input.join(",")
+         });
+      },
+      
+      /**
+       * Save the replay as the last game replay in HTML5 local storage
+       */
+      save: function save()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(REPLAYDBKEY, this.serialise());
+         }
+      },
+      
+      /**
+       * Export the replay as a file download - to share bug reports and high score proofs
+       */
+      exportFile: function exportFile()
+      {
+         var blob = new Blob([this.serialise()], {type: "application/json"});
+         var url = URL.createObjectURL(blob);
+         var a = document.createElement("a");
+         a.href = url;
+         a.download = "asteroids-replay-" + this.seed + "-" + this.score + ".json";
+         document.body.appendChild(a);
+         a.click();
+         document.body.removeChild(a);
+         setTimeout(function() {
+            URL.revokeObjectURL(url);
+         }, 0);
+      }
+   };
+})();
@@ -0,0 +1,435 @@
+/**
+ * Asteroids high score table class.
+ * 
+ * The top ten scores of each game mode with the initials of the player, the wave reached,
+ * the date and the game mode - saved in HTML5 local storage as a versioned JSON document.
+ * The table replaces the single high score number of earlier versions of the game - which
+ * is migrated into the table the first time it is loaded.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.HighScores
+ */
+(function()
+{
+   Asteroids.HighScores = function()
+   {
+      this.entries = [];
+      return this;
+   };
+   
+   /**
+    * Number of scores kept in the table of each game mode
+    */
+   Asteroids.HighScores.SIZE = 10;
+   
+   /**
+    * Table document schema version
+    * 
+    * 1 - a single high score number stored under SCOREDBKEY
+    * 2 - top ten table of initials, score, wave, date and mode
+    */
+   Asteroids.HighScores.VERSION = 2;
+   
+   /**
+    * Initials used for a score migrated from the single high score - and the characters
+    * that can be entered as initials
+    */
+   Asteroids.HighScores.UNKNOWN = "???";
+   Asteroids.HighScores.CHARACTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789. ";
+   
+   /**
+    * Game modes and their display labels
+    */
+   Asteroids.HighScores.MODES =
+   {
+      classic: "Classic",
+      endless: "Endless"
+   };
+   
+   /**
+    * Format a table entry for display - fixed width columns of the rank, initials, score,
+    * wave, mode and date. Also used for the online leaderboard tables.
+    * 
+    * @param entry {object} Table entry
+    * @param index {number} Table position
+    * @return {string} display line
+    * 
+    * @method Asteroids.HighScores.format
+    * @static
+    */
+   Asteroids.HighScores.format = function format(entry, index)
+   {
+      var pad = function(value, width, ch)
+          {
+             value = value.toString();
+             while (value.length < width) value = ch + value;
+             return value;
+          },
+          date = "--/--/--", d = (entry.date ? new Date(entry.date) : null);
+      if (d !== null && !isNaN(d.getTime()))
+      {
+         date = pad(d.getDate(), 2, "0") + "/" + pad(d.getMonth() + 1, 2, "0") + "/" + pad(d.getFullYear() % 100, 2, "0");
+      }
+      return pad(index + 1, 2, " ") + ". " + entry.initials + "  " + pad(entry.score, 8, "0") + "  " +
+             (entry.wave > 0 ? "W" + pad(entry.wave, 2, " ") : " - ") + "  " +
+             (Asteroids.HighScores.MODES[entry.mode] || entry.mode) + "  " + date;
+   };
+   
+   Asteroids.HighScores.prototype =
+   {
+      /**
+       * Table entries of every mode in descending score order - each has initials, score,
+       * wave, date (ISO string or null) and mode
+       */
+      entries: null,
+      
+      /**
+       * Initials entered for the last high score - the default for the next one
+       */
+      initials: "AAA",
+      
+      /**
+       * Load the table from HTML5 local storage - migrating the single high score of an
+       * older version of the game. An invalid or newer table is ignored.
+       */
+      load: function load()
+      {
+         this.entries = [];
+         if (!GameHandler.storage)
+         {
+            return;
+         }
+         var json = GameHandler.storage.getItem(HIGHSCORESDBKEY);
+         if (json)
+         {
+            var doc;
+            try
+            {
+               doc = JSON.parse(json);
+            }
+            catch (e)
+            {
+               return;
+            }
+            if (doc && doc.version === Asteroids.HighScores.VERSION && isArray(doc.scores))
+            {
+               for (var i=0; i<doc.scores.length; i++)
+               {
+                  if (this.valid(doc.scores[i]))
+                  {
+                     this.insert(doc.scores[i]);
+                  }
+               }
+               if (typeof doc.initials === "string" && doc.initials.length === 3)
+               {
+                  this.initials = doc.initials;
+               }
+            }
+         }
+         else
+         {
+            // version 1 - a single score with no other details
+            var score = parseInt(GameHandler.storage.getItem(SCOREDBKEY), 10);
+            if (score > 0)
+            {
+               this.insert({initials: Asteroids.HighScores.UNKNOWN, score: score, wave: 0, date: null, mode: "classic"});
+               this.save();
+            }
+         }
+      },
+      
+      /**
+       * Save the table to HTML5 local storage
+       */
+      save: function save()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(HIGHSCORESDBKEY, JSON.stringify({
+               version: Asteroids.HighScores.VERSION,
+               initials: this.initials,
+               scores: this.entries
+            }));
+         }
+      },
+      
+      /**
+       * @return true if a stored table entry has the expected fields
+       */
+      valid: function valid(entry)
+      {
+         return (entry && typeof entry.initials === "string" && typeof entry.score === "number" &&
+                 typeof entry.wave === "number" && Asteroids.HighScores.MODES.hasOwnProperty(entry.mode));
+      },
+      
+      /**
+       * @param mode {string} Game mode - see Asteroids.HighScores.MODES
+       * @return {Array} the table entries of the game mode in descending score order
+       */
+      table: function table(mode)
+      {
+         var table = [];
+         for (var i=0; i<this.entries.length; i++)
+         {
+            if (this.entries[i].mode === mode)
+            {
+               table.push(this.entries[i]);
+            }
+         }
+         return table;
+      },
+      
+      /**
+       * @return the top score of the game mode or zero if its table is empty
+       */
+      top: function top(mode)
+      {
+         var table = this.table(mode);
+         return (table.length !== 0 ? table[0].score : 0);
+      },
+      
+      /**
+       * @param score {number} Final score of a game
+       * @param mode {string} Game mode of the game
+       * @return the position the score would take in the table of the game mode - or -1 if
+       *         it does not qualify
+       */
+      rank: function rank(score, mode)
+      {
+         if (score <= 0)
+         {
+            return -1;
+         }
+         // a new score is placed below an equal score already in the table
+         var table = this.table(mode);
+         for (var i=0; i<table.length; i++)
+         {
+            if (score > table[i].score)
+            {
+               return i;
+            }
+         }
+         return (table.length < Asteroids.HighScores.SIZE ? table.length : -1);
+      },
+      
+      /**
+       * Add a score to the table and save it
+       * 
+       * @param entry {object} initials, score, wave, date and mode
+       * @return the table position of the score - or -1 if it does not qualify
+       */
+      add: function add(entry)
+      {
+         var rank = this.insert(entry);
+         if (rank !== -1)
+         {
+            this.initials = entry.initials;
+            this.save();
+         }
+         return rank;
+      },
+      
+      /**
+       * Insert an entry in score order - the lowest score of the mode drops off a full table
+       * 
+       * @return the position of the entry in the table of its mode - or -1 if it does not qualify
+       */
+      insert: function insert(entry)
+      {
+         var rank = this.rank(entry.score, entry.mode);
+         if (rank !== -1)
+         {
+            var i = 0;
+            while (i < this.entries.length && this.entries[i].score >= entry.score) i++;
+            this.entries.splice(i, 0, {
+               initials: entry.initials,
+               score: entry.score,
+               wave: entry.wave,
+               date: entry.date || null,
+               mode: entry.mode
+            });
+            
+            var table = this.table(entry.mode);
+            if (table.length > Asteroids.HighScores.SIZE)
+            {
+               this.entries.splice(this.entries.lastIndexOf(table[table.length - 1]), 1);
+            }
+         }
+         return rank;
+      }
+   };
+})();
+
+
+/**
+ * Asteroids high score initials entry scene class.
+ * 
+ * Arcade style modal scene displayed over the game over and game completed scenes when the
+ * score qualifies for the high score table. The UP and DOWN arrows change the selected
+ * letter and LEFT and RIGHT move between the letters - or the letters can be typed. ENTER
+ * adds the score to the table.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.InitialsScene
+ */
+(function()
+{
+   Asteroids.InitialsScene = function(game)
+   {
+      this.game = game;
+      Asteroids.InitialsScene.superclass.constructor.call(this, false, null);
+   };
+   
+   extend(Asteroids.InitialsScene, Game.Scene,
+   {
+      game: null,
+      
+      /**
+       * Table entry being entered - the initials are added when the player confirms them
+       */
+      entry: null,
+      
+      /**
+       * Initials being entered and the index of the selected letter
+       */
+      letters: null,
+      selected: 0,
+      
+      /**
+       * Callback when the initials have been entered - passed the table position
+       */
+      onDone: null,
+      
+      /**
+       * Prepare the scene for a score - call before the scene is pushed
+       * 
+       * @param entry {object} score, wave, date and mode of the game
+       * @param onDone {function} Called with the table position once the score is added
+       */
+      prepare: function prepare(entry, onDone)
+      {
+         this.entry = entry;
+         this.onDone = onDone;
+      },
+      
+      onInitScene: function onInitScene()
+      {
+         this.letters = this.game.scores.initials.split("");
+         this.selected = 0;
+      },
+      
+      onRenderScene: function onRenderScene(ctx)
+      {
+         var bitmaps = GameHandler.settings.get("bitmaps"),
+             f = (bitmaps ? Game.fillText : Game.drawText),
+             c = (bitmaps ? Game.centerFillText : Game.centerDrawText),
+             rank = this.game.scores.rank(this.entry.score, this.entry.mode);
+         
+         // dim the scene below
+         ctx.save();
+         ctx.shadowBlur = 0;
+         ctx.globalAlpha = 0.8;
+         ctx.fillStyle = "black";
+         ctx.fillRect(0, 0, GameHandler.width, GameHandler.height);
+         ctx.restore();
+         
+         c(ctx, (rank === 0 ? "New High Score!" : "You placed #" + (rank + 1)), "18pt Courier New", 200, "white");
+         c(ctx, "Score: " + this.entry.score, "14pt Courier New", 240, "white");
+         c(ctx, "Enter your initials", "14pt Courier New", 290, "white");
+         
+         // the selected letter flashes
+         for (var i=0; i<this.letters.length; i++)
+         {
+            var x = GameHandler.width * 0.5 - 60 + i * 48,
+                selected = (i === this.selected);
+            if (!selected || (GameHandler.frameStart % 500) < 350)
+            {
+               f(ctx, this.letters[i], "28pt Courier New", x, 360, (selected ? "rgb(255,255,128)" : "white"));
+            }
+            if (selected)
+            {
+               f(ctx, "-", "28pt Courier New", x, 380, "rgb(255,255,128)");
+            }
+         }
+         
+         c(ctx, "UP/DOWN change letter - LEFT/RIGHT move - ENTER done", "10pt Courier New", 440, "white");
+      },
+      
+      /**
+       * Change the selected letter to the next or previous character
+       */
+      cycle: function cycle(dir)
+      {
+         var chars = Asteroids.HighScores.CHARACTERS,
+             index = chars.indexOf(this.letters[this.selected]);
+         this.letters[this.selected] = chars.charAt((index + chars.length + dir) % chars.length);
+      },
+      
+      /**
+       * Add the score to the table with the entered initials and return to the scene below
+       */
+      done: function done()
+      {
+         this.entry.initials = this.letters.join("");
+         var rank = this.game.scores.add(this.entry);
+         this.game.popScene();
+         if (this.onDone)
+         {
+            this.onDone(rank);
+         }
+      },
+      
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
+      {
+         switch (keyCode)
+         {
+            case KEY.UP:
+            {
+               this.cycle(1);
+               return true; break;
+            }
+            
+            case KEY.DOWN:
+            {
+               this.cycle(-1);
+               return true; break;
+            }
+            
+            case KEY.LEFT:
+            case KEY.BACKSPACE:
+            {
+               this.selected = Math.max(this.selected - 1, 0);
+               return true; break;
+            }
+            
+            case KEY.RIGHT:
+            {
+               this.selected = Math.min(this.selected + 1, this.letters.length - 1);
+               return true; break;
+            }
+            
+            case KEY.ENTER:
+            {
+               this.done();
+               return true; break;
+            }
+         }
+         
+         // letters and digits are typed directly
+         var ch = String.fromCharCode(keyCode);
+         if ((keyCode >= 65 && keyCode <= 90) || (keyCode >= 48 && keyCode <= 57))
+         {
+            this.letters[this.selected] = ch;
+            this.selected = Math.min(this.selected + 1, this.letters.length - 1);
+         }
+         
+         // swallow all other keys while the scene is displayed
+         return true;
+      },
+      
+      onKeyUpHandler: function onKeyUpHandler(keyCode)
+      {
+         return true;
+      }
+   });
+})();
@@ -0,0 +1,360 @@
+/**
+ * Asteroids settings.
+ * 
+ * The player preferences - graphics, sound, controls and gameplay - with their defaults,
+ * choices and display labels. The settings model is GameHandler.settings and is saved to
+ * local storage whenever a setting is changed.
+ * 
+ * The debug flags are a transient setting - taken from the DEBUG page configuration and
+ * never saved.
+ * 
+ * @namespace Asteroids
+ */
+Asteroids.Settings =
+{
+   /**
+    * Settings in display order
+    */
+   OPTIONS: ["bitmaps", "glow", "palette", "screenShake", "sound", "soundVolume", "musicVolume",
+             "controlScheme", "difficulty", "touchLayout", "touchOpacity"],
+   
+   /**
+    * Setting display labels
+    */
+   LABELS:
+   {
+      bitmaps: "Graphics",
+      glow: "Glow effect",
+      palette: "Colours",
+      screenShake: "Screen shake",
+      sound: "Sound",
+      soundVolume: "Effects volume",
+      musicVolume: "Music volume",
+      controlScheme: "Control scheme",
+      difficulty: "Difficulty",
+      touchLayout: "Touch layout",
+      touchOpacity: "Touch opacity"
+   },
+   
+   /**
+    * Default value of each setting - the glow is the shadow blur size in pixels
+    */
+   DEFAULTS:
+   {
+      bitmaps: true,
+      glow: 8,
+      palette: "classic",
+      screenShake: 1.0,
+      sound: false,
+      soundVolume: 1.0,
+      musicVolume: 1.0,
+      controlScheme: "keyboard",
+      difficulty: "normal",
+      touchLayout: "right",
+      touchOpacity: 0.35,
+      debug: false
+   },
+   
+   /**
+    * Allowed values of each setting
+    */
+   CHOICES:
+   {
+      bitmaps: [true, false],
+      glow: [0, 4, 8, 12],
+      palette: ["classic", "amber", "contrast"],
+      screenShake: [0, 0.5, 1.0],
+      sound: [true, false],
+      soundVolume: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0],
+      musicVolume: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0],
+      controlScheme: ["keyboard", "mouse"],
+      difficulty: ["easy", "normal", "hard"],
+      touchLayout: ["right", "left"],
+      touchOpacity: [0.15, 0.25, 0.35, 0.5, 0.75]
+   },
+   
+   /**
+    * Display labels of the choices - in the same order as the choices. Settings with no
+    * labels are displayed as a percentage.
+    */
+   CHOICE_LABELS:
+   {
+      bitmaps: ["Modern", "Retro"],
+      glow: ["Off", "Low", "Normal", "High"],
+      palette: ["Classic", "Amber", "High contrast"],
+      screenShake: ["Off", "Low", "Full"],
+      sound: ["On", "Off"],
+      controlScheme: ["Keyboard", "Mouse aim"],
+      difficulty: ["Easy", "Normal", "Hard"],
+      touchLayout: ["Right handed", "Left handed"]
+   },
+   
+   /**
+    * Settings that are not saved
+    */
+   TRANSIENT: ["debug"],
+   
+   /**
+    * Colour palettes - the current palette is copied to Asteroids.Colours
+    */
+   PALETTES:
+   {
+      classic:
+      {
+         PARTICLE: "rgb(255,125,50)",
+         ENEMY_SHIP: "rgb(200,200,250)",
+         ENEMY_SHIP_DARK: "rgb(150,150,200)",
+         GREEN_LASER: "rgb(120,255,120)",
+         GREEN_LASER_DARK: "rgb(50,255,50)",
+         GREEN_LASERX2: "rgb(120,255,150)",
+         GREEN_LASERX2_DARK: "rgb(50,255,75)",
+         PLAYER_BOMB: "rgb(155,255,155)",
+         PLAYER_THRUST: "rgb(25,125,255)",
+         PLAYER_SHIELD: "rgb(100,100,255)",
+         CLUSTER_SHIP: "rgb(250,200,150)",
+         CLUSTER_FIGHTER: "rgb(255,150,80)"
+      },
+      // monochrome amber vector monitor
+      amber:
+      {
+         PARTICLE: "rgb(255,150,40)",
+         ENEMY_SHIP: "rgb(255,200,120)",
+         ENEMY_SHIP_DARK: "rgb(200,140,60)",
+         GREEN_LASER: "rgb(255,220,100)",
+         GREEN_LASER_DARK: "rgb(255,180,40)",
+         GREEN_LASERX2: "rgb(255,230,140)",
+         GREEN_LASERX2_DARK: "rgb(255,190,60)",
+         PLAYER_BOMB: "rgb(255,210,120)",
+         PLAYER_THRUST: "rgb(255,120,20)",
+         PLAYER_SHIELD: "rgb(255,170,60)",
+         CLUSTER_SHIP: "rgb(255,215,150)",
+         CLUSTER_FIGHTER: "rgb(255,160,50)"
+      },
+      // blue and orange - distinct for red/green colour blindness
+      contrast:
+      {
+         PARTICLE: "rgb(255,200,0)",
+         ENEMY_SHIP: "rgb(255,110,0)",
+         ENEMY_SHIP_DARK: "rgb(200,80,0)",
+         GREEN_LASER: "rgb(80,200,255)",
+         GREEN_LASER_DARK: "rgb(0,150,255)",
+         GREEN_LASERX2: "rgb(140,220,255)",
+         GREEN_LASERX2_DARK: "rgb(40,170,255)",
+         PLAYER_BOMB: "rgb(160,230,255)",
+         PLAYER_THRUST: "rgb(255,255,255)",
+         PLAYER_SHIELD: "rgb(0,120,255)",
+         CLUSTER_SHIP: "rgb(255,170,60)",
+         CLUSTER_FIGHTER: "rgb(255,230,0)"
+      }
+   },
+   
+   /**
+    * Difficulty levels - starting lives, asteroid speed multiplier, the multiplier of the
+    * delay between enemy ships and the multiplier of the enemy ship aim error
+    */
+   DIFFICULTY:
+   {
+      easy: {lives: 5, asteroidSpeed: 0.8, enemyShipDelay: 1.5, enemyAim: 1.75},
+      normal: {lives: 3, asteroidSpeed: 1.0, enemyShipDelay: 1.0, enemyAim: 1.0},
+      hard: {lives: 2, asteroidSpeed: 1.25, enemyShipDelay: 0.6, enemyAim: 0.5}
+   }
+};
+
+/**
+ * Return the display label of a setting value
+ * 
+ * @param name {string} Setting name
+ * @param value {object} Setting value
+ * @return {string} display label
+ * 
+ * @method Asteroids.Settings.valueLabel
+ * @static
+ */
+Asteroids.Settings.valueLabel = function valueLabel(name, value)
+{
+   var labels = Asteroids.Settings.CHOICE_LABELS[name];
+   if (labels)
+   {
+      return labels[Asteroids.Settings.CHOICES[name].indexOf(value)];
+   }
+   return Math.round(value * 100) + "%";
+};
+
+/**
+ * Copy a colour palette to Asteroids.Colours - the prerendered graphics must be rendered
+ * again to use it
+ * 
+ * @param name {string} Palette name - see Asteroids.Settings.PALETTES
+ * 
+ * @method Asteroids.Settings.applyPalette
+ * @static
+ */
+Asteroids.Settings.applyPalette = function applyPalette(name)
+{
+   var palette = Asteroids.Settings.PALETTES[name];
+   for (var colour in palette)
+   {
+      if (palette.hasOwnProperty(colour))
+      {
+         Asteroids.Colours[colour] = palette[colour];
+      }
+   }
+};
+
+
+/**
+ * Asteroids settings scene class.
+ * 
+ * Modal scene listing each setting and its value. The player selects a setting with the
+ * UP and DOWN arrows and changes it with the LEFT and RIGHT arrows or ENTER. Each change
+ * is applied and saved immediately.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.SettingsScene
+ */
+(function()
+{
+   Asteroids.SettingsScene = function(game)
+   {
+      this.game = game;
+      Asteroids.SettingsScene.superclass.constructor.call(this, false, null);
+   };
+   
+   extend(Asteroids.SettingsScene, Game.Scene,
+   {
+      game: null,
+      
+      /**
+       * Index of the selected setting
+       */
+      selected: 0,
+      
+      /**
+       * Status message and the frame it was displayed
+       */
+      message: null,
+      messageFrame: 0,
+      MESSAGE_LENGTH: 240,
+      
+      onInitScene: function onInitScene()
+      {
+         this.selected = 0;
+         this.message = null;
+      },
+      
+      onRenderScene: function onRenderScene(ctx)
+      {
+         var settings = GameHandler.settings,
+             options = Asteroids.Settings.OPTIONS,
+             bitmaps = settings.get("bitmaps"),
+             f = (bitmaps ? Game.fillText : Game.drawText),
+             c = (bitmaps ? Game.centerFillText : Game.centerDrawText);
+         
+         // dim the scene below
+         ctx.save();
+         ctx.shadowBlur = 0;
+         ctx.globalAlpha = 0.8;
+         ctx.fillStyle = "black";
+         ctx.fillRect(0, 0, GameHandler.width, GameHandler.height);
+         ctx.restore();
+         
+         c(ctx, "Settings", "18pt Courier New", 110, "white");
+         for (var i=0; i<options.length; i++)
+         {
+            var name = options[i],
+                y = 150 + i * 26,
+                colour = (i === this.selected ? "rgb(255,255,128)" : "white"),
+                value = Asteroids.Settings.valueLabel(name, settings.get(name));
+            f(ctx, (i === this.selected ? "> " : "  ") + Asteroids.Settings.LABELS[name], "14pt Courier New", 80, y, colour);
+            f(ctx, (i === this.selected ? "< " + value + " >" : "  " + value), "14pt Courier New", 340, y, colour);
+         }
+         
+         c(ctx, "UP/DOWN select - LEFT/RIGHT change", "10pt Courier New", 460, "white");
+         c(ctx, "D restore defaults - ESC done", "10pt Courier New", 480, "white");
+         
+         if (this.message !== null)
+         {
+            c(ctx, this.message, "12pt Courier New", 515, "rgb(255,255,128)");
+            if (++this.messageFrame === this.MESSAGE_LENGTH)
+            {
+               this.message = null;
+            }
+         }
+      },
+      
+      /**
+       * Display a brief status message
+       */
+      showMessage: function showMessage(msg)
+      {
+         this.message = msg;
+         this.messageFrame = 0;
+      },
+      
+      /**
+       * Change the selected setting to the next or previous choice
+       */
+      change: function change(dir)
+      {
+         var name = Asteroids.Settings.OPTIONS[this.selected];
+         GameHandler.settings.cycle(name, dir);
+         if (name === "difficulty" && this.game.currentScene instanceof Asteroids.GameScene)
+         {
+            this.showMessage("Difficulty applies from the next game");
+         }
+      },
+      
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
+      {
+         var options = Asteroids.Settings.OPTIONS;
+         switch (keyCode)
+         {
+            case KEY.UP:
+            {
+               this.selected = (this.selected + options.length - 1) % options.length;
+               return true; break;
+            }
+            
+            case KEY.DOWN:
+            {
+               this.selected = (this.selected + 1) % options.length;
+               return true; break;
+            }
+            
+            case KEY.LEFT:
+            {
+               this.change(-1);
+               return true; break;
+            }
+            
+            case KEY.RIGHT:
+            case KEY.ENTER:
+            {
+               this.change(1);
+               return true; break;
+            }
+            
+            case KEY.D:
+            {
+               GameHandler.settings.reset();
+               this.showMessage("Default settings restored");
+               return true; break;
+            }
+            
+            case KEY.ESC:
+            {
+               this.game.popScene();
+               return true; break;
+            }
+         }
+         
+         // swallow all other keys while the scene is displayed
+         return true;
+      },
+      
+      onKeyUpHandler: function onKeyUpHandler(keyCode)
+      {
+         return true;
+      }
+   });
+})();
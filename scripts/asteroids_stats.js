@@ -0,0 +1,424 @@
+/**
+ * Asteroids player statistics class.
+ * 
+ * Records the totals of the current game and of every game played - shots fired by each
+ * weapon and the hits, asteroids and saucers destroyed by size, power ups collected by
+ * type, deaths by cause, the time played and the highest wave reached. The lifetime
+ * totals are saved in HTML5 local storage at the end of each game.
+ * 
+ * The statistics are GameHandler.stats - the game actors record their events directly.
+ * Nothing is recorded during the playback of a replay.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.Statistics
+ */
+(function()
+{
+   Asteroids.Statistics = function()
+   {
+      this.game = Asteroids.Statistics.empty();
+      this.lifetime = Asteroids.Statistics.empty();
+      return this;
+   };
+   
+   /**
+    * Saved document schema version
+    */
+   Asteroids.Statistics.VERSION = 1;
+   
+   /**
+    * Display labels of the counted weapons, asteroid sizes, saucer sizes, power ups and
+    * causes of death - in display order
+    */
+   Asteroids.Statistics.WEAPONS =
+   {
+      cannon: "Cannon",
+      twin: "Twin cannons",
+      spray: "Spray cannons",
+      side: "Side guns",
+      rear: "Rear gun",
+      bomb: "Bombs"
+   };
+   Asteroids.Statistics.ASTEROIDS =
+   {
+      1: "Tiny",
+      2: "Small",
+      3: "Medium",
+      4: "Large"
+   };
+   Asteroids.Statistics.SAUCERS =
+   {
+      0: "Large",
+      1: "Small",
+      2: "Boss",
+      3: "Cluster ship",
+      4: "Cluster fighter"
+   };
+   Asteroids.Statistics.POWERUPS =
+   {
+      energy: "Energy boost",
+      shieldFire: "Shield fire",
+      life: "Extra life",
+      slow: "Slow down",
+      smartBomb: "Smart bomb",
+      twin: "Twin cannons",
+      spray: "Spray cannons",
+      rear: "Rear gun",
+      side: "Side guns"
+   };
+   Asteroids.Statistics.DEATHS =
+   {
+      asteroid: "Asteroid",
+      bullet: "Enemy bullet",
+      saucer: "Saucer ram"
+   };
+   
+   /**
+    * @return {object} a new set of totals with nothing counted
+    * 
+    * @method Asteroids.Statistics.empty
+    * @static
+    */
+   Asteroids.Statistics.empty = function empty()
+   {
+      return {
+         games: 0,
+         time: 0,
+         highestWave: 0,
+         hits: 0,
+         shots: {},
+         asteroids: {},
+         saucers: {},
+         powerUps: {},
+         deaths: {}
+      };
+   };
+   
+   /**
+    * Format a time played for display
+    * 
+    * @param ms {number} Time in milliseconds
+    * @return {string} h:mm:ss or m:ss
+    * 
+    * @method Asteroids.Statistics.formatTime
+    * @static
+    */
+   Asteroids.Statistics.formatTime = function formatTime(ms)
+   {
+      var s = Floor(ms / 1000), h = Floor(s / 3600), m = Floor(s / 60) % 60;
+      s = s % 60;
+      return (h !== 0 ? h + ":" + (m < 10 ? "0" : "") : "") + m + ":" + (s < 10 ? "0" : "") + s;
+   };
+   
+   Asteroids.Statistics.prototype =
+   {
+      /**
+       * Totals of the current or last game and of every game played
+       */
+      game: null,
+      lifetime: null,
+      
+      /**
+       * True while a game played by the player is being recorded
+       */
+      recording: false,
+      
+      /**
+       * Load the lifetime totals from HTML5 local storage - an invalid or newer document
+       * is ignored
+       */
+      load: function load()
+      {
+         this.lifetime = Asteroids.Statistics.empty();
+         var json = (GameHandler.storage ? GameHandler.storage.getItem(STATSDBKEY) : null);
+         if (json)
+         {
+            try
+            {
+               var doc = JSON.parse(json);
+               if (doc && doc.version === Asteroids.Statistics.VERSION && doc.lifetime)
+               {
+                  // copy over the empty totals - so a missing total is zero
+                  for (var name in this.lifetime)
+                  {
+                     if (this.lifetime.hasOwnProperty(name) && typeof doc.lifetime[name] === typeof this.lifetime[name])
+                     {
+                        this.lifetime[name] = doc.lifetime[name];
+                     }
+                  }
+               }
+            }
+            catch (e)
+            {
+               // an invalid document is discarded
+            }
+         }
+      },
+      
+      /**
+       * Save the lifetime totals to HTML5 local storage
+       */
+      save: function save()
+      {
+         if (GameHandler.storage)
+         {
+            GameHandler.storage.setItem(STATSDBKEY, JSON.stringify({
+               version: Asteroids.Statistics.VERSION,
+               lifetime: this.lifetime
+            }));
+         }
+      },
+      
+      /**
+       * A new game has started - the game totals are reset
+       * 
+       * @param record {boolean} False if the game is a replay and is not recorded
+       */
+      startGame: function startGame(record)
+      {
+         this.recording = record;
+         if (record)
+         {
+            this.game = Asteroids.Statistics.empty();
+            this.game.games = 1;
+            this.lifetime.games++;
+         }
+      },
+      
+      /**
+       * The game has ended or been abandoned - the lifetime totals are saved
+       */
+      endGame: function endGame()
+      {
+         if (this.recording)
+         {
+            this.recording = false;
+            this.save();
+         }
+      },
+      
+      /**
+       * Add to a count in the game and lifetime totals
+       * 
+       * @param total {string} Name of the totals e.g. "shots"
+       * @param key {string} Counted item e.g. the weapon name
+       * @param n {number} Amount to add
+       */
+      count: function count(total, key, n)
+      {
+         if (this.recording)
+         {
+            var g = this.game[total], l = this.lifetime[total];
+            g[key] = (g[key] || 0) + n;
+            l[key] = (l[key] || 0) + n;
+         }
+      },
+      
+      /**
+       * Player weapon fired - bullets is the number of bullets fired
+       */
+      fired: function fired(weapon, bullets)
+      {
+         this.count("shots", weapon, bullets);
+      },
+      
+      /**
+       * A player bullet or bomb hit an enemy
+       */
+      hit: function hit()
+      {
+         if (this.recording)
+         {
+            this.game.hits++;
+            this.lifetime.hits++;
+         }
+      },
+      
+      /**
+       * An asteroid or a saucer was destroyed by the player
+       */
+      asteroidDestroyed: function asteroidDestroyed(size)
+      {
+         this.count("asteroids", size, 1);
+      },
+      
+      saucerDestroyed: function saucerDestroyed(size)
+      {
+         this.count("saucers", size, 1);
+      },
+      
+      /**
+       * A power up was collected - see Asteroids.Statistics.POWERUPS
+       */
+      powerUp: function powerUp(type)
+      {
+         this.count("powerUps", type, 1);
+      },
+      
+      /**
+       * The player lost a life - see Asteroids.Statistics.DEATHS
+       */
+      died: function died(cause)
+      {
+         this.count("deaths", cause, 1);
+      },
+      
+      /**
+       * A wave has started
+       */
+      wave: function wave(n)
+      {
+         if (this.recording)
+         {
+            this.game.highestWave = Math.max(this.game.highestWave, n);
+            this.lifetime.highestWave = Math.max(this.lifetime.highestWave, n);
+         }
+      },
+      
+      /**
+       * A simulation tick of a game wave has been played
+       */
+      tick: function tick()
+      {
+         if (this.recording)
+         {
+            this.game.time += GameHandler.TICKMS;
+            this.lifetime.time += GameHandler.TICKMS;
+         }
+      },
+      
+      /**
+       * @param totals {object} Game or lifetime totals
+       * @return {number} the total of the counts in one of the totals e.g. all the shots
+       */
+      sum: function sum(totals, total)
+      {
+         var n = 0, counts = totals[total];
+         for (var key in counts)
+         {
+            if (counts.hasOwnProperty(key))
+            {
+               n += counts[key];
+            }
+         }
+         return n;
+      },
+      
+      /**
+       * @param totals {object} Game or lifetime totals
+       * @return {string} percentage of the shots fired that hit an enemy
+       */
+      accuracy: function accuracy(totals)
+      {
+         var shots = this.sum(totals, "shots");
+         return (shots !== 0 ? Math.round(totals.hits / shots * 100) : 0) + "%";
+      }
+   };
+})();
+
+
+/**
+ * Asteroids statistics scene class.
+ * 
+ * Modal scene displaying the totals of the last game and the lifetime totals. ESC or
+ * ENTER returns to the title screen.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.StatisticsScene
+ */
+(function()
+{
+   Asteroids.StatisticsScene = function(game)
+   {
+      this.game = game;
+      Asteroids.StatisticsScene.superclass.constructor.call(this, false, null);
+   };
+   
+   extend(Asteroids.StatisticsScene, Game.Scene,
+   {
+      game: null,
+      
+      onRenderScene: function onRenderScene(ctx)
+      {
+         var stats = GameHandler.stats,
+             bitmaps = GameHandler.settings.get("bitmaps"),
+             c = (bitmaps ? Game.centerFillText : Game.centerDrawText);
+         
+         // dim the scene below
+         ctx.save();
+         ctx.shadowBlur = 0;
+         ctx.globalAlpha = 0.8;
+         ctx.fillStyle = "black";
+         ctx.fillRect(0, 0, GameHandler.width, GameHandler.height);
+         ctx.restore();
+         
+         c(ctx, "Statistics", "18pt Courier New", 60, "white");
+         c(ctx, "Last game / Lifetime", "10pt Courier New", 80, "white");
+         
+         var g = stats.game, l = stats.lifetime, S = Asteroids.Statistics;
+         var y = this.renderSection(ctx, "General", 20, 110, [
+            ["Games played", g.games, l.games],
+            ["Time played", S.formatTime(g.time), S.formatTime(l.time)],
+            ["Highest wave", g.highestWave, l.highestWave],
+            ["Accuracy", stats.accuracy(g), stats.accuracy(l)]
+         ]);
+         y = this.renderSection(ctx, "Shots fired", 20, y, this.rows(S.WEAPONS, g.shots, l.shots));
+         this.renderSection(ctx, "Deaths", 20, y, this.rows(S.DEATHS, g.deaths, l.deaths));
+         y = this.renderSection(ctx, "Asteroids destroyed", 330, 110, this.rows(S.ASTEROIDS, g.asteroids, l.asteroids));
+         y = this.renderSection(ctx, "Saucers destroyed", 330, y, this.rows(S.SAUCERS, g.saucers, l.saucers));
+         this.renderSection(ctx, "Power ups collected", 330, y, this.rows(S.POWERUPS, g.powerUps, l.powerUps));
+         
+         c(ctx, "ESC done", "10pt Courier New", 600, "white");
+      },
+      
+      /**
+       * @return {Array} display rows of the game and lifetime counts of each labelled item
+       */
+      rows: function rows(labels, game, lifetime)
+      {
+         var rows = [];
+         for (var key in labels)
+         {
+            if (labels.hasOwnProperty(key))
+            {
+               rows.push([labels[key], game[key] || 0, lifetime[key] || 0]);
+            }
+         }
+         return rows;
+      },
+      
+      /**
+       * Render a heading and its rows of label, game value and lifetime value
+       * 
+       * @return {number} y position below the section
+       */
+      renderSection: function renderSection(ctx, heading, x, y, rows)
+      {
+         var f = (GameHandler.settings.get("bitmaps") ? Game.fillText : Game.drawText);
+         f(ctx, heading, "12pt Courier New", x, y, "rgb(255,255,128)");
+         y += 18;
+         for (var i=0; i<rows.length; i++, y+=16)
+         {
+            f(ctx, rows[i][0], "10pt Courier New", x + 8, y, "white");
+            f(ctx, rows[i][1] + " / " + rows[i][2], "10pt Courier New", x + 150, y, "white");
+         }
+         return y + 12;
+      },
+      
+      onKeyDownHandler: function onKeyDownHandler(keyCode)
+      {
+         if (keyCode === KEY.ESC || keyCode === KEY.ENTER)
+         {
+            this.game.popScene();
+         }
+         
+         // swallow all other keys while the scene is displayed
+         return true;
+      },
+      
+      onKeyUpHandler: function onKeyUpHandler(keyCode)
+      {
+         return true;
+      }
+   });
+})();
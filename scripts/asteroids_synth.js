@@ -0,0 +1,140 @@
+/**
+ * Asteroids procedural sound effect synthesiser.
+ * 
+ * Sound effects are described by a small set of parameters in the style of the sfxr
+ * retro sound generator - a waveform, a frequency sweep with optional vibrato and an
+ * attack/sustain/decay volume envelope. Each sound is rendered once into an audio buffer
+ * by an OfflineAudioContext as the game loads, so no sound assets need to be downloaded
+ * or decoded and the effects have an authentic arcade sound.
+ * 
+ * @namespace Asteroids
+ */
+Asteroids.Synth = {};
+
+/**
+ * Sound effect parameter sets:
+ *    wave {string} - "square", "sawtooth", "triangle", "sine" or "noise"
+ *    frequency {number} - start frequency in Hz - for noise the low pass filter cutoff
+ *    frequencyEnd {number} - optional frequency to sweep to by the end of the sound
+ *    vibratoDepth {number} - optional vibrato depth as a fraction of the frequency
+ *    vibratoSpeed {number} - vibrato speed in Hz
+ *    attack, sustain, decay {number} - envelope stage lengths in seconds
+ *    punch {number} - optional extra volume at the start of the sustain stage 0.0-1.0
+ *    lowpass {number} - optional low pass filter cutoff in Hz
+ *    volume {number} - sustain volume 0.0-1.0
+ */
+Asteroids.Synth.SOUNDS =
+{
+   laser:          {wave: "square", frequency: 1400, frequencyEnd: 250, attack: 0, sustain: 0.04, decay: 0.12, punch: 0.4, volume: 0.4},
+   laser_twin:     {wave: "square", frequency: 1800, frequencyEnd: 450, vibratoDepth: 0.15, vibratoSpeed: 60, attack: 0, sustain: 0.05, decay: 0.12, punch: 0.3, volume: 0.4},
+   laser_vspray:   {wave: "sawtooth", frequency: 1000, frequencyEnd: 150, attack: 0, sustain: 0.03, decay: 0.18, punch: 0.5, lowpass: 4000, volume: 0.35},
+   enemy_bomb:     {wave: "square", frequency: 500, frequencyEnd: 120, vibratoDepth: 0.3, vibratoSpeed: 25, attack: 0, sustain: 0.08, decay: 0.25, volume: 0.4},
+   big_boom:       {wave: "noise", frequency: 2500, frequencyEnd: 40, attack: 0, sustain: 0.25, decay: 1.2, punch: 0.6, volume: 0.8},
+   bomb_detonate:  {wave: "noise", frequency: 6000, frequencyEnd: 60, attack: 0.01, sustain: 0.15, decay: 0.9, punch: 0.8, volume: 0.8},
+   asteroid_boom1: {wave: "noise", frequency: 3000, frequencyEnd: 120, attack: 0, sustain: 0.05, decay: 0.45, punch: 0.5, volume: 0.7},
+   asteroid_boom2: {wave: "noise", frequency: 2200, frequencyEnd: 90, attack: 0, sustain: 0.08, decay: 0.55, punch: 0.5, volume: 0.7},
+   asteroid_boom3: {wave: "noise", frequency: 3500, frequencyEnd: 200, attack: 0, sustain: 0.03, decay: 0.35, punch: 0.5, volume: 0.7},
+   asteroid_boom4: {wave: "noise", frequency: 1800, frequencyEnd: 60, attack: 0, sustain: 0.1, decay: 0.6, punch: 0.5, volume: 0.7},
+   powerup:        {wave: "square", frequency: 300, frequencyEnd: 1200, vibratoDepth: 0.1, vibratoSpeed: 12, attack: 0, sustain: 0.15, decay: 0.25, volume: 0.35}
+};
+
+/**
+ * @return true if sound effects can be synthesised in this environment
+ * 
+ * @method Asteroids.Synth.available
+ * @static
+ */
+Asteroids.Synth.available = function available()
+{
+   return (typeof window !== "undefined" && !!(window.OfflineAudioContext || window.webkitOfflineAudioContext));
+};
+
+/**
+ * Render a sound effect into an audio buffer
+ * 
+ * @param params {object} Sound parameters - see Asteroids.Synth.SOUNDS
+ * @param sampleRate {number} Sample rate of the buffer - normally that of the context
+ *        the sound will be played by
+ * @param callback {function} Called with the rendered AudioBuffer once complete
+ * 
+ * @method Asteroids.Synth.render
+ * @static
+ */
+Asteroids.Synth.render = function render(params, sampleRate, callback)
+{
+   var OfflineAudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+   var attack = Math.max(params.attack, 0.001),
+       length = attack + params.sustain + params.decay,
+       context = new OfflineAudioContext(1, Ceil(length * sampleRate), sampleRate),
+       source, pitch;
+   
+   var filter = context.createBiquadFilter();
+   filter.type = "lowpass";
+   filter.frequency.value = (params.lowpass ? params.lowpass : sampleRate * 0.5);
+   
+   if (params.wave === "noise")
+   {
+      // white noise - the frequency sweeps the filter cutoff to give the noise its pitch
+      source = context.createBufferSource();
+      source.buffer = Asteroids.Synth.noise(context, length);
+      pitch = filter.frequency;
+   }
+   else
+   {
+      source = context.createOscillator();
+      source.type = params.wave;
+      pitch = source.frequency;
+      if (params.vibratoDepth)
+      {
+         var vibrato = context.createOscillator(),
+             depth = context.createGain();
+         vibrato.frequency.value = params.vibratoSpeed;
+         depth.gain.value = params.frequency * params.vibratoDepth;
+         vibrato.connect(depth);
+         depth.connect(source.frequency);
+         vibrato.start(0);
+      }
+   }
+   pitch.setValueAtTime(params.frequency, 0);
+   pitch.exponentialRampToValueAtTime(params.frequencyEnd ? params.frequencyEnd : params.frequency, length);
+   
+   // attack up to the punch volume, fall back to the sustain volume then decay to silence
+   var envelope = context.createGain();
+   envelope.gain.setValueAtTime(0, 0);
+   envelope.gain.linearRampToValueAtTime(params.volume * (1 + (params.punch ? params.punch : 0)), attack);
+   envelope.gain.linearRampToValueAtTime(params.volume, attack + params.sustain);
+   envelope.gain.linearRampToValueAtTime(0, length);
+   
+   source.connect(filter);
+   filter.connect(envelope);
+   envelope.connect(context.destination);
+   source.start(0);
+   
+   context.oncomplete = function(e)
+   {
+      callback(e.renderedBuffer);
+   };
+   context.startRendering();
+};
+
+/**
+ * Generate a buffer of white noise - the same noise is generated each time
+ * 
+ * @param context {object} Audio context to create the buffer with
+ * @param length {number} Length of the noise in seconds
+ * @return {AudioBuffer} the noise buffer
+ * 
+ * @method Asteroids.Synth.noise
+ * @static
+ */
+Asteroids.Synth.noise = function noise(context, length)
+{
+   var buffer = context.createBuffer(1, Ceil(length * context.sampleRate), context.sampleRate),
+       data = buffer.getChannelData(0),
+       rng = new Game.Random(1);
+   for (var i=0; i<data.length; i++)
+   {
+      data[i] = rng.rnd() * 2 - 1;
+   }
+   return buffer;
+};
@@ -0,0 +1,396 @@
+/**
+ * Asteroids on-screen touch controls class.
+ * 
+ * A virtual joystick and fire, bomb and shield buttons rendered over the game for phones
+ * and tablets. Moving the joystick left and right rotates the ship in proportion to the
+ * stick position and pushing it up thrusts - using the same analog turn and throttle
+ * input values as a gamepad. Each finger is tracked separately so the joystick and the
+ * buttons can be used at the same time.
+ * 
+ * A pause button opens the pause menu and an item of the menu is chosen by tapping it.
+ * 
+ * The controls are activated on iOS devices and as soon as a touch event is received.
+ * Outside of the game a tap continues from the game over and game completed scenes and
+ * accepts the initials of a high score - and returns from the settings and controls
+ * scenes opened from the pause menu.
+ * The layout (joystick on the left or on the right) and the opacity can be configured.
+ * 
+ * @namespace Asteroids
+ * @class Asteroids.TouchControls
+ */
+(function()
+{
+   Asteroids.TouchControls = function(game, canvas, options)
+   {
+      this.game = game;
+      this.canvas = canvas;
+      this.touches = {};
+      this.active = iOS;
+      this.setLayout(options && options.layout ? options.layout : "right");
+      this.setOpacity(options && options.opacity !== undefined ? options.opacity : Asteroids.TouchControls.OPACITY);
+      
+      var me = this;
+      canvas.addEventListener("touchstart", function(e) { me.onTouchStart(e); }, false);
+      canvas.addEventListener("touchmove", function(e) { me.onTouchMove(e); }, false);
+      canvas.addEventListener("touchend", function(e) { me.onTouchEnd(e); }, false);
+      canvas.addEventListener("touchcancel", function(e) { me.onTouchEnd(e); }, false);
+      
+      return this;
+   };
+   
+   /**
+    * Default opacity of the controls
+    */
+   Asteroids.TouchControls.OPACITY = 0.35;
+   
+   /**
+    * Joystick positions inside the dead zone are treated as centred
+    */
+   Asteroids.TouchControls.DEADZONE = 0.25;
+   
+   /**
+    * Control layouts - positions are fractions of the play field width and height and the
+    * radius is a fraction of the smaller of the two
+    */
+   Asteroids.TouchControls.LAYOUTS =
+   {
+      right:
+      {
+         joystick: {x: 0.16, y: 0.8, r: 0.12},
+         buttons:
+         {
+            fireA: {x: 0.86, y: 0.8, r: 0.075, label: "FIRE"},
+            fireB: {x: 0.7, y: 0.88, r: 0.06, label: "BOMB"},
+            shield: {x: 0.88, y: 0.62, r: 0.06, label: "SHIELD"},
+            pause: {x: 0.94, y: 0.08, r: 0.045, label: "II"}
+         }
+      },
+      left:
+      {
+         joystick: {x: 0.84, y: 0.8, r: 0.12},
+         buttons:
+         {
+            fireA: {x: 0.14, y: 0.8, r: 0.075, label: "FIRE"},
+            fireB: {x: 0.3, y: 0.88, r: 0.06, label: "BOMB"},
+            shield: {x: 0.12, y: 0.62, r: 0.06, label: "SHIELD"},
+            pause: {x: 0.06, y: 0.08, r: 0.045, label: "II"}
+         }
+      }
+   };
+   
+   Asteroids.TouchControls.prototype =
+   {
+      game: null,
+      canvas: null,
+      
+      /**
+       * True once the controls are in use - they are only rendered when active
+       */
+      active: false,
+      
+      /**
+       * Current layout and its name
+       */
+      layout: null,
+      layoutName: null,
+      
+      /**
+       * Opacity of the controls 0.0-1.0
+       */
+      opacity: 0,
+      
+      /**
+       * The control held by each touch by touch identifier - "joystick" or an input action
+       */
+      touches: null,
+      
+      /**
+       * Joystick position -1.0 to 1.0 on each axis
+       */
+      stickX: 0,
+      stickY: 0,
+      
+      /**
+       * Select a control layout
+       * 
+       * @param name {string} Layout name - see Asteroids.TouchControls.LAYOUTS
+       */
+      setLayout: function setLayout(name)
+      {
+         this.layout = Asteroids.TouchControls.LAYOUTS[name];
+         this.layoutName = name;
+      },
+      
+      /**
+       * @param opacity {number} Opacity of the controls 0.0-1.0
+       */
+      setOpacity: function setOpacity(opacity)
+      {
+         this.opacity = (opacity < 0 ? 0 : (opacity > 1 ? 1 : opacity));
+      },
+      
+      /**
+       * @return true if the touches are driving the player input - only during a game
+       */
+      enabled: function enabled()
+      {
+         return (this.game.inputScene() instanceof Asteroids.GameScene && this.game.playback === null);
+      },
+      
+      onTouchStart: function onTouchStart(e)
+      {
+         this.active = true;
+         if (!this.enabled())
+         {
+            // a tap continues from the end of game scenes and accepts the high score
+            // initials - otherwise let the browser generate the mouse events used by the
+            // other scenes
+            var scene = this.game.inputScene();
+            if (scene instanceof Asteroids.GameOverScene || scene instanceof Asteroids.GameCompleted ||
+                scene instanceof Asteroids.InitialsScene)
+            {
+               e.preventDefault();
+               scene.onKeyDownHandler(KEY.ENTER);
+            }
+            else if (scene instanceof Asteroids.PauseScene)
+            {
+               e.preventDefault();
+               scene.choose(scene.itemAt(this.toCanvas(e.changedTouches[0]).y));
+            }
+            else if (scene === this.game.settingsScene || scene === this.game.controlsScene)
+            {
+               e.preventDefault();
+               scene.onKeyDownHandler(KEY.ESC);
+            }
+            return;
+         }
+         e.preventDefault();
+         for (var i=0; i<e.changedTouches.length; i++)
+         {
+            var touch = e.changedTouches[i],
+                p = this.toCanvas(touch),
+                control = this.controlAt(p.x, p.y);
+            if (control === "pause")
+            {
+               // the pause menu releases any held input - see Asteroids.PauseScene
+               this.touches = {};
+               this.stickX = this.stickY = 0;
+               this.game.pauseGame();
+               return;
+            }
+            if (control !== null)
+            {
+               this.touches[touch.identifier] = control;
+               if (control === "joystick")
+               {
+                  this.moveStick(p.x, p.y);
+               }
+               else
+               {
+                  this.game.input[control] = true;
+               }
+            }
+         }
+      },
+      
+      onTouchMove: function onTouchMove(e)
+      {
+         if (!this.enabled())
+         {
+            return;
+         }
+         e.preventDefault();
+         for (var i=0; i<e.changedTouches.length; i++)
+         {
+            var touch = e.changedTouches[i];
+            if (this.touches[touch.identifier] === "joystick")
+            {
+               var p = this.toCanvas(touch);
+               this.moveStick(p.x, p.y);
+            }
+         }
+      },
+      
+      onTouchEnd: function onTouchEnd(e)
+      {
+         for (var i=0; i<e.changedTouches.length; i++)
+         {
+            var id = e.changedTouches[i].identifier,
+                control = this.touches[id];
+            if (control !== undefined)
+            {
+               delete this.touches[id];
+               if (control === "joystick")
+               {
+                  this.stickX = this.stickY = 0;
+                  this.game.input.turn = this.game.input.throttle = 0;
+               }
+               else if (!this.held(control))
+               {
+                  this.game.input[control] = false;
+               }
+            }
+         }
+         if (this.enabled())
+         {
+            e.preventDefault();
+         }
+      },
+      
+      /**
+       * @return true if any touch is holding the given control
+       */
+      held: function held(control)
+      {
+         for (var id in this.touches)
+         {
+            if (this.touches.hasOwnProperty(id) && this.touches[id] === control)
+            {
+               return true;
+            }
+         }
+         return false;
+      },
+      
+      /**
+       * Convert the position of a touch to play field coordinates - the canvas may be
+       * scaled to fit the screen
+       */
+      toCanvas: function toCanvas(touch)
+      {
+         var rect = this.canvas.getBoundingClientRect();
+         return {
+            x: (touch.clientX - rect.left) * GameHandler.width / rect.width,
+            y: (touch.clientY - rect.top) * GameHandler.height / rect.height
+         };
+      },
+      
+      /**
+       * Find the control under a play field position
+       * 
+       * @return "joystick", the input action of a button or null for none
+       */
+      controlAt: function controlAt(x, y)
+      {
+         var size = Math.min(GameHandler.width, GameHandler.height),
+             stick = this.layout.joystick;
+         
+         // the joystick accepts touches a little outside of its base
+         if (this.distance(x, y, stick) < stick.r * size * 1.5)
+         {
+            return "joystick";
+         }
+         for (var action in this.layout.buttons)
+         {
+            if (this.layout.buttons.hasOwnProperty(action))
+            {
+               var button = this.layout.buttons[action];
+               if (this.distance(x, y, button) < button.r * size)
+               {
+                  return action;
+               }
+            }
+         }
+         return null;
+      },
+      
+      distance: function distance(x, y, control)
+      {
+         var dx = x - control.x * GameHandler.width,
+             dy = y - control.y * GameHandler.height;
+         return Math.sqrt(dx * dx + dy * dy);
+      },
+      
+      /**
+       * Move the joystick to a play field position and update the analog input from it
+       */
+      moveStick: function moveStick(x, y)
+      {
+         var stick = this.layout.joystick,
+             r = stick.r * Math.min(GameHandler.width, GameHandler.height),
+             dx = (x - stick.x * GameHandler.width) / r,
+             dy = (y - stick.y * GameHandler.height) / r,
+             length = Math.sqrt(dx * dx + dy * dy);
+         if (length > 1)
+         {
+            dx /= length;
+            dy /= length;
+         }
+         this.stickX = dx;
+         this.stickY = dy;
+         
+         // analog values are kept to hundredths - the precision stored in a replay
+         this.game.input.turn = Math.round(this.deadzone(dx) * 100) / 100;
+         this.game.input.throttle = Math.round(this.deadzone(dy < 0 ? -dy : 0) * 100) / 100;
+      },
+      
+      /**
+       * Apply the dead zone to a joystick axis and rescale the remaining travel
+       */
+      deadzone: function deadzone(value)
+      {
+         var size = Math.abs(value), dz = Asteroids.TouchControls.DEADZONE;
+         size = (size < dz ? 0 : (size - dz) / (1 - dz));
+         return (value < 0 ? -size : size);
+      },
+      
+      /**
+       * Render the controls over the game
+       * 
+       * @param ctx {object} Canvas rendering context
+       */
+      render: function render(ctx)
+      {
+         if (!this.active || this.opacity === 0)
+         {
+            return;
+         }
+         var size = Math.min(GameHandler.width, GameHandler.height),
+             stick = this.layout.joystick,
+             sx = stick.x * GameHandler.width, sy = stick.y * GameHandler.height, sr = stick.r * size;
+         
+         ctx.save();
+         ctx.shadowBlur = 0;
+         ctx.globalAlpha = this.opacity;
+         ctx.strokeStyle = ctx.fillStyle = "white";
+         ctx.lineWidth = 2;
+         
+         // joystick base and knob
+         ctx.beginPath();
+         ctx.arc(sx, sy, sr, 0, TWOPI, true);
+         ctx.closePath();
+         ctx.stroke();
+         ctx.beginPath();
+         ctx.arc(sx + this.stickX * sr, sy + this.stickY * sr, sr * 0.4, 0, TWOPI, true);
+         ctx.closePath();
+         ctx.fill();
+         
+         // buttons - filled while held
+         ctx.font = "10pt Courier New";
+         for (var action in this.layout.buttons)
+         {
+            if (this.layout.buttons.hasOwnProperty(action))
+            {
+               var button = this.layout.buttons[action],
+                   bx = button.x * GameHandler.width, by = button.y * GameHandler.height,
+                   pressed = this.held(action);
+               ctx.beginPath();
+               ctx.arc(bx, by, button.r * size, 0, TWOPI, true);
+               ctx.closePath();
+               if (pressed)
+               {
+                  ctx.fill();
+               }
+               else
+               {
+                  ctx.stroke();
+               }
+               ctx.fillStyle = (pressed ? "black" : "white");
+               ctx.fillText(button.label, bx - ctx.measureText(button.label).width * 0.5, by + 4);
+               ctx.fillStyle = "white";
+            }
+         }
+         ctx.restore();
+      }
+   };
+})();
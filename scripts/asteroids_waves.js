@@ -0,0 +1,460 @@
+/**
+ * Asteroids wave definitions.
+ * 
+ * The content of each wave of the game - loaded from a JSON document (data/waves.json) so
+ * the waves can be tuned and added to without changing the game code. The document is
+ * validated as it is loaded and an invalid document is rejected with a message giving the
+ * path of the first invalid value e.g. "waves[3].saucers.delay must be a number of at
+ * least 0".
+ * 
+ *    {
+ *       "format": "asteroids-waves",
+ *       "version": 1,
+ *       "bossEvery": N,
+ *       "waves": [wave, ...]
+ *    }
+ * 
+ * A boss saucer arrives in every Nth wave - bossEvery is optional and zero for no bosses.
+ * 
+ * Each wave has:
+ * 
+ *    name       Title displayed as the wave begins (default "Wave N")
+ *    asteroids  Groups of asteroids at the start of the wave - each {count, size, type}
+ *               with a size of 1-4 (default 4) and a bitmap type of 1-4 (default random)
+ *    speed      Asteroid speed multiplier (default 1)
+ *    health     Asteroid health multiplier - the hits an asteroid takes (default 1)
+ *    saucers    Enemy saucers - {max, delay, sizes, speed, cluster} the most on screen at
+ *               once, the delay in ms between saucers, the sizes to choose from (0 large,
+ *               1 small), a speed multiplier and the chance from 0 to 1 of a cluster ship
+ *               arriving in place of a saucer (default 0). The fighters released by a
+ *               cluster ship count toward the most on screen. Null or missing for no saucers.
+ *    powerUps   Power up drop rates - {asteroid, saucer} a one in N chance of a power up
+ *               when each is destroyed (default 26 and 2)
+ *    hazards    Timed hazards - each {type, at} and the hazard values. The "asteroids"
+ *               hazard is a shower of {count, size, speed} more asteroids arriving at a
+ *               time in ms after the start of the wave. A hazard still to arrive when the
+ *               wave is cleared does not arrive.
+ *    par        Par time to clear the wave in ms - or null for none
+ *    boss       Boss saucer - {health, at} the hits it takes and the time in ms after the
+ *               start of the wave it arrives. It arrives at once if the rest of the wave is
+ *               cleared first. Null for no boss - the default follows bossEvery.
+ * 
+ * The endless game mode plays the waves and then carries on with generated waves of
+ * escalating difficulty - see Asteroids.Waves.endless().
+ * 
+ * The waves change how a game plays out - a replay must be played back with the waves it
+ * was recorded with. A replay records the hash of the waves - see Asteroids.Waves.hash().
+ * 
+ * @namespace Asteroids
+ */
+Asteroids.Waves =
+{
+   /**
+    * Document format name and schema version
+    */
+   FORMAT: "asteroids-waves",
+   VERSION: 1,
+   
+   /**
+    * Location of the wave definitions document
+    */
+   URL: "data/waves.json",
+   
+   /**
+    * Supported hazard types and the values of each - with their defaults
+    */
+   HAZARDS:
+   {
+      asteroids: {count: 4, size: 4, speed: 1}
+   },
+   
+   /**
+    * Default time in ms after the start of a wave that the boss saucer arrives
+    */
+   BOSS_AT: 15000,
+   
+   /**
+    * Wave definitions used by the game - the classic waves until a document is loaded
+    */
+   list: null,
+   
+   /**
+    * A boss saucer arrives in every Nth wave - including the endless mode waves
+    */
+   bossEvery: 4
+};
+
+/**
+ * Generate the classic twelve waves of the original game - used when the wave definitions
+ * document cannot be fetched
+ * 
+ * @return {Array} wave definitions
+ * 
+ * @method Asteroids.Waves.classic
+ * @static
+ */
+Asteroids.Waves.classic = function classic()
+{
+   var waves = [];
+   for (var wave=1; wave<=12; wave++)
+   {
+      waves.push({
+         name: "Wave " + wave,
+         asteroids: [{count: 3 + wave, size: 4, type: null}],
+         speed: Math.round((1.0 + ((wave - 1) * 0.075)) * 1000) / 1000,
+         health: 1,
+         saucers: {max: (wave < 5 ? 1 : 2), delay: 20000 - (wave * 1024), sizes: (wave < 3 ? [0] : [0, 1]), speed: 1,
+                   cluster: (wave < 6 ? 0 : 0.25)},
+         powerUps: {asteroid: 26, saucer: 2},
+         hazards: [],
+         par: 45000 + wave * 15000,
+         boss: (wave % 4 === 0 ? Asteroids.Waves.boss(wave) : null)
+      });
+   }
+   return waves;
+};
+
+/**
+ * Generate the default boss saucer of a wave - tougher in later waves
+ * 
+ * @param wave {number} Wave number
+ * @return {object} boss definition
+ * 
+ * @method Asteroids.Waves.boss
+ * @static
+ */
+Asteroids.Waves.boss = function boss(wave)
+{
+   return {health: Math.min(20 + wave * 5, 500), at: Asteroids.Waves.BOSS_AT};
+};
+
+/**
+ * Generate an endless mode wave - the waves after the last defined wave. The classic wave
+ * curves are carried on and each wave adds more and tougher asteroids, more and faster
+ * saucers and asteroid showers - up to a limit where the game is still playable.
+ * 
+ * @param wave {number} Wave number
+ * @return {object} wave definition
+ * 
+ * @method Asteroids.Waves.endless
+ * @static
+ */
+Asteroids.Waves.endless = function endless(wave)
+{
+   return {
+      name: "Wave " + wave,
+      asteroids: [
+         {count: Math.min(3 + wave, 16), size: 4, type: null},
+         {count: Math.min(Math.max(wave - 13, 0), 12), size: 3, type: null}
+      ],
+      speed: Math.round(Math.min(1.0 + ((wave - 1) * 0.075), 3.0) * 1000) / 1000,
+      health: Math.min(1 + Floor((wave - 1) / 12) * 0.5, 4),
+      saucers: {
+         max: Math.min(1 + Floor(wave / 6), 4),
+         delay: Math.max(20000 - (wave * 1024), 4000),
+         sizes: [0, 1],
+         speed: Math.round(Math.min(1.0 + Math.max(wave - 12, 0) * 0.05, 2.0) * 1000) / 1000,
+         cluster: Math.round(Math.min(0.25 + Math.max(wave - 12, 0) * 0.025, 0.5) * 1000) / 1000
+      },
+      powerUps: {asteroid: 26, saucer: 2},
+      hazards: (wave % 3 === 0 ? [{type: "asteroids", at: 20000, count: Math.min(2 + Floor(wave / 6), 8), size: 3, speed: 1.5}] : []),
+      par: Math.min(45000 + wave * 15000, 300000),
+      boss: (Asteroids.Waves.bossEvery !== 0 && wave % Asteroids.Waves.bossEvery === 0 ? Asteroids.Waves.boss(wave) : null)
+   };
+};
+
+/**
+ * Parse and validate a wave definitions document
+ * 
+ * @param json {string} JSON wave definitions document
+ * @return {object} the boss frequency - bossEvery - and the wave definitions - waves - with
+ *         the default of each missing value
+ * @throws Error describing the first problem found with the document
+ * 
+ * @method Asteroids.Waves.parse
+ * @static
+ */
+Asteroids.Waves.parse = function parse(json)
+{
+   var doc;
+   try
+   {
+      doc = JSON.parse(json);
+   }
+   catch (e)
+   {
+      throw new Error("Wave definitions are not valid JSON: " + e.message);
+   }
+   if (!doc || doc.format !== Asteroids.Waves.FORMAT)
+   {
+      throw new Error("Not an Asteroids wave definitions document");
+   }
+   if (doc.version !== Asteroids.Waves.VERSION)
+   {
+      throw new Error("Unsupported wave definitions version: " + doc.version);
+   }
+   if (!isArray(doc.waves) || doc.waves.length === 0)
+   {
+      throw new Error("waves must be a list of at least one wave");
+   }
+   var bossEvery = (doc.bossEvery !== undefined ? doc.bossEvery : 0);
+   if (typeof bossEvery !== "number" || bossEvery < 0 || bossEvery % 1 !== 0)
+   {
+      throw new Error("bossEvery must be a whole number of at least 0");
+   }
+   
+   var waves = [];
+   for (var i=0; i<doc.waves.length; i++)
+   {
+      waves.push(Asteroids.Waves.validate(doc.waves[i], "waves[" + i + "]", i + 1, bossEvery));
+   }
+   return {bossEvery: bossEvery, waves: waves};
+};
+
+/**
+ * Validate a single wave definition
+ * 
+ * @param def {object} Wave definition from the document
+ * @param path {string} Path of the wave in the document - used in the error messages
+ * @param wave {number} Wave number
+ * @param bossEvery {number} A wave without a boss definition has the default boss every
+ *                  Nth wave - zero for none
+ * @return {object} the wave definition with the default of each missing value
+ * @throws Error describing the first problem found with the wave
+ * 
+ * @method Asteroids.Waves.validate
+ * @static
+ */
+Asteroids.Waves.validate = function validate(def, path, wave, bossEvery)
+{
+   var fail = function(p, msg)
+       {
+          throw new Error(p + " " + msg);
+       },
+       object = function(value, p, keys)
+       {
+          if (!value || typeof value !== "object" || isArray(value))
+          {
+             fail(p, "must be an object");
+          }
+          for (var key in value)
+          {
+             if (value.hasOwnProperty(key) && keys.indexOf(key) === -1)
+             {
+                fail(p, "has an unknown property \"" + key + "\" - expected one of " + keys.join(", "));
+             }
+          }
+          return value;
+       },
+       number = function(value, p, min, max, whole, dflt)
+       {
+          if (value === undefined)
+          {
+             return dflt;
+          }
+          if (typeof value !== "number" || !isFinite(value) || value < min || value > max || (whole && value % 1 !== 0))
+          {
+             fail(p, "must be a " + (whole ? "whole number" : "number") +
+                  (max === Infinity ? " of at least " + min : " from " + min + " to " + max));
+          }
+          return value;
+       },
+       list = function(value, p)
+       {
+          if (!isArray(value))
+          {
+             fail(p, "must be a list");
+          }
+          return value;
+       };
+   
+   object(def, path, ["name", "asteroids", "speed", "health", "saucers", "powerUps", "hazards", "par", "boss"]);
+   var result = {
+      name: "Wave " + wave,
+      asteroids: [],
+      speed: number(def.speed, path + ".speed", 0.01, 100, false, 1),
+      health: number(def.health, path + ".health", 0.25, 100, false, 1),
+      saucers: null,
+      powerUps: {asteroid: 26, saucer: 2},
+      hazards: [],
+      par: null,
+      boss: null
+   };
+   
+   if (def.name !== undefined)
+   {
+      if (typeof def.name !== "string" || def.name.length === 0)
+      {
+         fail(path + ".name", "must be a string");
+      }
+      result.name = def.name;
+   }
+   
+   // there must be something to destroy or the wave is over as soon as it begins
+   var groups = list(def.asteroids, path + ".asteroids"), total = 0;
+   for (var i=0; i<groups.length; i++)
+   {
+      var p = path + ".asteroids[" + i + "]", group = object(groups[i], p, ["count", "size", "type"]);
+      result.asteroids.push({
+         count: number(group.count, p + ".count", 0, 100, true, undefined),
+         size: number(group.size, p + ".size", 1, 4, true, 4),
+         type: (group.type === null ? null : number(group.type, p + ".type", 1, 4, true, null))
+      });
+      if (result.asteroids[i].count === undefined)
+      {
+         fail(p + ".count", "is required");
+      }
+      total += result.asteroids[i].count;
+   }
+   if (total === 0)
+   {
+      fail(path + ".asteroids", "must have at least one asteroid");
+   }
+   
+   if (def.saucers !== undefined && def.saucers !== null)
+   {
+      var p = path + ".saucers", saucers = object(def.saucers, p, ["max", "delay", "sizes", "speed", "cluster"]);
+      result.saucers = {
+         max: number(saucers.max, p + ".max", 1, 10, true, 1),
+         delay: number(saucers.delay, p + ".delay", 0, Infinity, false, 20000),
+         sizes: [0],
+         speed: number(saucers.speed, p + ".speed", 0.1, 10, false, 1),
+         cluster: number(saucers.cluster, p + ".cluster", 0, 1, false, 0)
+      };
+      if (saucers.sizes !== undefined)
+      {
+         var sizes = list(saucers.sizes, p + ".sizes");
+         if (sizes.length === 0)
+         {
+            fail(p + ".sizes", "must have at least one size");
+         }
+         for (var i=0; i<sizes.length; i++)
+         {
+            number(sizes[i], p + ".sizes[" + i + "]", 0, 1, true);
+         }
+         result.saucers.sizes = sizes.slice(0);
+      }
+   }
+   
+   if (def.powerUps !== undefined)
+   {
+      var p = path + ".powerUps", powerUps = object(def.powerUps, p, ["asteroid", "saucer"]);
+      result.powerUps.asteroid = number(powerUps.asteroid, p + ".asteroid", 1, Infinity, true, 26);
+      result.powerUps.saucer = number(powerUps.saucer, p + ".saucer", 1, Infinity, true, 2);
+   }
+   
+   if (def.hazards !== undefined)
+   {
+      var hazards = list(def.hazards, path + ".hazards");
+      for (var i=0; i<hazards.length; i++)
+      {
+         var p = path + ".hazards[" + i + "]", hazard = hazards[i];
+         if (!hazard || !Asteroids.Waves.HAZARDS.hasOwnProperty(hazard.type))
+         {
+            fail(p + ".type", "must be one of " + Object.keys(Asteroids.Waves.HAZARDS).join(", "));
+         }
+         var defaults = Asteroids.Waves.HAZARDS[hazard.type];
+         object(hazard, p, ["type", "at"].concat(Object.keys(defaults)));
+         result.hazards.push({
+            type: hazard.type,
+            at: number(hazard.at, p + ".at", 0, Infinity, false, 0),
+            count: number(hazard.count, p + ".count", 1, 100, true, defaults.count),
+            size: number(hazard.size, p + ".size", 1, 4, true, defaults.size),
+            speed: number(hazard.speed, p + ".speed", 0.01, 100, false, defaults.speed)
+         });
+      }
+      // hazards arrive in time order
+      result.hazards.sort(function(a, b) { return a.at - b.at; });
+   }
+   
+   if (def.par !== undefined && def.par !== null)
+   {
+      result.par = number(def.par, path + ".par", 1, Infinity, false);
+   }
+   
+   var boss = Asteroids.Waves.boss(wave);
+   if (def.boss === undefined)
+   {
+      result.boss = (bossEvery && wave % bossEvery === 0 ? boss : null);
+   }
+   else if (def.boss !== null)
+   {
+      var p = path + ".boss";
+      object(def.boss, p, ["health", "at"]);
+      result.boss = {
+         health: number(def.boss.health, p + ".health", 1, 10000, false, boss.health),
+         at: number(def.boss.at, p + ".at", 0, Infinity, false, boss.at)
+      };
+   }
+   
+   return result;
+};
+
+/**
+ * Hash of the wave definitions used by the game - the same waves always give the same
+ * hash, so a replay can tell whether it is played back with the waves it was recorded with
+ * 
+ * @return {string} 32 bit FNV-1a hash of the waves and boss frequency as 8 hex digits
+ * 
+ * @method Asteroids.Waves.hash
+ * @static
+ */
+Asteroids.Waves.hash = function hash()
+{
+   var json = JSON.stringify({bossEvery: Asteroids.Waves.bossEvery, waves: Asteroids.Waves.list}),
+       h = 0x811c9dc5;
+   for (var i=0; i<json.length; i++)
+   {
+      // multiply by the FNV prime using shifts - exact in 32 bits unlike a float multiply
+      h ^= json.charCodeAt(i);
+      h += (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24);
+      h >>>= 0;
+   }
+   return ("0000000" + h.toString(16)).slice(-8);
+};
+
+/**
+ * Fetch and validate the wave definitions document - the classic waves are kept if the
+ * document cannot be fetched e.g. when the game is run from the local file system
+ * 
+ * @param url {string} Location of the document
+ * @param callback {function} Called once the waves are ready - passed an error message
+ *                 if the document is invalid, otherwise null
+ * 
+ * @method Asteroids.Waves.load
+ * @static
+ */
+Asteroids.Waves.load = function load(url, callback)
+{
+   var xhr = new XMLHttpRequest();
+   xhr.open("GET", url, true);
+   xhr.onload = function()
+   {
+      // a file fetched from the local file system has a zero status
+      if (xhr.status !== 200 && !(xhr.status === 0 && xhr.responseText))
+      {
+         // not found - the classic waves are kept
+         callback(null);
+         return;
+      }
+      try
+      {
+         var doc = Asteroids.Waves.parse(xhr.responseText);
+         Asteroids.Waves.list = doc.waves;
+         Asteroids.Waves.bossEvery = doc.bossEvery;
+         callback(null);
+      }
+      catch (e)
+      {
+         callback(url + ": " + e.message);
+      }
+   };
+   xhr.onerror = function()
+   {
+      // could not be fetched - the classic waves are kept
+      callback(null);
+   };
+   xhr.send();
+};
+
+Asteroids.Waves.list = Asteroids.Waves.classic();
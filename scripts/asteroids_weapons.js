@@ -18,6 +18,16 @@
       weaponRecharge: 0,
       player: null,
       
+      /**
+       * Sound cue played when the weapon fires
+       */
+      FIRE_SOUND: "laser",
+      
+      /**
+       * Weapon name in the player statistics - see Asteroids.Statistics.WEAPONS
+       */
+      NAME: "cannon",
+      
       fire: function()
       {
          // now test we did not fire too recently
@@ -61,7 +71,7 @@
          t.rotate(this.player.heading * RAD);
          t.add(this.player.vector);
          
-         return new Asteroids.Bullet(this.player.position.clone(), t, this.player.heading);
+         return Asteroids.Bullet.pool.acquire(this.player.position, t, this.player.heading);
       }
    });
 })();
@@ -84,13 +94,16 @@
    
    extend(Asteroids.TwinCannonsWeapon, Asteroids.Weapon,
    {
+      FIRE_SOUND: "laser_twin",
+      NAME: "twin",
+      
       doFire: function()
       {
          var t = new Vector(0.0, -4.5);
          t.rotate(this.player.heading * RAD);
          t.add(this.player.vector);
          
-         return new Asteroids.BulletX2(this.player.position.clone(), t, this.player.heading);
+         return Asteroids.BulletX2.pool.acquire(this.player.position, t, this.player.heading);
       }
    });
 })();
@@ -113,6 +126,9 @@
    
    extend(Asteroids.VSprayCannonsWeapon, Asteroids.Weapon,
    {
+      FIRE_SOUND: "laser_vspray",
+      NAME: "spray",
+      
       doFire: function()
       {
          var t, h;
@@ -121,15 +137,15 @@
          
          h = this.player.heading - 15;
          t = new Vector(0.0, -3.75).rotate(h * RAD).add(this.player.vector);
-         bullets.push(new Asteroids.Bullet(this.player.position.clone(), t, h));
+         bullets.push(Asteroids.Bullet.pool.acquire(this.player.position, t, h));
          
          h = this.player.heading;
          t = new Vector(0.0, -3.75).rotate(h * RAD).add(this.player.vector);
-         bullets.push(new Asteroids.Bullet(this.player.position.clone(), t, h));
+         bullets.push(Asteroids.Bullet.pool.acquire(this.player.position, t, h));
          
          h = this.player.heading + 15;
          t = new Vector(0.0, -3.75).rotate(h * RAD).add(this.player.vector);
-         bullets.push(new Asteroids.Bullet(this.player.position.clone(), t, h));
+         bullets.push(Asteroids.Bullet.pool.acquire(this.player.position, t, h));
          
          return bullets;
       }
@@ -154,6 +170,8 @@
    
    extend(Asteroids.SideGunWeapon, Asteroids.Weapon,
    {
+      NAME: "side",
+      
       doFire: function()
       {
          var t, h;
@@ -162,11 +180,11 @@
          
          h = this.player.heading - 90;
          t = new Vector(0.0, -4.5).rotate(h * RAD).add(this.player.vector);
-         bullets.push(new Asteroids.Bullet(this.player.position.clone(), t, h, 750));
+         bullets.push(Asteroids.Bullet.pool.acquire(this.player.position, t, h, 750));
          
          h = this.player.heading + 90;
          t = new Vector(0.0, -4.5).rotate(h * RAD).add(this.player.vector);
-         bullets.push(new Asteroids.Bullet(this.player.position.clone(), t, h, 750));
+         bullets.push(Asteroids.Bullet.pool.acquire(this.player.position, t, h, 750));
          
          return bullets;
       }
@@ -191,6 +209,8 @@
    
    extend(Asteroids.RearGunWeapon, Asteroids.Weapon,
    {
+      NAME: "rear",
+      
       doFire: function()
       {
          var t = new Vector(0.0, -4.5);
@@ -198,7 +218,7 @@
          t.rotate(h * RAD);
          t.add(this.player.vector);
          
-         return new Asteroids.Bullet(this.player.position.clone(), t, h, 750);
+         return Asteroids.Bullet.pool.acquire(this.player.position, t, h, 750);
       }
    });
 })();
@@ -214,13 +234,7 @@
 {
    Asteroids.Bullet = function(p, v, h, lifespan)
    {
-      Asteroids.Bullet.superclass.constructor.call(this, p, v);
-      this.heading = h;
-      if (lifespan)
-      {
-         this.lifespan = lifespan;
-      }
-      this.bulletStart = GameHandler.frameStart;
+      this.init(p, v, h, lifespan);
       return this;
    };
    
@@ -229,6 +243,7 @@
       BULLET_WIDTH: 2,
       BULLET_HEIGHT: 6,
       FADE_LENGTH: 200,
+      DEFAULT_LIFESPAN: 1300,
       
       /**
        * Bullet heading
@@ -238,7 +253,7 @@
       /**
        * Bullet lifespan
        */
-      lifespan: 1300,
+      lifespan: 0,
       
       /**
        * Bullet firing start time
@@ -250,6 +265,22 @@
        */
       powerLevel: 1,
       
+      /**
+       * Bullet initialisation - called on construction and when reused from the pool
+       * 
+       * @param p {Vector} Position
+       * @param v {Vector} Vector
+       * @param h {number} Heading
+       * @param lifespan {number} Optional lifespan in ms
+       */
+      init: function init(p, v, h, lifespan)
+      {
+         Asteroids.Bullet.superclass.init.call(this, p, v);
+         this.heading = h;
+         this.lifespan = (lifespan ? lifespan : this.DEFAULT_LIFESPAN);
+         this.bulletStart = GameHandler.frameStart;
+      },
+      
       /**
        * Bullet rendering method
        * 
@@ -260,14 +291,15 @@
          // hack to stop draw under player graphic
          if (GameHandler.frameStart - this.bulletStart > 40)
          {
+            var bitmaps = GameHandler.settings.get("bitmaps"), glow = GameHandler.settings.get("glow");
             ctx.save();
-            if (BITMAPS) ctx.globalCompositeOperation = "lighter";
+            if (bitmaps) ctx.globalCompositeOperation = "lighter";
             ctx.globalAlpha = this.fadeValue(1.0, this.FADE_LENGTH);
             // rotate the bullet bitmap into the correct heading
             ctx.translate(this.position.x, this.position.y);
             ctx.rotate(this.heading * RAD);
-            ctx.drawImage(GameHandler.bitmaps.images["bullet"][BITMAPS?0:1],
-               -(this.BULLET_WIDTH + GLOWSHADOWBLUR*2)*0.5, -(this.BULLET_HEIGHT + GLOWSHADOWBLUR*2)*0.5);
+            ctx.drawImage(GameHandler.bitmaps.images["bullet"][bitmaps?0:1],
+               -(this.BULLET_WIDTH + glow*2)*0.5, -(this.BULLET_HEIGHT + glow*2)*0.5);
             ctx.restore();
          }
       },
@@ -322,6 +354,8 @@
          return result;
       }
    });
+   
+   Asteroids.Bullet.pool = new Game.Pool(Asteroids.Bullet);
 })();
 
 
@@ -335,14 +369,19 @@
 {
    Asteroids.BulletX2 = function(p, v, h)
    {
-      Asteroids.BulletX2.superclass.constructor.call(this, p, v, h);
-      this.lifespan = 1750;
-      this.powerLevel = 2;
+      this.init(p, v, h);
       return this;
    };
    
    extend(Asteroids.BulletX2, Asteroids.Bullet,
    {
+      init: function init(p, v, h)
+      {
+         Asteroids.BulletX2.superclass.init.call(this, p, v, h);
+         this.lifespan = 1750;
+         this.powerLevel = 2;
+      },
+      
       /**
        * Bullet rendering method
        * 
@@ -353,14 +392,15 @@
          // hack to stop draw under player graphic
          if (GameHandler.frameStart - this.bulletStart > 40)
          {
+            var bitmaps = GameHandler.settings.get("bitmaps"), glow = GameHandler.settings.get("glow");
             ctx.save();
-            if (BITMAPS) ctx.globalCompositeOperation = "lighter";
+            if (bitmaps) ctx.globalCompositeOperation = "lighter";
             ctx.globalAlpha = this.fadeValue(1.0, this.FADE_LENGTH);
             // rotate the bullet bitmap into the correct heading
             ctx.translate(this.position.x, this.position.y);
             ctx.rotate(this.heading * RAD);
-            ctx.drawImage(GameHandler.bitmaps.images["bulletx2"][BITMAPS?0:1],
-               -(this.BULLET_WIDTH + GLOWSHADOWBLUR*4)*0.5, -(this.BULLET_HEIGHT + GLOWSHADOWBLUR*2)*0.5);
+            ctx.drawImage(GameHandler.bitmaps.images["bulletx2"][bitmaps?0:1],
+               -(this.BULLET_WIDTH + glow*4)*0.5, -(this.BULLET_HEIGHT + glow*2)*0.5);
             ctx.restore();
          }
       },
@@ -371,6 +411,8 @@
          return (this.BULLET_HEIGHT);
       }
    });
+   
+   Asteroids.BulletX2.pool = new Game.Pool(Asteroids.BulletX2);
 })();
 
 
@@ -384,8 +426,7 @@
 {
    Asteroids.Bomb = function(p, v)
    {
-      Asteroids.Bomb.superclass.constructor.call(this, p, v);
-      this.lifespan = 3000;
+      this.init(p, v);
       return this;
    };
    
@@ -395,6 +436,12 @@
       FADE_LENGTH: 200,
       EFFECT_RADIUS: 45,
       
+      init: function init(p, v)
+      {
+         Asteroids.Bomb.superclass.init.call(this, p, v);
+         this.lifespan = 3000;
+      },
+      
       /**
        * Bomb rendering method
        * 
@@ -402,16 +449,17 @@
        */
       onRender: function onRender(ctx)
       {
+         var bitmaps = GameHandler.settings.get("bitmaps"), glow = GameHandler.settings.get("glow");
          ctx.save();
-         if (BITMAPS) ctx.globalCompositeOperation = "lighter";
+         if (bitmaps) ctx.globalCompositeOperation = "lighter";
          ctx.globalAlpha = this.fadeValue(1.0, this.FADE_LENGTH);
          ctx.translate(this.position.x, this.position.y);
          ctx.rotate((GameHandler.frameStart % (360*32)) / 32);
          var scale = this.fadeValue(1.0, this.FADE_LENGTH);
          if (scale <= 0) scale = 0.01;
          ctx.scale(scale, scale);
-         ctx.drawImage(GameHandler.bitmaps.images["bomb"][BITMAPS?0:1],
-               -(this.BOMB_RADIUS*2 + GLOWSHADOWBLUR*2)*0.5, -(this.BOMB_RADIUS*2 + GLOWSHADOWBLUR*2)*0.5);
+         ctx.drawImage(GameHandler.bitmaps.images["bomb"][bitmaps?0:1],
+               -(this.BOMB_RADIUS*2 + glow*2)*0.5, -(this.BOMB_RADIUS*2 + glow*2)*0.5);
          ctx.restore();
       },
       
@@ -428,6 +476,8 @@
          return this.fadeValue(this.BOMB_RADIUS, this.FADE_LENGTH);
       }
    });
+   
+   Asteroids.Bomb.pool = new Game.Pool(Asteroids.Bomb);
 })();
 
 
@@ -441,8 +491,7 @@
 {
    Asteroids.EnemyBullet = function(p, v)
    {
-      Asteroids.EnemyBullet.superclass.constructor.call(this, p, v, 0);
-      this.lifespan = 2800;
+      this.init(p, v);
       return this;
    };
    
@@ -451,6 +500,12 @@
       BULLET_RADIUS: 4,
       FADE_LENGTH: 200,
       
+      init: function init(p, v)
+      {
+         Asteroids.EnemyBullet.superclass.init.call(this, p, v, 0);
+         this.lifespan = 2800;
+      },
+      
       /**
        * Bullet rendering method
        * 
@@ -458,16 +513,17 @@
        */
       onRender: function onRender(ctx)
       {
+         var bitmaps = GameHandler.settings.get("bitmaps"), glow = GameHandler.settings.get("glow");
          ctx.save();
          ctx.globalAlpha = this.fadeValue(1.0, this.FADE_LENGTH);
-         if (BITMAPS) ctx.globalCompositeOperation = "lighter";
+         if (bitmaps) ctx.globalCompositeOperation = "lighter";
          ctx.translate(this.position.x, this.position.y);
          ctx.rotate((GameHandler.frameStart % (360*64)) / 64);
          var scale = this.fadeValue(1.0, this.FADE_LENGTH);
          if (scale <= 0) scale = 0.01;
          ctx.scale(scale, scale);
-         ctx.drawImage(GameHandler.bitmaps.images["enemybullet"][BITMAPS?0:1],
-               -(this.BULLET_RADIUS*2 + GLOWSHADOWBLUR*2)*0.5, -(this.BULLET_RADIUS*2 + GLOWSHADOWBLUR*2)*0.5);
+         ctx.drawImage(GameHandler.bitmaps.images["enemybullet"][bitmaps?0:1],
+               -(this.BULLET_RADIUS*2 + glow*2)*0.5, -(this.BULLET_RADIUS*2 + glow*2)*0.5);
          ctx.restore();
       },
       
@@ -476,4 +532,6 @@
          return this.fadeValue(this.BULLET_RADIUS, this.FADE_LENGTH) + 1;
       }
    });
+   
+   Asteroids.EnemyBullet.pool = new Game.Pool(Asteroids.EnemyBullet);
 })();
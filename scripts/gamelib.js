@@ -10,13 +10,23 @@
  * 30/04/09 Initial version.
  * 12/05/09 Refactored to remove globals into GameHandler instance and added FPS controller game loop.
  * 19/09/11 Refactored to use requestAnimationFrame - 60fps and frame multipler calculation
+ * 19/10/26 Fixed timestep simulation ticks decoupled from interpolated rendering
+ * 19/10/26 Headless mode - simulation can run without a canvas or browser e.g. under Node
+ * 19/10/26 Spatial hash collision broadphase
+ * 19/10/26 Object pools for short lived actors
+ * 19/10/26 Input map of keys to actions and modal scenes
+ * 19/10/26 Gamepad API polling
+ * 19/10/26 Modal scene stack rendered as overlays - opaque scenes hide the scenes below
+ * 19/10/26 Settings model of player preferences
+ * 19/10/26 Scene order can be changed by overriding Game.Main.nextScene()
  */
 
-var KEY = { SHIFT:16, CTRL:17, ESC:27, RIGHT:39, UP:38, LEFT:37, DOWN:40, SPACE:32,
-            A:65, E:69, G:71, L:76, P:80, R:82, S:83, Z:90 };
-var iOS = (navigator.userAgent.indexOf("iPhone;") != -1 ||
-           navigator.userAgent.indexOf("iPod;") != -1 ||
-           navigator.userAgent.indexOf("iPad;") != -1);
+var KEY = { BACKSPACE:8, ENTER:13, SHIFT:16, CTRL:17, ESC:27, RIGHT:39, UP:38, LEFT:37, DOWN:40, SPACE:32, DELETE:46,
+            A:65, C:67, D:68, E:69, G:71, L:76, M:77, O:79, P:80, R:82, S:83, T:84, X:88, Z:90 };
+var iOS = (typeof navigator !== "undefined" &&
+           (navigator.userAgent.indexOf("iPhone;") != -1 ||
+            navigator.userAgent.indexOf("iPod;") != -1 ||
+            navigator.userAgent.indexOf("iPad;") != -1));
 
 /**
  * Game Handler.
@@ -36,6 +46,16 @@ var GameHandler =
     */
    paused: false,
    
+   /**
+    * True if running without a canvas or any browser APIs - see initHeadless()
+    */
+   headless: false,
+   
+   /**
+    * HTML5 local storage reference - or null if storage is not available
+    */
+   storage: null,
+   
    /**
     * The single canvas play field element reference
     */
@@ -57,15 +77,51 @@ var GameHandler =
    frameCount: 0,
    
    /**
-    * Frame multiplier - i.e. against the ideal fps
+    * Simulation tick counter
+    */
+   tickCount: 0,
+   
+   /**
+    * Frame multiplier - i.e. against the ideal fps. During a simulation tick this is the
+    * fixed ratio of the tick length to the ideal frame, during rendering it is the ratio
+    * of the real elapsed frame time to the ideal frame.
     */ 
    frameMultipler: 1,
    
    /**
-    * Last frame start time in ms
+    * Simulation time in ms of the current tick - advanced by TICKMS each tick, so all game
+    * timers (weapon recharge, effect lifespans etc.) are independent of the display rate
     */
    frameStart: 0,
    
+   /**
+    * Real clock time in ms at the start of the last rendered frame
+    */
+   lastFrameTime: 0,
+   
+   /**
+    * Real time in ms accumulated but not yet consumed by simulation ticks
+    */
+   accumulator: 0,
+   
+   /**
+    * Ratio 0-1 of the way between the last two simulation ticks that the current
+    * rendered frame represents - used to interpolate actor positions
+    */
+   frameAlpha: 0,
+   
+   /**
+    * Gameplay random number stream - used for every random decision that affects the
+    * simulation, so a game can be reproduced exactly from its seed
+    */
+   rng: null,
+   
+   /**
+    * Cosmetic random number stream - used by particles and other visual effects so they
+    * do not perturb the gameplay stream
+    */
+   fxrng: null,
+   
    /**
     * Debugging output
     */
@@ -76,6 +132,17 @@ var GameHandler =
     */
    FPSMS: 1000/60,
    
+   /**
+    * Fixed simulation tick length constant - 120 ticks per second
+    */
+   TICKMS: 1000/120,
+   
+   /**
+    * Maximum real time in ms consumed by a single frame - prevents a long stall (such as
+    * a background tab) causing a huge burst of catch up ticks
+    */
+   MAXFRAMEMS: 250,
+   
    /**
     * Init function called once by your window.onload handler
     */
@@ -84,6 +151,47 @@ var GameHandler =
       this.canvas = document.getElementById('canvas');
       this.width = this.canvas.height;
       this.height = this.canvas.width;
+      try
+      {
+         this.storage = window.localStorage || null;
+      }
+      catch (e)
+      {
+         // storage access can be denied by browser privacy settings
+         this.storage = null;
+      }
+      this.rng = new Game.Random();
+      this.fxrng = new Game.Random();
+   },
+   
+   /**
+    * Init function for headless use - the game logic runs without a canvas, rendering
+    * or browser APIs and is driven by calling step() on the game rather than by start()
+    * 
+    * @param width {number} Play field width
+    * @param height {number} Play field height
+    * @param storage {object} Optional object implementing the local storage getItem/setItem API
+    */
+   initHeadless: function(width, height, storage)
+   {
+      this.headless = true;
+      this.canvas = null;
+      this.width = width;
+      this.height = height;
+      this.storage = storage || null;
+      this.rng = new Game.Random();
+      this.fxrng = new Game.Random();
+   },
+   
+   /**
+    * Seed the gameplay and cosmetic random number streams
+    * 
+    * @param seed {number} 32 bit integer seed
+    */
+   seedRandom: function(seed)
+   {
+      this.rng.setSeed(seed);
+      this.fxrng.setSeed(seed ^ 0x5bd1e995);
    },
    
    /**
@@ -99,7 +207,7 @@ var GameHandler =
       {
          // first time init
          this.game = game;
-         GameHandler.frameStart = Date.now();
+         GameHandler.lastFrameTime = Date.now();
       }
       GameHandler.game.frame.call(GameHandler.game);
    },
@@ -112,7 +220,7 @@ var GameHandler =
       if (this.paused)
       {
          this.paused = false;
-         GameHandler.frameStart = Date.now();
+         GameHandler.lastFrameTime = Date.now();
          GameHandler.game.frame.call(GameHandler.game);
       }
       else
@@ -144,15 +252,22 @@ if (typeof Game == "undefined" || !Game)
 {
    Game.Main = function()
    {
+      this.scenes = [];
+      this.modalScenes = [];
+      
+      // no keyboard in headless mode
+      if (GameHandler.headless) return;
+      
       var me = this;
       
       document.onkeydown = function(event)
       {
          var keyCode = (event === null ? window.event.keyCode : event.keyCode);
          
-         if (me.sceneIndex !== -1)
+         var scene = me.inputScene();
+         if (scene !== null)
          {
-            if (me.scenes[me.sceneIndex].onKeyDownHandler(keyCode))
+            if (scene.onKeyDownHandler(keyCode))
             {
                // if the key is handled, prevent any further events
                if (event)
@@ -168,9 +283,10 @@ if (typeof Game == "undefined" || !Game)
       {
          var keyCode = (event === null ? window.event.keyCode : event.keyCode);
          
-         if (me.sceneIndex !== -1)
+         var scene = me.inputScene();
+         if (scene !== null)
          {
-            if (me.scenes[me.sceneIndex].onKeyUpHandler(keyCode))
+            if (scene.onKeyUpHandler(keyCode))
             {
                // if the key is handled, prevent any further events
                if (event)
@@ -193,12 +309,68 @@ if (typeof Game == "undefined" || !Game)
       interval: null,
       
       /**
-       * Game frame execute method - called by anim handler timeout
+       * Stack of modal scenes displayed over the current scene - see pushScene()
+       */
+      modalScenes: null,
+      
+      /**
+       * Game frame execute method - called by anim handler timeout.
+       * 
+       * Runs as many fixed length simulation ticks as required to catch up with the real
+       * elapsed time, then renders a single frame interpolated between the last two ticks.
        */
       frame: function frame()
       {
          var frameStart = Date.now();
          
+         // calculate frame total time interval - used for the fps display and the frame
+         // multiplier applied to purely cosmetic per frame animation during rendering
+         var frameInterval = frameStart - GameHandler.lastFrameTime;
+         if (frameInterval === 0) frameInterval = 1;
+         if (GameHandler.frameCount % 16 === 0) GameHandler.maxfps = ~~(1000 / frameInterval);
+         GameHandler.lastFrameTime = frameStart;
+         
+         // consume the elapsed time in fixed length simulation ticks
+         GameHandler.accumulator += (frameInterval < GameHandler.MAXFRAMEMS ? frameInterval : GameHandler.MAXFRAMEMS);
+         GameHandler.frameMultipler = GameHandler.TICKMS / GameHandler.FPSMS;
+         while (GameHandler.accumulator >= GameHandler.TICKMS)
+         {
+            this.tick();
+            GameHandler.accumulator -= GameHandler.TICKMS;
+         }
+         
+         // render the game and current scene
+         GameHandler.frameAlpha = GameHandler.accumulator / GameHandler.TICKMS;
+         GameHandler.frameMultipler = frameInterval / GameHandler.FPSMS;
+         this.render();
+         
+         // update global frame counter
+         GameHandler.frameCount++;
+         
+         // for browsers not supporting requestAnimationFrame natively, we calculate the offset
+         // between each frame to attempt to maintain a smooth fps
+         var frameOffset = ~~(GameHandler.FPSMS - (Date.now() - frameStart));
+         if (!GameHandler.paused) requestAnimFrame(GameHandler.start, frameOffset);
+      },
+      
+      /**
+       * Game simulation tick method - called at a fixed rate by the frame method.
+       * Handles scene transitions and updates the current scene or its interval.
+       */
+      tick: function tick()
+      {
+         // the current scene and the simulation clock are frozen under a modal scene
+         var modal = this.modalScene();
+         if (modal !== null)
+         {
+            modal.onBeforeRenderScene();
+            return;
+         }
+         
+         // advance the simulation clock
+         GameHandler.frameStart += GameHandler.TICKMS;
+         GameHandler.tickCount++;
+         
          // calculate scene transition and current scene
          var currentScene = this.currentScene;
          if (currentScene === null)
@@ -217,52 +389,160 @@ if (typeof Game == "undefined" || !Game)
          
          if ((currentScene.interval === null || currentScene.interval.complete) && currentScene.isComplete())
          {
-            this.sceneIndex++;
-            if (this.sceneIndex < this.scenes.length)
-            {
-               currentScene = this.scenes[this.sceneIndex];
-            }
-            else
-            {
-               this.sceneIndex = 0;
-               currentScene = this.scenes[0];
-            }
+            currentScene = this.nextScene(currentScene);
             currentScene.onInitScene();
          }
          
-         // setup canvas for a render pass
-         var ctx = GameHandler.canvas.getContext('2d');
-         
-         // render the game and current scene
-         ctx.save();
+         // update the current scene or the interval displayed before it
          if (currentScene.interval === null || currentScene.interval.complete)
          {
             currentScene.onBeforeRenderScene();
-            this.onRenderGame(ctx);
-            currentScene.onRenderScene(ctx);
          }
          else
          {
-            this.onRenderGame(ctx);
-            currentScene.interval.intervalRenderer.call(currentScene, currentScene.interval, ctx);
+            currentScene.interval.update();
          }
-         ctx.restore();
          
-         // update global frame counter and current scene reference
+         // update current scene reference
          this.currentScene = currentScene;
-         GameHandler.frameCount++;
+      },
+      
+      /**
+       * Select the scene to follow a completed scene - the next scene in the list, wrapping
+       * around to the first scene after the last. Override to change the scene order.
+       * 
+       * @param scene {Game.Scene} The completed scene
+       * @return {Game.Scene} the next scene - sceneIndex is updated to match
+       */
+      nextScene: function nextScene(scene)
+      {
+         this.sceneIndex++;
+         if (this.sceneIndex >= this.scenes.length)
+         {
+            this.sceneIndex = 0;
+         }
+         return this.scenes[this.sceneIndex];
+      },
+      
+      /**
+       * Advance the simulation a number of ticks without rendering - used to drive
+       * a headless game in place of the frame method.
+       * 
+       * @param ticks {number} Number of simulation ticks to run
+       */
+      step: function step(ticks)
+      {
+         GameHandler.frameMultipler = GameHandler.TICKMS / GameHandler.FPSMS;
+         for (var i=0; i<ticks; i++)
+         {
+            this.tick();
+         }
+      },
+      
+      /**
+       * Game render method - renders the current scene or interval state.
+       */
+      render: function render()
+      {
+         var currentScene = this.currentScene;
+         if (currentScene === null)
+         {
+            // no simulation tick has run yet
+            return;
+         }
          
-         // calculate frame total time interval and frame multiplier required for smooth animation
-         var frameInterval = frameStart - GameHandler.frameStart;
-         if (frameInterval === 0) frameInterval = 1;
-         if (GameHandler.frameCount % 16 === 0) GameHandler.maxfps = ~~(1000 / frameInterval);
-         GameHandler.frameMultipler = frameInterval / GameHandler.FPSMS;
-         GameHandler.frameStart = frameStart;
+         // setup canvas for a render pass
+         var ctx = GameHandler.canvas.getContext('2d');
          
-         // for browsers not supporting requestAnimationFrame natively, we calculate the offset
-         // between each frame to attempt to maintain a smooth fps
-         var frameOffset = ~~(GameHandler.FPSMS - (Date.now() - frameStart));
-         if (!GameHandler.paused) requestAnimFrame(GameHandler.start, frameOffset);
+         ctx.save();
+         
+         // an opaque modal scene covers the whole canvas - only render from the top one
+         var modals = this.modalScenes, first = modals.length - 1;
+         while (first >= 0 && !modals[first].opaque)
+         {
+            first--;
+         }
+         if (first === -1)
+         {
+            // render the game and current scene
+            this.onRenderGame(ctx);
+            if (currentScene.interval === null || currentScene.interval.complete)
+            {
+               currentScene.onRenderScene(ctx);
+            }
+            else
+            {
+               currentScene.interval.intervalRenderer.call(currentScene, currentScene.interval, ctx);
+            }
+            first = 0;
+         }
+         
+         // modal scenes are rendered over the scenes below them
+         for (var i=first; i<modals.length; i++)
+         {
+            modals[i].onRenderScene(ctx);
+         }
+         ctx.restore();
+      },
+      
+      /**
+       * Copy the current contents of the canvas - e.g. for an opaque modal scene to render
+       * a frozen image of the game below it
+       * 
+       * @return {HTMLCanvasElement} copy of the canvas or null in headless mode
+       */
+      snapshot: function snapshot()
+      {
+         if (GameHandler.headless)
+         {
+            return null;
+         }
+         var canvas = document.createElement("canvas");
+         canvas.width = GameHandler.width;
+         canvas.height = GameHandler.height;
+         canvas.getContext("2d").drawImage(GameHandler.canvas, 0, 0);
+         return canvas;
+      },
+      
+      /**
+       * Display a modal scene over the current scene e.g. a menu. The modal scene receives
+       * the key input and the simulation ticks until it is removed with popScene() - the
+       * scenes below are still rendered, unless an opaque scene covers them, but do not
+       * update. Modal scenes stack e.g. a menu may display a further modal scene.
+       * 
+       * @param scene {Game.Scene} Scene to display
+       */
+      pushScene: function pushScene(scene)
+      {
+         scene.onInitScene();
+         this.modalScenes.push(scene);
+      },
+      
+      /**
+       * Remove the top modal scene
+       * 
+       * @return {Game.Scene} the removed scene
+       */
+      popScene: function popScene()
+      {
+         return this.modalScenes.pop();
+      },
+      
+      /**
+       * @return {Game.Scene} the top modal scene or null if none is displayed
+       */
+      modalScene: function modalScene()
+      {
+         return (this.modalScenes.length !== 0 ? this.modalScenes[this.modalScenes.length - 1] : null);
+      },
+      
+      /**
+       * @return {Game.Scene} the scene that receives key input - or null for none
+       */
+      inputScene: function inputScene()
+      {
+         var modal = this.modalScene();
+         return (modal !== null ? modal : this.currentScene);
       },
       
       onRenderGame: function onRenderGame(ctx)
@@ -297,6 +577,12 @@ if (typeof Game == "undefined" || !Game)
       
       interval: null,
       
+      /**
+       * True if the scene renders the whole canvas when displayed as a modal scene - the
+       * game and the scenes below it are not rendered
+       */
+      opaque: false,
+      
       /**
        * Return true if this scene should update the actor list.
        */
@@ -314,6 +600,9 @@ if (typeof Game == "undefined" || !Game)
          }
       },
       
+      /**
+       * Scene update event handler - called once per fixed simulation tick.
+       */
       onBeforeRenderScene: function onBeforeRenderScene()
       {
       },
@@ -342,12 +631,20 @@ if (typeof Game == "undefined" || !Game)
 })();
 
 
+/**
+ * Interval class - a transition displayed before a scene begins, such as the "Wave N" text.
+ * The interval completes once it has been displayed for the given length.
+ * 
+ * @namespace Game
+ * @class Game.Interval
+ */
 (function()
 {
-   Game.Interval = function(label, intervalRenderer)
+   Game.Interval = function(label, intervalRenderer, length)
    {
       this.label = label;
       this.intervalRenderer = intervalRenderer;
+      this.length = length;
       this.framecounter = 0;
       this.complete = false;
    };
@@ -356,6 +653,11 @@ if (typeof Game == "undefined" || !Game)
    {
       label: null,
       intervalRenderer: null,
+      
+      /**
+       * Interval length in frames at the ideal fps
+       */
+      length: 0,
       framecounter: 0,
       complete: false,
       
@@ -363,6 +665,18 @@ if (typeof Game == "undefined" || !Game)
       {
          this.framecounter = 0;
          this.complete = false;
+      },
+      
+      /**
+       * Advance the interval by a simulation tick - marking it complete once it has run its length
+       */
+      update: function update()
+      {
+         this.framecounter += GameHandler.frameMultipler;
+         if (this.framecounter >= this.length)
+         {
+            this.complete = true;
+         }
       }
    };
 })();
@@ -407,9 +721,71 @@ if (typeof Game == "undefined" || !Game)
        */
       vector: null,
       
+      /**
+       * Actor position before the last simulation tick - used to interpolate rendering
+       *
+       * @property prevPosition
+       * @type Vector
+       */
+      prevPosition: null,
+      
+      /**
+       * The pool the actor was acquired from - null if the actor is not pooled
+       * 
+       * @property pool
+       * @type Game.Pool
+       */
+      pool: null,
+      
+      /**
+       * Actor initialisation method for pooled actors - called on construction and each
+       * time the actor is acquired from its pool. The position and vector are copied into
+       * the actor's own vectors so they are never shared with the caller.
+       * 
+       * @method init
+       * @param p {Vector} Position
+       * @param v {Vector} Vector
+       */
+      init: function init(p, v)
+      {
+         if (this.position === null)
+         {
+            this.position = new Vector(p.x, p.y);
+            this.vector = new Vector(v.x, v.y);
+         }
+         else
+         {
+            this.position.x = p.x;
+            this.position.y = p.y;
+            this.vector.x = v.x;
+            this.vector.y = v.y;
+         }
+         
+         // do not interpolate from the position of the previous use
+         if (this.prevPosition !== null)
+         {
+            this.prevPosition.x = p.x;
+            this.prevPosition.y = p.y;
+         }
+      },
+      
+      /**
+       * Return the actor to its pool once it has been removed from play. The actor must
+       * not be referenced after it has been released.
+       * 
+       * @method release
+       */
+      release: function release()
+      {
+         if (this.pool !== null)
+         {
+            this.pool.release(this);
+         }
+      },
+      
       /**
        * Actor game loop update event method. Called for each actor
-       * at the start of each game loop cycle.
+       * once per fixed simulation tick.
        * 
        * @method onUpdate
        */
@@ -592,9 +968,7 @@ if (typeof Game == "undefined" || !Game)
 {
    Game.EffectActor = function(p, v, lifespan)
    {
-      Game.EffectActor.superclass.constructor.call(this, p, v);
-      this.lifespan = lifespan;
-      this.effectStart = GameHandler.frameStart;
+      this.init(p, v, lifespan);
       return this;
    };
    
@@ -610,6 +984,16 @@ if (typeof Game == "undefined" || !Game)
        */
       effectStart: 0,
       
+      /**
+       * Effect initialisation - called on construction and when reused from a pool
+       */
+      init: function init(p, v, lifespan)
+      {
+         Game.EffectActor.superclass.init.call(this, p, v);
+         this.lifespan = lifespan;
+         this.effectStart = GameHandler.frameStart;
+      },
+      
       /**
        * Actor expiration test
        * 
@@ -716,36 +1100,903 @@ if (typeof Game == "undefined" || !Game)
 
 
 /**
- * Render text into the canvas context.
- * Compatible with FF3.5, SF4, GC4, OP10, IE9
+ * Seedable pseudo random number generator class.
  * 
- * @method Game.drawText
- * @static
+ * Generates a repeatable sequence of numbers for a given seed (mulberry32 algorithm) with
+ * the same distribution as the Rnd() and randomInt() helpers from the maths library.
+ * 
+ * @namespace Game
+ * @class Game.Random
  */
-Game.drawText = function(g, txt, font, x, y, col)
-{
-   g.save();
-   if (col) g.strokeStyle = col;
-   g.font = font;
-   g.strokeText(txt, x, y);
-   g.restore();
-};
-
-Game.centerDrawText = function(g, txt, font, y, col)
-{
-   g.save();
-   if (col) g.strokeStyle = col;
-   g.font = font;
-   g.strokeText(txt, (GameHandler.width - g.measureText(txt).width) / 2, y);
-   g.restore();
-};
-
-Game.fillText = function(g, txt, font, x, y, col)
+(function()
 {
-   g.save();
-   if (col) g.fillStyle = col;
-   g.font = font;
-   g.fillText(txt, x, y);
+   Game.Random = function(seed)
+   {
+      this.setSeed(seed !== undefined ? seed : Date.now());
+      return this;
+   };
+   
+   Game.Random.prototype =
+   {
+      /**
+       * The seed the current sequence started from
+       */
+      seed: 0,
+      
+      /**
+       * Generator internal state
+       */
+      state: 0,
+      
+      /**
+       * Restart the sequence from the given seed
+       * 
+       * @param seed {number} 32 bit integer seed
+       */
+      setSeed: function setSeed(seed)
+      {
+         this.seed = seed >>> 0;
+         this.state = this.seed;
+      },
+      
+      /**
+       * Return the next number in the sequence
+       * 
+       * @return number in the range 0 (inclusive) to 1 (exclusive)
+       */
+      rnd: function rnd()
+      {
+         var t = (this.state = (this.state + 0x6D2B79F5) | 0);
+         t = Math.imul(t ^ (t >>> 15), t | 1);
+         t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+         return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      },
+      
+      /**
+       * Return a random integer in the range low to high inclusive
+       */
+      randomInt: function randomInt(low, high)
+      {
+         return ~~(this.rnd() * (high - low + 1) + low);
+      }
+   };
+})();
+
+
+/**
+ * Uniform grid spatial hash class - a collision detection broadphase.
+ * 
+ * Items are inserted into every grid cell their bounding circle overlaps. A query returns
+ * the items that share a cell with the query circle - the caller then performs the exact
+ * intersection test on just those candidates. The grid wraps around at the edges of the
+ * play field in the same way as the actors do, so items moving off one edge are found by
+ * queries at the opposite edge.
+ * 
+ * Query results are always returned in the order the items were inserted, so a broadphase
+ * loop visits candidates in the same order as a loop over the original list would.
+ * 
+ * The hash is intended to be cleared and rebuilt each simulation tick.
+ * 
+ * @namespace Game
+ * @class Game.SpatialHash
+ */
+(function()
+{
+   Game.SpatialHash = function(width, height, cellSize)
+   {
+      this.cellSize = cellSize;
+      this.cols = Ceil(width / cellSize);
+      this.rows = Ceil(height / cellSize);
+      this.cells = [];
+      for (var i=0, j=this.cols*this.rows; i<j; i++)
+      {
+         this.cells.push([]);
+      }
+      this.items = [];
+      this.marks = [];
+      return this;
+   };
+   
+   Game.SpatialHash.prototype =
+   {
+      /**
+       * Size of each square grid cell
+       */
+      cellSize: 0,
+      
+      /**
+       * Grid dimensions in cells
+       */
+      cols: 0,
+      rows: 0,
+      
+      /**
+       * Grid cells - each a list of the ids of the items overlapping it
+       */
+      cells: null,
+      
+      /**
+       * Inserted items - the item id is the index into this list
+       */
+      items: null,
+      
+      /**
+       * Query stamp per item id - used to skip items already found by the current query
+       */
+      marks: null,
+      stamp: 0,
+      
+      /**
+       * Remove all items from the hash
+       */
+      clear: function clear()
+      {
+         for (var i=0, j=this.cells.length; i<j; i++)
+         {
+            this.cells[i].length = 0;
+         }
+         this.items.length = 0;
+         this.marks.length = 0;
+      },
+      
+      /**
+       * @return the number of items in the hash
+       */
+      count: function count()
+      {
+         return this.items.length;
+      },
+      
+      /**
+       * Insert an item into each cell overlapped by the given bounding circle
+       * 
+       * @param item {object} Item to insert e.g. an actor
+       * @param x {number} Bounding circle centre
+       * @param y {number} Bounding circle centre
+       * @param radius {number} Bounding circle radius
+       */
+      insert: function insert(item, x, y, radius)
+      {
+         var id = this.items.length;
+         this.items.push(item);
+         this.marks.push(0);
+         
+         var cells = this.cells;
+         this.forEachCell(x, y, radius, function(cell) {
+            cells[cell].push(id);
+         });
+      },
+      
+      /**
+       * Find the items that may intersect the given circle
+       * 
+       * @param x {number} Query circle centre
+       * @param y {number} Query circle centre
+       * @param radius {number} Query circle radius
+       * @param result {Array} Optional list to fill - else a new list is returned
+       * @return {Array} candidate items in insertion order
+       */
+      query: function query(x, y, radius, result)
+      {
+         var stamp = ++this.stamp, marks = this.marks, cells = this.cells, ids = [];
+         this.forEachCell(x, y, radius, function(cell) {
+            for (var i=0, list=cells[cell], j=list.length, id; i<j; i++)
+            {
+               id = list[i];
+               if (marks[id] !== stamp)
+               {
+                  marks[id] = stamp;
+                  ids.push(id);
+               }
+            }
+         });
+         ids.sort(function(a, b) { return a - b; });
+         
+         if (result) result.length = 0;
+         else result = [];
+         for (var i=0, j=ids.length; i<j; i++)
+         {
+            result.push(this.items[ids[i]]);
+         }
+         return result;
+      },
+      
+      /**
+       * Call a function with the index of each cell overlapped by the given circle's bounding
+       * box - cell coordinates outside the grid wrap around to the opposite edge
+       */
+      forEachCell: function forEachCell(x, y, radius, fn)
+      {
+         var cols = this.cols, rows = this.rows,
+             cx = Floor((x - radius) / this.cellSize),
+             cy = Floor((y - radius) / this.cellSize),
+             nx = Floor((x + radius) / this.cellSize) - cx + 1,
+             ny = Floor((y + radius) / this.cellSize) - cy + 1;
+         
+         // a circle larger than the grid covers every cell just once
+         if (nx > cols) nx = cols;
+         if (ny > rows) ny = rows;
+         
+         cx = ((cx % cols) + cols) % cols;
+         cy = ((cy % rows) + rows) % rows;
+         for (var j=0; j<ny; j++)
+         {
+            for (var i=0, row=((cy + j) % rows) * cols; i<nx; i++)
+            {
+               fn(row + ((cx + i) % cols));
+            }
+         }
+      }
+   };
+})();
+
+
+/**
+ * Object pool class.
+ * 
+ * Keeps the instances of a class that are no longer in use so they can be reused rather
+ * than allocating new objects - which avoids garbage collection stalls when many short
+ * lived objects such as bullets and particles are created every frame.
+ * 
+ * The pooled class must implement an init() method that fully resets the object state
+ * from the arguments supplied to acquire(). Objects are returned with release().
+ * 
+ * @namespace Game
+ * @class Game.Pool
+ */
+(function()
+{
+   Game.Pool = function(ctor)
+   {
+      this.ctor = ctor;
+      this.free = [];
+      return this;
+   };
+   
+   // used to create an instance of the pooled class without calling its constructor
+   var Blank = function()
+   {
+   };
+   
+   Game.Pool.prototype =
+   {
+      /**
+       * The pooled class constructor
+       */
+      ctor: null,
+      
+      /**
+       * Instances available for reuse
+       */
+      free: null,
+      
+      /**
+       * Acquire an instance from the pool - a new instance is created if none are free.
+       * The arguments are passed to the instance init() method.
+       * 
+       * @return initialised instance of the pooled class
+       */
+      acquire: function acquire()
+      {
+         var obj;
+         if (this.free.length !== 0)
+         {
+            obj = this.free.pop();
+         }
+         else
+         {
+            Blank.prototype = this.ctor.prototype;
+            obj = new Blank();
+            obj.pool = this;
+         }
+         obj.init.apply(obj, arguments);
+         return obj;
+      },
+      
+      /**
+       * Return an instance to the pool
+       * 
+       * @param obj {object} Instance previously acquired from this pool
+       */
+      release: function release(obj)
+      {
+         this.free.push(obj);
+      }
+   };
+})();
+
+
+/**
+ * Input map class.
+ * 
+ * Translates key codes to named game actions so the controls can be rebound by the player.
+ * Each action may be bound to any number of keys - a key is bound to one action at most.
+ * The bindings serialise to JSON to be persisted e.g. in local storage.
+ * 
+ * @namespace Game
+ * @class Game.InputMap
+ */
+(function()
+{
+   Game.InputMap = function(defaults)
+   {
+      this.defaults = defaults;
+      this.reset();
+      return this;
+   };
+   
+   /**
+    * Display names of the non printable keys by key code
+    */
+   Game.InputMap.KEY_NAMES =
+   {
+      8: "BACKSPACE", 9: "TAB", 13: "ENTER", 16: "SHIFT", 17: "CTRL", 18: "ALT", 20: "CAPS LOCK",
+      27: "ESC", 32: "SPACE", 33: "PAGE UP", 34: "PAGE DOWN", 35: "END", 36: "HOME",
+      37: "LEFT", 38: "UP", 39: "RIGHT", 40: "DOWN", 45: "INSERT", 46: "DELETE",
+      186: ";", 187: "=", 188: ",", 189: "-", 190: ".", 191: "/", 192: "`",
+      219: "[", 220: "\\", 221: "]", 222: "'"
+   };
+   
+   /**
+    * Return the display name of a key
+    * 
+    * @param keyCode {number} Key code
+    * @return {string} key name
+    */
+   Game.InputMap.keyName = function keyName(keyCode)
+   {
+      if (Game.InputMap.KEY_NAMES.hasOwnProperty(keyCode))
+      {
+         return Game.InputMap.KEY_NAMES[keyCode];
+      }
+      if ((keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90))
+      {
+         return String.fromCharCode(keyCode);
+      }
+      if (keyCode >= 96 && keyCode <= 105)
+      {
+         return "NUM " + (keyCode - 96);
+      }
+      if (keyCode >= 112 && keyCode <= 123)
+      {
+         return "F" + (keyCode - 111);
+      }
+      return "KEY " + keyCode;
+   };
+   
+   Game.InputMap.prototype =
+   {
+      /**
+       * Default key codes of each action by action name
+       */
+      defaults: null,
+      
+      /**
+       * Current key codes of each action by action name
+       */
+      bindings: null,
+      
+      /**
+       * Restore the default bindings
+       */
+      reset: function reset()
+      {
+         this.bindings = {};
+         for (var action in this.defaults)
+         {
+            if (this.defaults.hasOwnProperty(action))
+            {
+               this.bindings[action] = this.defaults[action].slice(0);
+            }
+         }
+      },
+      
+      /**
+       * @param keyCode {number} Key code
+       * @return {string} the action bound to the key or null if the key is not bound
+       */
+      actionFor: function actionFor(keyCode)
+      {
+         for (var action in this.bindings)
+         {
+            if (this.bindings.hasOwnProperty(action) && this.bindings[action].indexOf(keyCode) !== -1)
+            {
+               return action;
+            }
+         }
+         return null;
+      },
+      
+      /**
+       * @param action {string} Action name
+       * @return {Array} the key codes bound to the action
+       */
+      keysFor: function keysFor(action)
+      {
+         return this.bindings[action];
+      },
+      
+      /**
+       * Bind a key to an action - the key is removed from any other action it was bound to.
+       * Use actionFor() first to detect a conflicting binding.
+       * 
+       * @param action {string} Action name
+       * @param keyCode {number} Key code
+       */
+      bind: function bind(action, keyCode)
+      {
+         var other = this.actionFor(keyCode);
+         if (other !== null)
+         {
+            this.unbind(other, keyCode);
+         }
+         this.bindings[action].push(keyCode);
+      },
+      
+      /**
+       * Remove a key binding from an action
+       * 
+       * @param action {string} Action name
+       * @param keyCode {number} Key code
+       */
+      unbind: function unbind(action, keyCode)
+      {
+         var keys = this.bindings[action], index = keys.indexOf(keyCode);
+         if (index !== -1)
+         {
+            keys.splice(index, 1);
+         }
+      },
+      
+      /**
+       * Load bindings serialised by serialise(). Actions that are missing or invalid in the
+       * document keep their current bindings and unknown actions are ignored.
+       * 
+       * @param json {string} Serialised bindings
+       * @return true if the document was valid JSON
+       */
+      load: function load(json)
+      {
+         var doc;
+         try
+         {
+            doc = JSON.parse(json);
+         }
+         catch (e)
+         {
+            return false;
+         }
+         for (var action in this.bindings)
+         {
+            if (this.bindings.hasOwnProperty(action) && doc && isArray(doc[action]))
+            {
+               var keys = [];
+               for (var i=0; i<doc[action].length; i++)
+               {
+                  var keyCode = doc[action][i];
+                  if (typeof keyCode === "number" && keys.indexOf(keyCode) === -1)
+                  {
+                     keys.push(keyCode);
+                  }
+               }
+               if (keys.length !== 0)
+               {
+                  this.bindings[action] = keys;
+               }
+            }
+         }
+         return true;
+      },
+      
+      /**
+       * @return {string} the bindings serialised to JSON
+       */
+      serialise: function serialise()
+      {
+         return JSON.stringify(this.bindings);
+      }
+   };
+})();
+
+
+/**
+ * Settings class.
+ * 
+ * Named player preferences with default values. A setting may be limited to a list of
+ * choices - otherwise any value of the same type as the default is accepted. Listeners
+ * are called as each setting changes so the game can apply it immediately. The settings
+ * serialise to JSON to be persisted e.g. in local storage - except any transient settings
+ * that only apply to the current page.
+ * 
+ * @namespace Game
+ * @class Game.Settings
+ */
+(function()
+{
+   Game.Settings = function(defaults, choices, transient)
+   {
+      this.defaults = defaults;
+      this.choices = choices || {};
+      this.transient = transient || [];
+      this.values = {};
+      this.listeners = [];
+      for (var name in defaults)
+      {
+         if (defaults.hasOwnProperty(name))
+         {
+            this.values[name] = defaults[name];
+         }
+      }
+      return this;
+   };
+   
+   Game.Settings.prototype =
+   {
+      /**
+       * Default value of each setting by name
+       */
+      defaults: null,
+      
+      /**
+       * Allowed values of the settings limited to a list of choices - by setting name
+       */
+      choices: null,
+      
+      /**
+       * Names of the settings that are not serialised
+       */
+      transient: null,
+      
+      /**
+       * Current value of each setting by name
+       */
+      values: null,
+      
+      /**
+       * Change listener functions - see addListener()
+       */
+      listeners: null,
+      
+      /**
+       * @param name {string} Setting name
+       * @return the current value of the setting
+       */
+      get: function get(name)
+      {
+         return this.values[name];
+      },
+      
+      /**
+       * Change a setting and notify the listeners - nothing happens if the value is the same
+       * 
+       * @param name {string} Setting name
+       * @param value {object} New value
+       */
+      set: function set(name, value)
+      {
+         if (this.values[name] !== value)
+         {
+            this.values[name] = value;
+            for (var i=0; i<this.listeners.length; i++)
+            {
+               this.listeners[i].call(this, name, value);
+            }
+         }
+      },
+      
+      /**
+       * @return true if the value is allowed for the setting
+       */
+      valid: function valid(name, value)
+      {
+         if (this.choices.hasOwnProperty(name))
+         {
+            return (this.choices[name].indexOf(value) !== -1);
+         }
+         return (typeof value === typeof this.defaults[name]);
+      },
+      
+      /**
+       * Change a setting limited to a list of choices to the next or previous choice
+       * 
+       * @param name {string} Setting name
+       * @param dir {number} 1 for the next choice or -1 for the previous
+       */
+      cycle: function cycle(name, dir)
+      {
+         var choices = this.choices[name],
+             index = choices.indexOf(this.values[name]);
+         this.set(name, choices[(index + choices.length + dir) % choices.length]);
+      },
+      
+      /**
+       * Restore the default value of every setting except the transient settings
+       */
+      reset: function reset()
+      {
+         for (var name in this.defaults)
+         {
+            if (this.defaults.hasOwnProperty(name) && this.transient.indexOf(name) === -1)
+            {
+               this.set(name, this.defaults[name]);
+            }
+         }
+      },
+      
+      /**
+       * Add a function to be called when a setting changes
+       * 
+       * @param fn {function} Called with the setting name and the new value
+       */
+      addListener: function addListener(fn)
+      {
+         this.listeners.push(fn);
+      },
+      
+      /**
+       * Load settings serialised by serialise(). Settings that are missing or invalid in
+       * the document keep their current values and unknown settings are ignored.
+       * 
+       * @param json {string} Serialised settings
+       * @return true if the document was valid JSON
+       */
+      load: function load(json)
+      {
+         var doc;
+         try
+         {
+            doc = JSON.parse(json);
+         }
+         catch (e)
+         {
+            return false;
+         }
+         for (var name in this.defaults)
+         {
+            if (this.defaults.hasOwnProperty(name) && this.transient.indexOf(name) === -1 &&
+                doc && doc.hasOwnProperty(name) && this.valid(name, doc[name]))
+            {
+               this.set(name, doc[name]);
+            }
+         }
+         return true;
+      },
+      
+      /**
+       * @return {string} the settings serialised to JSON
+       */
+      serialise: function serialise()
+      {
+         var doc = {};
+         for (var name in this.values)
+         {
+            if (this.values.hasOwnProperty(name) && this.transient.indexOf(name) === -1)
+            {
+               doc[name] = this.values[name];
+            }
+         }
+         return JSON.stringify(doc);
+      }
+   };
+})();
+
+
+/**
+ * Gamepad class.
+ * 
+ * Polls the state of a gamepad through the Gamepad API - button and axis indexes are those
+ * of the standard gamepad layout. The first gamepad connected is used and a gamepad may be
+ * connected or disconnected at any time. Call poll() once per update then read the button
+ * and axis state - pressed() and released() report the changes since the previous poll.
+ * 
+ * The gamepads are read from navigator.getGamepads() on each poll - so a mock can be
+ * supplied there for testing.
+ * 
+ * @namespace Game
+ * @class Game.Gamepad
+ */
+(function()
+{
+   Game.Gamepad = function()
+   {
+      this.buttons = [];
+      this.previous = [];
+      this.axes = [];
+      
+      // remember the gamepad the player used first - browsers may only list a gamepad
+      // once a button has been pressed on it
+      var me = this;
+      window.addEventListener("gamepadconnected", function(e)
+         {
+            if (me.index === null)
+            {
+               me.index = e.gamepad.index;
+            }
+         }, false);
+      window.addEventListener("gamepaddisconnected", function(e)
+         {
+            if (me.index === e.gamepad.index)
+            {
+               me.index = null;
+            }
+         }, false);
+      
+      return this;
+   };
+   
+   /**
+    * Standard gamepad layout button indexes
+    */
+   Game.Gamepad.BUTTONS =
+   {
+      A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, BACK: 8, START: 9,
+      LS: 10, RS: 11, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+   };
+   
+   /**
+    * Standard gamepad layout axis indexes
+    */
+   Game.Gamepad.AXES = {LX: 0, LY: 1, RX: 2, RY: 3};
+   
+   /**
+    * Axis values inside the dead zone are treated as zero - stick centres are not exact
+    */
+   Game.Gamepad.DEADZONE = 0.2;
+   
+   /**
+    * Button value above which the button is down - for analog triggers
+    */
+   Game.Gamepad.THRESHOLD = 0.5;
+   
+   Game.Gamepad.prototype =
+   {
+      /**
+       * Index of the gamepad in use - or null to use the first gamepad found
+       */
+      index: null,
+      
+      /**
+       * True if a gamepad was found by the last poll
+       */
+      connected: false,
+      
+      /**
+       * Button values 0.0-1.0 from the last poll and the poll before
+       */
+      buttons: null,
+      previous: null,
+      
+      /**
+       * Axis values -1.0 to 1.0 from the last poll - dead zone applied
+       */
+      axes: null,
+      
+      /**
+       * Read the current state of the gamepad
+       * 
+       * @return true if a gamepad is connected
+       */
+      poll: function poll()
+      {
+         var pads = (navigator.getGamepads ? navigator.getGamepads() : []),
+             pad = null, i;
+         if (this.index !== null && pads[this.index])
+         {
+            pad = pads[this.index];
+         }
+         else
+         {
+            for (i=0; i<pads.length && pad === null; i++)
+            {
+               if (pads[i] && pads[i].connected !== false)
+               {
+                  pad = pads[i];
+                  this.index = pad.index;
+               }
+            }
+         }
+         
+         var last = this.previous;
+         this.previous = this.buttons;
+         this.buttons = last;
+         this.buttons.length = 0;
+         this.axes.length = 0;
+         this.connected = (pad !== null);
+         if (pad !== null)
+         {
+            for (i=0; i<pad.buttons.length; i++)
+            {
+               var button = pad.buttons[i];
+               this.buttons.push(typeof button === "number" ? button : button.value);
+            }
+            for (i=0; i<pad.axes.length; i++)
+            {
+               var value = pad.axes[i], size = Math.abs(value);
+               
+               // rescale the axis outside of the dead zone so small movements are possible
+               size = (size < Game.Gamepad.DEADZONE ? 0 : (size - Game.Gamepad.DEADZONE) / (1 - Game.Gamepad.DEADZONE));
+               this.axes.push(value < 0 ? -size : size);
+            }
+         }
+         return this.connected;
+      },
+      
+      /**
+       * @return the button value 0.0-1.0
+       */
+      value: function value(button)
+      {
+         return (button < this.buttons.length ? this.buttons[button] : 0);
+      },
+      
+      /**
+       * @return true if the button is down
+       */
+      down: function down(button)
+      {
+         return (this.value(button) > Game.Gamepad.THRESHOLD);
+      },
+      
+      /**
+       * @return true if the button went down since the previous poll
+       */
+      pressed: function pressed(button)
+      {
+         return (this.down(button) &&
+                 !(button < this.previous.length && this.previous[button] > Game.Gamepad.THRESHOLD));
+      },
+      
+      /**
+       * @return true if the button was released since the previous poll
+       */
+      released: function released(button)
+      {
+         return (!this.down(button) &&
+                 button < this.previous.length && this.previous[button] > Game.Gamepad.THRESHOLD);
+      },
+      
+      /**
+       * @return the axis value -1.0 to 1.0
+       */
+      axis: function axis(index)
+      {
+         return (index < this.axes.length ? this.axes[index] : 0);
+      }
+   };
+})();
+
+
+/**
+ * Render text into the canvas context.
+ * Compatible with FF3.5, SF4, GC4, OP10, IE9
+ * 
+ * @method Game.drawText
+ * @static
+ */
+Game.drawText = function(g, txt, font, x, y, col)
+{
+   g.save();
+   if (col) g.strokeStyle = col;
+   g.font = font;
+   g.strokeText(txt, x, y);
+   g.restore();
+};
+
+Game.centerDrawText = function(g, txt, font, y, col)
+{
+   g.save();
+   if (col) g.strokeStyle = col;
+   g.font = font;
+   g.strokeText(txt, (GameHandler.width - g.measureText(txt).width) / 2, y);
+   g.restore();
+};
+
+Game.fillText = function(g, txt, font, x, y, col)
+{
+   g.save();
+   if (col) g.fillStyle = col;
+   g.font = font;
+   g.fillText(txt, x, y);
    g.restore();
 };
 
@@ -761,6 +2012,22 @@ Game.centerFillText = function(g, txt, font, y, col)
 
 Game.Util = {};
 
+/**
+ * Remove an item from a list by moving the last item into its place. Faster than splice
+ * and creates no garbage but does not preserve the order of the list.
+ * 
+ * @method Game.Util.swapRemove
+ * @static
+ */
+Game.Util.swapRemove = function swapRemove(list, index)
+{
+   var last = list.pop();
+   if (index < list.length)
+   {
+      list[index] = last;
+   }
+};
+
 /**
  * This method will automatically correct for objects moving on/off
  * a cyclic canvas play area - if so it will render the appropriate stencil
@@ -905,7 +2172,7 @@ Game.Util.renderImageRotated = function renderImageRotated(ctx, image, x, y, w,
 
 
 // requestAnimFrame shim
-window.requestAnimFrame = (function()
+if (typeof window !== "undefined") window.requestAnimFrame = (function()
 {
    return  window.requestAnimationFrame       || 
            window.webkitRequestAnimationFrame || 
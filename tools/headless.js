@@ -0,0 +1,298 @@
+/**
+ * Asteroids headless simulation runner 19/10/26
+ * 
+ * (C) 2010/2011 Kevin Roast kevtoast@yahoo.com @kevinroast
+ * 
+ * Please see: license.txt
+ * 
+ * Runs the game logic under Node without a browser or canvas - the game scripts listed
+ * in index-debug.html are loaded into the global context, the engine is initialised in
+ * headless mode and whole games are stepped tick by tick with no rendering. The player
+ * input comes from a simple deterministic autopilot or from a recorded replay file.
+ * 
+ * One JSON line is written per game with the final score, lives, wave and entity counts
+ * - for balance testing and regression checks on a machine with no browser.
+ * 
+ * Usage:
+ *    node tools/headless.js [options]
+ * 
+ *    --games N       Number of games to simulate (default 1)
+ *    --seed S        Gameplay seed of the first game - each game uses the next seed (default 1)
+ *    --ticks N       Maximum ticks to run per game (default 120 ticks/sec * 60 * 30)
+ *    --replay FILE   Play back a replay file instead - exits with an error if the replay
+ *                    was recorded with other wave definitions or the score does not match
+ *                    the score recorded in the replay
+ *    --difficulty D  Difficulty of the simulated games - easy, normal or hard (default normal)
+ *    --mode M        Game mode of the simulated games - classic or endless (default classic)
+ *    --mathlib FILE  Path to mathlib.js (default as referenced by index-debug.html)
+ *    --waves FILE    Wave definitions document (default data/waves.json)
+ */
+
+var fs = require("fs"),
+    path = require("path"),
+    vm = require("vm");
+
+var ROOT = path.resolve(__dirname, "..");
+
+
+/**
+ * Load the game scripts into the global context in index-debug.html order. The sound
+ * manager is skipped as there is no audio under Node. The wave definitions are then read
+ * from the file system - an invalid document throws.
+ * 
+ * @param mathlib {string} Optional path to the mathlib.js script
+ * @param waves {string} Optional path to the wave definitions document
+ */
+function load(mathlib, waves)
+{
+   var html = fs.readFileSync(path.join(ROOT, "index-debug.html"), "utf8");
+   var re = /<script src="([^"]+)"><\/script>/g, match, file;
+   while ((match = re.exec(html)) !== null)
+   {
+      file = match[1];
+      if (file.indexOf("soundmanager") !== -1) continue;
+      if (mathlib && path.basename(file) === "mathlib.js")
+      {
+         file = path.resolve(mathlib);
+      }
+      else
+      {
+         file = path.resolve(ROOT, file);
+      }
+      vm.runInThisContext(fs.readFileSync(file, "utf8"), {filename: file});
+   }
+   
+   file = (waves ? path.resolve(waves) : path.join(ROOT, Asteroids.Waves.URL));
+   try
+   {
+      var doc = Asteroids.Waves.parse(fs.readFileSync(file, "utf8"));
+      Asteroids.Waves.list = doc.waves;
+      Asteroids.Waves.bossEvery = doc.bossEvery;
+   }
+   catch (e)
+   {
+      throw new Error(file + ": " + e.message);
+   }
+}
+
+
+/**
+ * Simple in memory implementation of the local storage API
+ */
+function MemoryStorage()
+{
+   this.items = {};
+}
+MemoryStorage.prototype.getItem = function(key)
+{
+   return (this.items.hasOwnProperty(key) ? this.items[key] : null);
+};
+MemoryStorage.prototype.setItem = function(key, value)
+{
+   this.items[key] = String(value);
+};
+
+
+/**
+ * Deterministic autopilot - turns toward the nearest enemy and fires, shields when an
+ * enemy gets close and fires a bomb when crowded. Only reads the game state so the same
+ * seed always plays out the same game.
+ * 
+ * @param scene {Asteroids.GameScene} Current game scene
+ * @param input {object} Game input state to update
+ */
+function autopilot(scene, input)
+{
+   var player = scene.player,
+       w = GameHandler.width, h = GameHandler.height,
+       nearest = null, nearestDist = 0, dx, dy, dist, close = 0;
+   for (var i=0; i<scene.enemies.length; i++)
+   {
+      var enemy = scene.enemies[i];
+      
+      // shortest distance across the wrapped play field
+      dx = enemy.position.x - player.position.x;
+      dy = enemy.position.y - player.position.y;
+      if (dx > w * 0.5) dx -= w; else if (dx < -w * 0.5) dx += w;
+      if (dy > h * 0.5) dy -= h; else if (dy < -h * 0.5) dy += h;
+      dist = Math.sqrt(dx * dx + dy * dy) - enemy.radius();
+      if (dist < 96) close++;
+      if (nearest === null || dist < nearestDist)
+      {
+         nearest = {x: dx, y: dy};
+         nearestDist = dist;
+      }
+   }
+   
+   input.left = input.right = input.thrust = input.shield = input.fireA = input.fireB = false;
+   if (nearest !== null)
+   {
+      // heading zero points up the screen
+      var target = Math.atan2(nearest.x, -nearest.y) * 180 / Math.PI,
+          diff = ((target - player.heading) % 360 + 540) % 360 - 180;
+      if (diff < -4) input.left = true;
+      else if (diff > 4) input.right = true;
+      input.fireA = (diff > -20 && diff < 20);
+      input.shield = (nearestDist < 24);
+      input.fireB = (close >= 4);
+   }
+}
+
+
+/**
+ * Simulate a single game from start to game over or completion
+ * 
+ * @param options {object} seed, maxTicks and optional difficulty, mode and replay
+ * @return {object} game result
+ * @throws Error if the replay was recorded with different wave definitions
+ */
+function runGame(options)
+{
+   if (options.replay && !options.replay.matchesWaves())
+   {
+      throw new Error("Replay was recorded with different wave definitions");
+   }
+   
+   GameHandler.initHeadless(640, 640, new MemoryStorage());
+   var game = new Asteroids.Main(),
+       attractor = game.scenes[0],
+       completed = game.scenes[game.scenes.length - 1];
+   if (options.difficulty)
+   {
+      GameHandler.settings.set("difficulty", options.difficulty);
+   }
+   
+   // first tick initialises the attractor scene - then start the game or replay
+   game.step(1);
+   if (options.replay)
+   {
+      attractor.startReplay(options.replay);
+   }
+   else
+   {
+      game.fixedSeed = options.seed;
+      attractor.startGame(options.mode);
+   }
+   
+   // entity counts are reported from the last game scene played
+   var ticks = 0, scene = null;
+   while (ticks < options.maxTicks &&
+          game.currentScene !== game.endScene && game.currentScene !== completed)
+   {
+      if (game.currentScene instanceof Asteroids.GameScene)
+      {
+         scene = game.currentScene;
+         if (!options.replay) autopilot(scene, game.input);
+      }
+      game.step(1);
+      ticks++;
+   }
+   
+   return {
+      seed: game.seed,
+      ticks: ticks,
+      score: game.score,
+      lives: game.lives,
+      wave: game.wave,
+      completed: (game.currentScene === completed),
+      enemies: (scene ? scene.enemies.length : 0),
+      playerBullets: (scene ? scene.playerBullets.length : 0),
+      enemyBullets: (scene ? scene.enemyBullets.length : 0),
+      effects: (scene ? scene.effects.length : 0),
+      collectables: (scene ? scene.collectables.length : 0)
+   };
+}
+
+
+/**
+ * Parse a whole number option value - an invalid value is a usage error
+ * 
+ * @param name {string} Option name
+ * @param value {string} Option value
+ * @param min {number} Least valid value
+ * @return {number} the value
+ */
+function wholeNumber(name, value, min)
+{
+   var n = (/^-?[0-9]+$/.test(value) ? parseInt(value, 10) : NaN);
+   if (isNaN(n) || n < min)
+   {
+      console.error(name + " must be a whole number of at least " + min + " - got: " + value);
+      process.exit(2);
+   }
+   return n;
+}
+
+
+function main(argv)
+{
+   var options = {games: 1, seed: 1, ticks: 120 * 60 * 30, difficulty: null, mode: null, replay: null, mathlib: null, waves: null};
+   for (var i=0; i<argv.length; i++)
+   {
+      switch (argv[i])
+      {
+         case "--games": options.games = wholeNumber(argv[i], argv[++i], 1); break;
+         case "--seed": options.seed = wholeNumber(argv[i], argv[++i], 0); break;
+         case "--ticks": options.ticks = wholeNumber(argv[i], argv[++i], 1); break;
+         case "--difficulty": options.difficulty = argv[++i]; break;
+         case "--mode": options.mode = argv[++i]; break;
+         case "--replay": options.replay = argv[++i]; break;
+         case "--mathlib": options.mathlib = argv[++i]; break;
+         case "--waves": options.waves = argv[++i]; break;
+         default:
+            console.error("Unknown option: " + argv[i]);
+            process.exit(2);
+      }
+   }
+   
+   try
+   {
+      load(options.mathlib, options.waves);
+   }
+   catch (e)
+   {
+      console.error(e.message);
+      process.exit(2);
+   }
+   
+   if (options.difficulty !== null && !Asteroids.Settings.DIFFICULTY.hasOwnProperty(options.difficulty))
+   {
+      console.error("Unknown difficulty: " + options.difficulty);
+      process.exit(2);
+   }
+   if (options.mode !== null && !Asteroids.HighScores.MODES.hasOwnProperty(options.mode))
+   {
+      console.error("Unknown game mode: " + options.mode);
+      process.exit(2);
+   }
+   
+   if (options.replay)
+   {
+      var replay = Asteroids.Replay.parse(fs.readFileSync(options.replay, "utf8"));
+      if (!replay.matchesWaves())
+      {
+         console.error("Replay was recorded with different wave definitions - see --waves");
+         process.exit(1);
+      }
+      var result = runGame({replay: replay, maxTicks: replay.ticks + 1000});
+      console.log(JSON.stringify(result));
+      if (result.score !== replay.score)
+      {
+         console.error("Replay score mismatch - recorded " + replay.score + " but simulated " + result.score);
+         process.exit(1);
+      }
+      return;
+   }
+   
+   for (var n=0; n<options.games; n++)
+   {
+      console.log(JSON.stringify(runGame({seed: (options.seed + n) >>> 0, maxTicks: options.ticks, difficulty: options.difficulty, mode: options.mode})));
+   }
+}
+
+module.exports = {load: load, runGame: runGame};
+
+if (require.main === module)
+{
+   main(process.argv.slice(2));
+}
@@ -0,0 +1,335 @@
+/**
+ * Asteroids leaderboard reference server 19/10/26
+ * 
+ * (C) 2010/2011 Kevin Roast kevtoast@yahoo.com @kevinroast
+ * 
+ * Please see: license.txt
+ * 
+ * A small stand-in for an online leaderboard service - runs under Node with no other
+ * dependencies and keeps the scores in a JSON file. Implements the REST API used by the
+ * game (see scripts/asteroids_leaderboard.js):
+ * 
+ *    GET  /scores?period=all|weekly&mode=M&limit=N   {"period": ..., "mode": ..., "scores": [entries]}
+ *    POST /scores                                    submission - responds {"rank": N}
+ * 
+ * A table holds the scores of one game mode - or of every mode when no mode is given.
+ * 
+ * Each submission includes the game replay. The replay must be for the same seed and
+ * score as the submission - and with --verify the replay must have been recorded with the
+ * wave definitions of the server and is simulated using the headless game runner, and the
+ * score must match the simulated score. A submission is identified
+ * by the id the client gave it so a resent submission is only stored once.
+ * 
+ * Set LEADERBOARDURL in the game page to the server URL e.g. http://localhost:8642
+ * 
+ * Usage:
+ *    node tools/leaderboard.js [options]
+ * 
+ *    --port N        Port to listen on (default 8642)
+ *    --file FILE     JSON file the scores are kept in (default leaderboard.json)
+ *    --verify        Verify each score by simulating the replay
+ *    --mathlib FILE  Path to mathlib.js for --verify (default as referenced by index-debug.html)
+ *    --waves FILE    Wave definitions document for --verify (default data/waves.json)
+ */
+
+var fs = require("fs"),
+    http = require("http"),
+    path = require("path"),
+    url = require("url");
+
+/**
+ * Maximum scores kept in the file - the lowest are dropped
+ */
+var MAX_SCORES = 1000;
+
+/**
+ * Maximum number of scores returned for a table and the size of a request body
+ */
+var MAX_LIMIT = 100;
+var MAX_BODY = 256 * 1024;
+
+/**
+ * Scores submitted this long ago or less are in the weekly table
+ */
+var WEEK = 7 * 24 * 60 * 60 * 1000;
+
+
+/**
+ * Leaderboard score store backed by a JSON file
+ * 
+ * @param file {string} Path of the JSON file
+ */
+function Store(file)
+{
+   this.file = file;
+   this.scores = [];
+   if (fs.existsSync(file))
+   {
+      var doc = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (doc && Array.isArray(doc.scores))
+      {
+         this.scores = doc.scores;
+      }
+   }
+}
+
+/**
+ * Save the scores - written to a temporary file first so the file is never left half written
+ */
+Store.prototype.save = function()
+{
+   var tmp = this.file + ".tmp";
+   fs.writeFileSync(tmp, JSON.stringify({version: 1, scores: this.scores}));
+   fs.renameSync(tmp, this.file);
+};
+
+/**
+ * Add a score in descending score order - an equal score is placed below the existing one
+ * 
+ * @return the position of the score in the all time table
+ */
+Store.prototype.add = function(score)
+{
+   var i = 0;
+   while (i < this.scores.length && this.scores[i].score >= score.score) i++;
+   this.scores.splice(i, 0, score);
+   this.scores.length = Math.min(this.scores.length, MAX_SCORES);
+   this.save();
+   return i;
+};
+
+/**
+ * @return the position of a submission already stored - or -1 if it is new
+ */
+Store.prototype.find = function(id)
+{
+   for (var i=0; i<this.scores.length; i++)
+   {
+      if (this.scores[i].id === id) return i;
+   }
+   return -1;
+};
+
+/**
+ * @param period {string} "all" or "weekly"
+ * @param limit {number} Maximum number of scores
+ * @param mode {string} Game mode of the scores - or null for every mode
+ * @return the table entries - without the replay and other verification details
+ */
+Store.prototype.table = function(period, limit, mode)
+{
+   var since = (period === "weekly" ? Date.now() - WEEK : 0), table = [];
+   for (var i=0; i<this.scores.length && table.length < limit; i++)
+   {
+      var s = this.scores[i];
+      if (s.submitted >= since && (!mode || s.mode === mode))
+      {
+         table.push({initials: s.initials, score: s.score, wave: s.wave, date: s.date, mode: s.mode, difficulty: s.difficulty});
+      }
+   }
+   return table;
+};
+
+
+/**
+ * Check a submission
+ * 
+ * @param doc {object} Submitted score
+ * @param verify {function} Optional replay simulation - returns the simulated score
+ * @return an error message or null if the submission is valid
+ */
+function validate(doc, verify)
+{
+   if (!doc || typeof doc !== "object") return "Submission is not a JSON object";
+   if (typeof doc.id !== "string" || doc.id.length === 0 || doc.id.length > 64) return "Invalid id";
+   if (typeof doc.initials !== "string" || !/^[A-Z0-9. ?]{1,3}$/.test(doc.initials)) return "Invalid initials";
+   if (typeof doc.score !== "number" || doc.score % 1 !== 0 || doc.score <= 0) return "Invalid score";
+   if (typeof doc.wave !== "number" || doc.wave % 1 !== 0 || doc.wave < 0) return "Invalid wave";
+   if (typeof doc.mode !== "string" || !/^[a-z]{1,16}$/.test(doc.mode)) return "Invalid mode";
+   if (typeof doc.difficulty !== "string" || !/^[a-z]{1,16}$/.test(doc.difficulty)) return "Invalid difficulty";
+   if (typeof doc.seed !== "number" || typeof doc.replay !== "string") return "Missing replay";
+   
+   var replay;
+   try
+   {
+      replay = JSON.parse(doc.replay);
+   }
+   catch (e)
+   {
+      return "Replay is not valid JSON";
+   }
+   if (!replay || replay.format !== "asteroids-replay") return "Not an Asteroids replay";
+   if (replay.seed !== doc.seed || replay.score !== doc.score) return "Replay does not match the score";
+   if ((replay.difficulty || "normal") !== doc.difficulty) return "Replay does not match the difficulty";
+   if ((replay.mode || "classic") !== doc.mode) return "Replay does not match the game mode";
+   if (typeof replay.waves !== "string") return "Replay is missing the wave definitions hash";
+   if (verify)
+   {
+      var simulated;
+      try
+      {
+         simulated = verify(doc.replay);
+      }
+      catch (e)
+      {
+         return "Replay could not be played: " + e.message;
+      }
+      if (simulated !== doc.score) return "Replay score mismatch - simulated " + simulated;
+   }
+   return null;
+}
+
+
+/**
+ * Create the leaderboard request handler
+ * 
+ * @param store {Store} Score store
+ * @param verify {function} Optional replay simulation - see validate()
+ */
+function handler(store, verify)
+{
+   var send = function(res, status, doc)
+   {
+      res.writeHead(status, {
+         "Content-Type": "application/json",
+         "Access-Control-Allow-Origin": "*",
+         "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+         "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end(status === 204 ? "" : JSON.stringify(doc));
+   };
+   
+   return function(req, res)
+   {
+      var u = url.parse(req.url, true);
+      if (u.pathname !== "/scores")
+      {
+         return send(res, 404, {error: "Not found"});
+      }
+      switch (req.method)
+      {
+         case "OPTIONS":
+            // CORS preflight - the game page is usually served from another origin
+            return send(res, 204, null);
+         
+         case "GET":
+         {
+            var period = u.query.period || "all",
+                mode = u.query.mode || null,
+                limit = Math.min(parseInt(u.query.limit, 10) || 10, MAX_LIMIT);
+            if (period !== "all" && period !== "weekly")
+            {
+               return send(res, 400, {error: "Unknown period: " + period});
+            }
+            if (mode !== null && (typeof mode !== "string" || !/^[a-z]{1,16}$/.test(mode)))
+            {
+               return send(res, 400, {error: "Invalid mode"});
+            }
+            return send(res, 200, {period: period, mode: mode, scores: store.table(period, limit, mode)});
+         }
+         
+         case "POST":
+         {
+            var body = "", tooLarge = false;
+            req.on("data", function(chunk)
+            {
+               body += chunk;
+               if (body.length > MAX_BODY)
+               {
+                  tooLarge = true;
+                  req.destroy();
+               }
+            });
+            req.on("end", function()
+            {
+               if (tooLarge) return;
+               var doc;
+               try
+               {
+                  doc = JSON.parse(body);
+               }
+               catch (e)
+               {
+                  return send(res, 400, {error: "Submission is not valid JSON"});
+               }
+               
+               // a resent submission is accepted again but stored once
+               var rank = (doc && typeof doc.id === "string" ? store.find(doc.id) : -1);
+               if (rank !== -1)
+               {
+                  return send(res, 200, {rank: rank});
+               }
+               var error = validate(doc, verify);
+               if (error !== null)
+               {
+                  return send(res, 400, {error: error});
+               }
+               rank = store.add({
+                  id: doc.id,
+                  initials: doc.initials,
+                  score: doc.score,
+                  wave: doc.wave,
+                  date: (typeof doc.date === "string" ? doc.date : null),
+                  mode: doc.mode,
+                  difficulty: doc.difficulty,
+                  seed: doc.seed,
+                  replay: doc.replay,
+                  submitted: Date.now()
+               });
+               send(res, 201, {rank: rank});
+            });
+            return;
+         }
+         
+         default:
+            return send(res, 405, {error: "Method not allowed"});
+      }
+   };
+}
+
+
+function main(argv)
+{
+   var options = {port: 8642, file: "leaderboard.json", verify: false, mathlib: null, waves: null};
+   for (var i=0; i<argv.length; i++)
+   {
+      switch (argv[i])
+      {
+         case "--port": options.port = parseInt(argv[++i], 10); break;
+         case "--file": options.file = argv[++i]; break;
+         case "--verify": options.verify = true; break;
+         case "--mathlib": options.mathlib = argv[++i]; break;
+         case "--waves": options.waves = argv[++i]; break;
+         default:
+            console.error("Unknown option: " + argv[i]);
+            process.exit(2);
+      }
+   }
+   
+   // replays are verified by playing them back with the headless game runner - a replay
+   // recorded with other wave definitions cannot be played
+   var verify = null;
+   if (options.verify)
+   {
+      var headless = require("./headless.js");
+      headless.load(options.mathlib, options.waves);
+      verify = function(json)
+      {
+         var replay = Asteroids.Replay.parse(json);
+         return headless.runGame({replay: replay, maxTicks: replay.ticks + 1000}).score;
+      };
+   }
+   
+   var store = new Store(path.resolve(options.file));
+   http.createServer(handler(store, verify)).listen(options.port, function()
+   {
+      console.log("Leaderboard listening on port " + options.port + " - " + store.scores.length + " scores in " + store.file);
+   });
+}
+
+module.exports = {Store: Store, validate: validate, handler: handler};
+
+if (require.main === module)
+{
+   main(process.argv.slice(2));
+}